@@ -0,0 +1,700 @@
+const {
+  createJob,
+  startStage,
+  reportProgress,
+  completeJob,
+  failJob,
+  findJob
+} = require('./jobController');
+const { executeCommand, streamPcm, parseFfmpegProgress } = require('./mediaProcessor');
+const { getMediaPaths, readManifest } = require('./mediaLibrary');
+
+// Sample rate of the extracted -audio.wav files (cue sample positions refer to it)
+const CUE_SAMPLE_RATE = 48000;
+
+// Onset detection runs on a downsampled mono signal in frames of ONSET_HOP samples (~23ms)
+const ONSET_SAMPLE_RATE = 22050;
+const ONSET_HOP = 512;
+
+// Frames around a candidate used for the adaptive threshold (~0.37s each side)
+const ONSET_WINDOW_FRAMES = 16;
+
+// Frames quieter than this (dBFS) never count as onsets
+const ONSET_FLOOR_DB = -50;
+
+// An onset this close after a silence end is treated as the same event
+const MERGE_WINDOW_SECONDS = 0.1;
+
+// Cutoff of the low band whose energy rises mark downbeats (kick and bass)
+const BASS_CUTOFF_HZ = 150;
+
+// Width (in octaves) of the preference for tempos near 120 BPM when picking the beat level
+const TEMPO_PRIOR_OCTAVES = 1;
+
+// The autocorrelation tempo is refined within this fraction, first coarsely then finely (in BPM)
+const TEMPO_REFINE_RANGE = 0.02;
+const TEMPO_COARSE_STEP = 0.05;
+const TEMPO_FINE_STEP = 0.005;
+
+// A beat period is scored with the autocorrelation at this many of its multiples, so the beat
+// wins over other pulses of the envelope (e.g. dotted periods of an eighth-note pattern)
+const PERIOD_MULTIPLES = 4;
+
+// Beat periods and phases are searched in steps of this many onset frames
+const LAG_STEP_FRAMES = 0.1;
+const PHASE_STEP_FRAMES = 0.25;
+
+// The tempo search runs for seconds on long media; it hands the event loop back after every
+// scored period so requests and progress events are still served meanwhile
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+const ANALYSIS_STAGES = [
+  { id: 'silence', label: 'Detecting silence', weight: 1 },
+  { id: 'onsets', label: 'Detecting onsets', weight: 2 },
+  { id: 'rank', label: 'Ranking candidates', weight: 1 }
+];
+
+const SCENE_STAGES = [
+  { id: 'scenes', label: 'Detecting scene changes', weight: 1 }
+];
+
+const TEMPO_STAGES = [
+  { id: 'envelope', label: 'Computing onset envelope', weight: 2 },
+  { id: 'tempo', label: 'Estimating tempo and downbeat', weight: 1 }
+];
+
+// Defaults and bounds for the analysis options accepted in the request body
+const ANALYSIS_OPTIONS = {
+  silenceThreshold: { default: -40, min: -90, max: 0 }, // dBFS
+  minSilence: { default: 0.3, min: 0.05, max: 10 }, // seconds
+  sensitivity: { default: 0.5, min: 0, max: 1 }, // higher finds quieter onsets
+  minSpacing: { default: 1, min: 0, max: 30 }, // seconds between candidates
+  maxCandidates: { default: 32, min: 1, max: 128 }
+};
+
+const SCENE_OPTIONS = {
+  sensitivity: { default: 0.6, min: 0, max: 1 }, // higher finds subtler cuts
+  minSpacing: { default: 0.5, min: 0, max: 30 } // seconds between cuts
+};
+
+const TEMPO_OPTIONS = {
+  minBpm: { default: 70, min: 30, max: 300 },
+  maxBpm: { default: 180, min: 40, max: 400 },
+  beatsPerBar: { default: 4, min: 1, max: 16 }
+};
+
+/**
+ * Validates analysis options from a request body, applying defaults
+ * @param {Object} body - Request body
+ * @param {Object} specs - Option specs ({ name: { default, min, max } })
+ * @returns {Object} - Options keyed like the specs
+ * @throws {Error} - If an option is not a number within its bounds
+ */
+function parseAnalysisOptions(body, specs) {
+  const options = {};
+  Object.entries(specs).forEach(([name, spec]) => {
+    const value = body[name] === undefined ? spec.default : body[name];
+    if (typeof value !== 'number' || !isFinite(value) || value < spec.min || value > spec.max) {
+      throw new Error(`${name} must be a number between ${spec.min} and ${spec.max}`);
+    }
+    options[name] = value;
+  });
+  if (options.maxCandidates !== undefined) {
+    options.maxCandidates = Math.round(options.maxCandidates);
+  }
+  if (options.beatsPerBar !== undefined) {
+    options.beatsPerBar = Math.round(options.beatsPerBar);
+  }
+  if (options.minBpm !== undefined && options.minBpm >= options.maxBpm) {
+    throw new Error('minBpm must be lower than maxBpm');
+  }
+  return options;
+}
+
+/**
+ * Finds the points where sound resumes after silence using ffmpeg `silencedetect`
+ * @param {string} jobId - Job to report progress on
+ * @param {string} audioPath - Path to the -audio.wav file
+ * @param {number} duration - Audio duration in seconds (for progress reporting)
+ * @param {Object} options - Analysis options (silenceThreshold, minSilence)
+ * @returns {Promise<Array<{time: number, silenceDuration: number}>>} - Silence ends
+ */
+async function detectSilenceEnds(jobId, audioPath, duration, { silenceThreshold, minSilence }) {
+  const silenceEnds = [];
+
+  await executeCommand('ffmpeg', [
+    '-progress', 'pipe:1', // Machine-readable progress on stdout
+    '-nostats',
+    '-i', audioPath,
+    '-af', `silencedetect=noise=${silenceThreshold}dB:d=${minSilence}`,
+    '-f', 'null',
+    '-'
+  ], {
+    onLine: (line) => {
+      const percent = parseFfmpegProgress(line, duration);
+      if (percent !== null) reportProgress(jobId, percent);
+
+      // e.g. "[silencedetect @ 0x5581] silence_end: 12.345 | silence_duration: 0.52"
+      const match = line.match(/silence_end:\s*([\d.]+)\s*\|\s*silence_duration:\s*([\d.]+)/);
+      if (match) {
+        silenceEnds.push({ time: parseFloat(match[1]), silenceDuration: parseFloat(match[2]) });
+      }
+    }
+  });
+
+  // A silence that runs to the end of the file has no sound after it
+  return silenceEnds.filter(end => !duration || end.time < duration - minSilence);
+}
+
+/**
+ * Computes frame energies (dB) of the downsampled audio in frames of ONSET_HOP samples:
+ * the pre-emphasized signal for attacks and a low band for kicks and bass
+ * @param {string} jobId - Job to report progress on
+ * @param {string} audioPath - Path to the -audio.wav file
+ * @param {number} duration - Audio duration in seconds (for progress reporting)
+ * @returns {Promise<{energies: number[], bassEnergies: number[]}>}
+ */
+async function computeEnergyEnvelopes(jobId, audioPath, duration) {
+  const energies = [];
+  const bassEnergies = [];
+  const totalSamples = duration * ONSET_SAMPLE_RATE;
+  const bassCoefficient = Math.exp((-2 * Math.PI * BASS_CUTOFF_HZ) / ONSET_SAMPLE_RATE);
+  let frameEnergy = 0;
+  let bassEnergy = 0;
+  let frameCount = 0;
+  let previousSample = 0;
+  let bassSample = 0;
+  let processed = 0;
+
+  await streamPcm(audioPath, {
+    sampleRate: ONSET_SAMPLE_RATE,
+    onSamples: (samples) => {
+      for (let i = 0; i < samples.length; i++) {
+        // Pre-emphasis favours the high-frequency content of attacks
+        const sample = samples[i] / 32768;
+        const emphasized = sample - 0.97 * previousSample;
+        previousSample = sample;
+        bassSample = (1 - bassCoefficient) * sample + bassCoefficient * bassSample;
+
+        frameEnergy += emphasized * emphasized;
+        bassEnergy += bassSample * bassSample;
+        frameCount++;
+
+        if (frameCount === ONSET_HOP) {
+          energies.push(10 * Math.log10(frameEnergy / ONSET_HOP + 1e-10));
+          bassEnergies.push(10 * Math.log10(bassEnergy / ONSET_HOP + 1e-10));
+          frameEnergy = 0;
+          bassEnergy = 0;
+          frameCount = 0;
+        }
+      }
+
+      processed += samples.length;
+      if (totalSamples > 0) reportProgress(jobId, (processed / totalSamples) * 100);
+    }
+  });
+
+  return { energies, bassEnergies };
+}
+
+/**
+ * Onset detection function: the positive energy rise between consecutive frames
+ * @param {number[]} energies - Frame energies in dB
+ * @returns {number[]} - Rise per frame in dB
+ */
+function energyFlux(energies) {
+  return energies.map((energy, i) => (i === 0 ? 0 : Math.max(0, energy - energies[i - 1])));
+}
+
+/**
+ * Finds transients with an energy-based onset detector: the rise in (pre-emphasized)
+ * frame energy is peak-picked against the local average of its neighbourhood
+ * @param {string} jobId - Job to report progress on
+ * @param {string} audioPath - Path to the -audio.wav file
+ * @param {number} duration - Audio duration in seconds (for progress reporting)
+ * @param {Object} options - Analysis options (sensitivity)
+ * @returns {Promise<Array<{time: number, strength: number}>>} - Onsets with their rise in dB
+ */
+async function detectOnsets(jobId, audioPath, duration, { sensitivity }) {
+  const { energies } = await computeEnergyEnvelopes(jobId, audioPath, duration);
+  const flux = energyFlux(energies);
+
+  // Required rise above the local average, from 12dB (sensitivity 0) down to 2dB (sensitivity 1)
+  const delta = 12 - sensitivity * 10;
+  const onsets = [];
+
+  for (let i = 1; i < flux.length - 1; i++) {
+    if (energies[i] < ONSET_FLOOR_DB) continue;
+    if (flux[i] <= flux[i - 1] || flux[i] < flux[i + 1]) continue;
+
+    const from = Math.max(0, i - ONSET_WINDOW_FRAMES);
+    const to = Math.min(flux.length, i + ONSET_WINDOW_FRAMES + 1);
+    let localSum = 0;
+    for (let j = from; j < to; j++) localSum += flux[j];
+    const localMean = localSum / (to - from);
+
+    if (flux[i] >= localMean + delta) {
+      // Report the start of the frame in which the energy jumped
+      onsets.push({ time: (i * ONSET_HOP) / ONSET_SAMPLE_RATE, strength: flux[i] });
+    }
+  }
+
+  return onsets;
+}
+
+/**
+ * Merges silence ends and onsets into scored candidates and keeps the best ones,
+ * at least `minSpacing` seconds apart
+ * @param {Array} silenceEnds - Output of detectSilenceEnds
+ * @param {Array} onsets - Output of detectOnsets
+ * @param {Object} options - Analysis options (minSpacing, maxCandidates)
+ * @returns {Array<Object>} - Candidates ordered by rank ({ rank, time, score, sources, sample_position, sample_rate })
+ */
+function rankCandidates(silenceEnds, onsets, { minSpacing, maxCandidates }) {
+  const maxStrength = onsets.reduce((max, onset) => Math.max(max, onset.strength), 0) || 1;
+
+  // Sound after a longer silence is a stronger section boundary
+  const candidates = silenceEnds.map(end => ({
+    time: end.time,
+    score: 0.5 + 0.5 * Math.min(1, end.silenceDuration / 2),
+    sources: ['silence']
+  }));
+
+  onsets.forEach(onset => {
+    const score = onset.strength / maxStrength;
+    const silence = candidates.find(candidate => (
+      candidate.sources.includes('silence') &&
+      !candidate.sources.includes('onset') &&
+      onset.time >= candidate.time - ONSET_HOP / ONSET_SAMPLE_RATE &&
+      onset.time - candidate.time <= MERGE_WINDOW_SECONDS
+    ));
+
+    if (silence) {
+      // Both detectors agree: keep the onset's timing and boost the score
+      silence.time = onset.time;
+      silence.score = Math.min(1, silence.score + score * 0.5);
+      silence.sources.push('onset');
+    } else {
+      candidates.push({ time: onset.time, score, sources: ['onset'] });
+    }
+  });
+
+  candidates.sort((a, b) => b.score - a.score);
+
+  const selected = [];
+  for (const candidate of candidates) {
+    if (selected.length >= maxCandidates) break;
+    if (selected.some(other => Math.abs(other.time - candidate.time) < minSpacing)) continue;
+    selected.push(candidate);
+  }
+
+  return selected.map((candidate, index) => {
+    const samplePosition = Math.round(candidate.time * CUE_SAMPLE_RATE);
+    return {
+      rank: index + 1,
+      time: samplePosition / CUE_SAMPLE_RATE,
+      score: Math.round(candidate.score * 1000) / 1000,
+      sources: candidate.sources,
+      sample_rate: CUE_SAMPLE_RATE,
+      sample_position: samplePosition
+    };
+  });
+}
+
+/**
+ * Runs silence and onset detection over a media item's audio
+ * @param {string} jobId - Job to report progress on
+ * @param {string} name - Media name
+ * @param {Object} options - Analysis options
+ * @returns {Promise<Object>} - Result payload ({ filename, candidates, options })
+ */
+async function runAnalysis(jobId, name, options) {
+  const audioPath = getMediaPaths(name).audio;
+  const manifest = await readManifest(name);
+  const duration = manifest.duration || 0;
+
+  startStage(jobId, 'silence', 'Detecting silence...');
+  const silenceEnds = await detectSilenceEnds(jobId, audioPath, duration, options);
+
+  startStage(jobId, 'onsets', 'Detecting onsets...');
+  const onsets = await detectOnsets(jobId, audioPath, duration, options);
+
+  startStage(jobId, 'rank', 'Ranking candidates...');
+  const candidates = rankCandidates(silenceEnds, onsets, options);
+
+  console.log(`Analysis of ${name}: ${silenceEnds.length} silence ends, ${onsets.length} onsets, ${candidates.length} candidates`);
+
+  return {
+    filename: name,
+    candidates,
+    options
+  };
+}
+
+/**
+ * Finds visual cuts in the -video.mp4 with ffmpeg's scene change score
+ * (`select='gt(scene,x)'`), reporting each cut at its frame's timestamp
+ * @param {string} jobId - Job to report progress on
+ * @param {string} name - Media name
+ * @param {Object} options - Scene options (sensitivity, minSpacing)
+ * @returns {Promise<Object>} - Result payload ({ filename, fps, threshold, scenes, options })
+ */
+async function runSceneDetection(jobId, name, options) {
+  const videoPath = getMediaPaths(name).video;
+  const manifest = await readManifest(name);
+  const duration = manifest.duration || 0;
+  const fps = manifest.video?.fps || null;
+
+  // Sensitivity 0..1 maps to a scene score threshold of 0.6..0.1
+  const threshold = Math.round((0.6 - options.sensitivity * 0.5) * 1000) / 1000;
+  const cuts = [];
+  let pendingTime = null;
+
+  startStage(jobId, 'scenes', 'Detecting scene changes...');
+  await executeCommand('ffmpeg', [
+    '-progress', 'pipe:1', // Machine-readable progress on stdout
+    '-nostats',
+    '-i', videoPath,
+    '-an',
+    '-vf', `select='gt(scene,${threshold})',metadata=print`,
+    '-f', 'null',
+    '-'
+  ], {
+    onLine: (line) => {
+      const percent = parseFfmpegProgress(line, duration);
+      if (percent !== null) reportProgress(jobId, percent);
+
+      // metadata=print logs "frame:3 pts:12800 pts_time:0.5" followed by "lavfi.scene_score=0.42"
+      const timeMatch = line.match(/pts_time:([\d.]+)/);
+      if (timeMatch) {
+        pendingTime = parseFloat(timeMatch[1]);
+        return;
+      }
+
+      const scoreMatch = line.match(/lavfi\.scene_score=([\d.]+)/);
+      if (scoreMatch && pendingTime !== null) {
+        cuts.push({ time: pendingTime, score: parseFloat(scoreMatch[1]) });
+        pendingTime = null;
+      }
+    }
+  });
+
+  // Within a burst of cuts (flashes, fast edits) keep the strongest
+  const selected = [];
+  [...cuts].sort((a, b) => b.score - a.score).forEach(cut => {
+    if (!selected.some(other => Math.abs(other.time - cut.time) < options.minSpacing)) {
+      selected.push(cut);
+    }
+  });
+
+  const rankByTime = new Map(selected.map((cut, index) => [cut.time, index + 1]));
+  const scenes = selected
+    .sort((a, b) => a.time - b.time)
+    .map(cut => ({
+      rank: rankByTime.get(cut.time),
+      time: cut.time,
+      frame: fps ? Math.round(cut.time * fps) : null,
+      score: Math.round(cut.score * 1000) / 1000,
+      sources: ['scene'],
+      sample_rate: CUE_SAMPLE_RATE,
+      sample_position: Math.round(cut.time * CUE_SAMPLE_RATE)
+    }));
+
+  console.log(`Scene detection of ${name}: ${cuts.length} cuts above ${threshold}, ${scenes.length} kept`);
+
+  return {
+    filename: name,
+    fps,
+    threshold,
+    scenes,
+    options
+  };
+}
+
+/**
+ * Smooths an envelope with a [1 2 1] kernel so beats falling between frames still score
+ * @param {number[]} values - Envelope per frame
+ * @returns {number[]}
+ */
+function smoothEnvelope(values) {
+  return values.map((value, i) => (
+    0.25 * (values[i - 1] ?? value) + 0.5 * value + 0.25 * (values[i + 1] ?? value)
+  ));
+}
+
+/**
+ * Reads an envelope at a fractional frame position by linear interpolation
+ * @param {number[]} values - Envelope per frame
+ * @param {number} position - Frame position
+ * @returns {number}
+ */
+function envelopeAt(values, position) {
+  const index = Math.floor(position);
+  const fraction = position - index;
+  return values[index] * (1 - fraction) + (values[index + 1] ?? values[index]) * fraction;
+}
+
+/**
+ * Estimates the tempo and the first downbeat from onset envelopes. The beat period is the
+ * autocorrelation peak of the onset envelope (weighted towards 120 BPM so the beat level wins over
+ * halves and doubles), refined with a comb over the whole file that also gives the beat phase. The
+ * downbeat is the beat of the bar whose low-band onsets (kicks, bass changes) are strongest.
+ * @param {number[]} flux - Onset envelope (energy rise per frame, dB)
+ * @param {number[]} bassFlux - Low-band onset envelope
+ * @param {Object} options - Tempo options (minBpm, maxBpm, beatsPerBar)
+ * @param {Function} onProgress - Called with the search progress (0-100)
+ * @returns {Promise<{bpm: number, offset: number, confidence: number}>} - Tempo, first downbeat
+ *   (seconds) and how strongly the beats stand out of the envelope (0..1)
+ * @throws {Error} - If the audio is too short for the tempo range
+ */
+async function estimateTempo(flux, bassFlux, { minBpm, maxBpm, beatsPerBar }, onProgress) {
+  const frameRate = ONSET_SAMPLE_RATE / ONSET_HOP;
+  const strength = smoothEnvelope(flux);
+  const minLag = Math.floor((60 * frameRate) / maxBpm);
+  const maxLag = Math.ceil((60 * frameRate) / minBpm);
+
+  if (strength.length < maxLag * PERIOD_MULTIPLES * 2) {
+    throw new Error('Audio is too short to estimate a tempo');
+  }
+
+  const mean = strength.reduce((sum, value) => sum + value, 0) / strength.length;
+  const centered = strength.map(value => value - mean);
+
+  // Autocorrelation at fractional lags, so short periods are not rounded to whole frames
+  const autocorrelation = (lag) => {
+    let sum = 0;
+    for (let i = 0; i + lag < centered.length - 1; i++) sum += centered[i] * envelopeAt(centered, i + lag);
+    return sum / (centered.length - lag);
+  };
+
+  let bestLag = minLag;
+  let bestWeighted = -Infinity;
+  for (let lag = minLag; lag <= maxLag; lag += LAG_STEP_FRAMES) {
+    let sum = 0;
+    for (let multiple = 1; multiple <= PERIOD_MULTIPLES; multiple++) sum += autocorrelation(lag * multiple);
+    const octaves = Math.log2((60 * frameRate) / lag / 120) / TEMPO_PRIOR_OCTAVES;
+    const weighted = (sum / PERIOD_MULTIPLES) * Math.exp(-0.5 * octaves * octaves);
+    if (weighted > bestWeighted) {
+      bestWeighted = weighted;
+      bestLag = lag;
+    }
+    onProgress(((lag - minLag) / (maxLag - minLag)) * 50);
+    await yieldToEventLoop();
+  }
+  const roughBpm = (60 * frameRate) / bestLag;
+
+  // Average envelope on the beats of a tempo at its best phase, and over all phases
+  const combAt = (bpm) => {
+    const period = (60 * frameRate) / bpm;
+    let best = { score: -Infinity, phase: 0 };
+    let total = 0;
+    let phases = 0;
+
+    for (let phase = 0; phase < period; phase += PHASE_STEP_FRAMES) {
+      let sum = 0;
+      let beats = 0;
+      for (let position = phase; position < strength.length - 1; position += period) {
+        sum += envelopeAt(strength, position);
+        beats++;
+      }
+      const score = sum / beats;
+      total += score;
+      phases++;
+      if (score > best.score) best = { score, phase };
+    }
+
+    return { bpm, period, ...best, mean: total / phases };
+  };
+
+  const search = async (center, range, step, progressFrom, progressTo) => {
+    let best = null;
+    for (let bpm = center - range; bpm <= center + range + step / 2; bpm += step) {
+      const comb = combAt(Math.max(minBpm, Math.min(maxBpm, bpm)));
+      if (!best || comb.score > best.score) best = comb;
+      onProgress(progressFrom + ((bpm - center + range) / (2 * range)) * (progressTo - progressFrom));
+      await yieldToEventLoop();
+    }
+    return best;
+  };
+
+  const coarse = await search(roughBpm, roughBpm * TEMPO_REFINE_RANGE, TEMPO_COARSE_STEP, 50, 85);
+  const beat = await search(coarse.bpm, TEMPO_COARSE_STEP, TEMPO_FINE_STEP, 85, 100);
+
+  // The downbeat is the position in the bar with the strongest low-band (and overall) onsets
+  const bass = smoothEnvelope(bassFlux);
+  const barScores = Array.from({ length: beatsPerBar }, () => ({ sum: 0, count: 0 }));
+  let beatIndex = 0;
+  for (let position = beat.phase; position < strength.length - 1; position += beat.period) {
+    const slot = barScores[beatIndex % beatsPerBar];
+    slot.sum += envelopeAt(bass, position) + 0.5 * envelopeAt(strength, position);
+    slot.count++;
+    beatIndex++;
+  }
+  const downbeat = barScores.reduce((best, slot, index) => (
+    slot.count && slot.sum / slot.count > barScores[best].sum / barScores[best].count ? index : best
+  ), 0);
+
+  // Report the earliest downbeat in the file; the grid continues from it. An onset raises the
+  // energy of the frame it falls in, half a frame after that frame's start on average.
+  const barSeconds = (60 / beat.bpm) * beatsPerBar;
+  let offset = (beat.phase + downbeat * beat.period + 0.5) / frameRate;
+  offset -= Math.floor(offset / barSeconds) * barSeconds;
+
+  return {
+    bpm: beat.bpm,
+    offset,
+    confidence: beat.score > 0 ? Math.max(0, Math.min(1, (beat.score - beat.mean) / beat.score)) : 0
+  };
+}
+
+/**
+ * Estimates a media item's tempo and first downbeat from its audio
+ * @param {string} jobId - Job to report progress on
+ * @param {string} name - Media name
+ * @param {Object} options - Tempo options (minBpm, maxBpm, beatsPerBar)
+ * @returns {Promise<Object>} - Result payload ({ filename, tempo, confidence, options })
+ */
+async function runTempoDetection(jobId, name, options) {
+  const audioPath = getMediaPaths(name).audio;
+  const manifest = await readManifest(name);
+  const duration = manifest.duration || 0;
+
+  startStage(jobId, 'envelope', 'Computing onset envelope...');
+  const { energies, bassEnergies } = await computeEnergyEnvelopes(jobId, audioPath, duration);
+
+  startStage(jobId, 'tempo', 'Estimating tempo and downbeat...');
+  const estimate = await estimateTempo(
+    energyFlux(energies),
+    energyFlux(bassEnergies),
+    options,
+    (percent) => reportProgress(jobId, percent)
+  );
+  const tempo = {
+    bpm: Math.round(estimate.bpm * 1000) / 1000,
+    offset: Math.round(estimate.offset * CUE_SAMPLE_RATE) / CUE_SAMPLE_RATE,
+    beatsPerBar: options.beatsPerBar
+  };
+
+  console.log(`Tempo of ${name}: ${tempo.bpm} BPM, first downbeat at ${tempo.offset.toFixed(3)}s (confidence ${estimate.confidence.toFixed(2)})`);
+
+  return {
+    filename: name,
+    tempo,
+    confidence: Math.round(estimate.confidence * 1000) / 1000,
+    options
+  };
+}
+
+/**
+ * Validates the request options and starts an analysis job for a media item,
+ * responding with its id immediately
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} analysis - Analysis definition
+ * @param {string} analysis.type - Job type
+ * @param {Array} analysis.stages - Job stages
+ * @param {Object} analysis.optionSpecs - Accepted options (see parseAnalysisOptions)
+ * @param {Function} analysis.run - Pipeline invoked with (jobId, name, options)
+ * @param {string} analysis.failureMessage - User-facing message if the pipeline fails
+ */
+async function startAnalysisJob(req, res, { type, stages, optionSpecs, run, failureMessage }) {
+  const { filename } = req.params;
+
+  let options;
+  try {
+    options = parseAnalysisOptions(req.body || {}, optionSpecs);
+  } catch (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+
+  let manifest;
+  try {
+    manifest = await readManifest(filename);
+  } catch (error) {
+    console.error('Analyze media error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to read media metadata',
+      error: error.message
+    });
+  }
+
+  const job = createJob(type, {
+    stages,
+    params: options,
+    title: manifest.title,
+    filename
+  });
+
+  run(job.id, filename, options)
+    .then(result => completeJob(job.id, result))
+    .catch(error => {
+      console.error(`${type} error:`, error);
+      failJob(job.id, {
+        message: failureMessage,
+        error: error.message,
+        suggestions: ['Check that ffmpeg is installed and the media files are readable']
+      });
+    });
+
+  res.status(202).json({
+    status: 'accepted',
+    jobId: job.id,
+    job: findJob(job.id)
+  });
+}
+
+/**
+ * Starts a background job that suggests cue times for a media item from
+ * silence detection and onset detection
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function analyzeMedia(req, res) {
+  return startAnalysisJob(req, res, {
+    type: 'analysis',
+    stages: ANALYSIS_STAGES,
+    optionSpecs: ANALYSIS_OPTIONS,
+    run: runAnalysis,
+    failureMessage: 'Failed to analyze audio'
+  });
+}
+
+/**
+ * Starts a background job that finds scene changes (visual cuts) in a media item's video
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function detectScenes(req, res) {
+  return startAnalysisJob(req, res, {
+    type: 'scenes',
+    stages: SCENE_STAGES,
+    optionSpecs: SCENE_OPTIONS,
+    run: runSceneDetection,
+    failureMessage: 'Failed to detect scene changes'
+  });
+}
+
+/**
+ * Starts a background job that estimates the tempo and first downbeat of a media item's audio
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function detectTempo(req, res) {
+  return startAnalysisJob(req, res, {
+    type: 'tempo',
+    stages: TEMPO_STAGES,
+    optionSpecs: TEMPO_OPTIONS,
+    run: runTempoDetection,
+    failureMessage: 'Failed to detect tempo'
+  });
+}
+
+module.exports = {
+  analyzeMedia,
+  detectScenes,
+  detectTempo
+};
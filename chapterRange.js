@@ -0,0 +1,28 @@
+/**
+ * Extracts chapters from yt-dlp info, shifted and clipped to a downloaded time range
+ * @param {Object} info - yt-dlp info object
+ * @param {Object|null} range - Downloaded range ({ start, end } in seconds), or null for the whole video
+ * @returns {Array<{start_time: number, end_time: number, title: string}>} - Chapters in media time
+ */
+function extractChapters(info, range = null) {
+  if (!Array.isArray(info.chapters)) return [];
+
+  const offset = range ? range.start : 0;
+  const windowEnd = range && range.end !== null ? range.end : Infinity;
+  const toMediaTime = (seconds) => Math.round((seconds - offset) * 1000) / 1000;
+
+  return info.chapters
+    .filter(chapter => typeof chapter.start_time === 'number')
+    .filter(chapter => chapter.start_time < windowEnd && (chapter.end_time ?? Infinity) > offset)
+    .map((chapter, index) => ({
+      start_time: Math.max(0, toMediaTime(chapter.start_time)),
+      end_time: typeof chapter.end_time === 'number'
+        ? toMediaTime(Math.min(windowEnd, chapter.end_time))
+        : null,
+      title: chapter.title || `Chapter ${index + 1}`
+    }));
+}
+
+module.exports = {
+  extractChapters
+};
@@ -0,0 +1,188 @@
+const { getMediaPaths, readJsonFile, writeJsonFile, touchMedia } = require('./mediaLibrary');
+
+// Sample rate of the extracted -audio.wav files
+const DEFAULT_SAMPLE_RATE = 48000;
+
+// Upper bound on stored cues per media item
+const MAX_CUES = 256;
+
+// Optional cue colours are #rrggbb (used as hot cue colours in DJ exports)
+const CUE_COLOR_REGEX = /^#[0-9a-f]{6}$/i;
+
+// Project tempo: allowed note values of a beat and quantize grids for pad triggers
+const BEAT_UNITS = [2, 4, 8, 16];
+const QUANTIZE_VALUES = ['off', '1/16', '1/8', 'beat', 'bar'];
+
+/**
+ * Validates and normalizes a single cue point
+ * @param {Object} cue - Cue point from the client
+ * @param {number} index - Position in the submitted array (for error messages)
+ * @returns {Object} - Normalized cue point
+ */
+function normalizeCue(cue, index) {
+  if (!cue || typeof cue.time !== 'number' || !isFinite(cue.time) || cue.time < 0) {
+    throw new Error(`Invalid cue at index ${index}: time must be a non-negative number`);
+  }
+
+  // An end makes the cue a region; a looping region repeats between its start and end
+  const hasEnd = cue.end !== undefined && cue.end !== null;
+  if (hasEnd && (typeof cue.end !== 'number' || !isFinite(cue.end) || cue.end <= cue.time)) {
+    throw new Error(`Invalid cue at index ${index}: end must be a number after time`);
+  }
+  if (cue.loop && !hasEnd) {
+    throw new Error(`Invalid cue at index ${index}: a loop needs an end`);
+  }
+
+  const sampleRate = Number.isInteger(cue.sample_rate) && cue.sample_rate > 0
+    ? cue.sample_rate
+    : DEFAULT_SAMPLE_RATE;
+
+  return {
+    time: cue.time,
+    label: typeof cue.label === 'string' && cue.label.trim() ? cue.label : `Cue ${index + 1}`,
+    key: typeof cue.key === 'string' ? cue.key : '',
+    sample_rate: sampleRate,
+    sample_position: Number.isInteger(cue.sample_position) && cue.sample_position >= 0
+      ? cue.sample_position
+      : Math.round(cue.time * sampleRate),
+    ...(hasEnd ? { end: cue.end } : {}),
+    ...(hasEnd && cue.loop ? { loop: true } : {}),
+    ...(CUE_COLOR_REGEX.test(cue.color) ? { color: cue.color.toLowerCase() } : {})
+  };
+}
+
+/**
+ * Validates the project tempo stored with a cue set
+ * @param {Object} tempo - Tempo from the client ({ bpm, offset, beatsPerBar, beatUnit, quantize })
+ * @returns {Object} - Normalized tempo
+ * @throws {Error} - If a field is out of range
+ */
+function normalizeTempo(tempo) {
+  if (!tempo || typeof tempo.bpm !== 'number' || !isFinite(tempo.bpm) || tempo.bpm < 20 || tempo.bpm > 400) {
+    throw new Error('tempo.bpm must be a number between 20 and 400');
+  }
+  if (typeof tempo.offset !== 'number' || !isFinite(tempo.offset) || tempo.offset < 0) {
+    throw new Error('tempo.offset must be a non-negative number of seconds');
+  }
+  if (!Number.isInteger(tempo.beatsPerBar) || tempo.beatsPerBar < 1 || tempo.beatsPerBar > 16) {
+    throw new Error('tempo.beatsPerBar must be an integer between 1 and 16');
+  }
+  if (!BEAT_UNITS.includes(tempo.beatUnit)) {
+    throw new Error(`tempo.beatUnit must be one of ${BEAT_UNITS.join(', ')}`);
+  }
+  if (!QUANTIZE_VALUES.includes(tempo.quantize)) {
+    throw new Error(`tempo.quantize must be one of ${QUANTIZE_VALUES.join(', ')}`);
+  }
+
+  return {
+    bpm: tempo.bpm,
+    offset: tempo.offset,
+    beatsPerBar: tempo.beatsPerBar,
+    beatUnit: tempo.beatUnit,
+    quantize: tempo.quantize
+  };
+}
+
+/**
+ * Returns the saved cue set for a media item (empty if none saved yet)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getCues(req, res) {
+  try {
+    const { filename } = req.params;
+    const saved = await readJsonFile(getMediaPaths(filename).cues);
+
+    // The editor loads cues whenever it opens a media item, so this marks it as recently used
+    await touchMedia(filename);
+
+    res.json({
+      status: 'success',
+      filename,
+      cues: saved ? saved.cues : [],
+      tempo: saved && saved.tempo ? saved.tempo : null,
+      updatedAt: saved ? saved.updatedAt : null
+    });
+  } catch (error) {
+    console.error('Get cues error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to read cue points',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Replaces the saved cue set for a media item; `tempo` replaces the project tempo when present
+ * (null removes it) and is kept otherwise
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function saveCues(req, res) {
+  const { filename } = req.params;
+  const { cues } = req.body || {};
+
+  if (!Array.isArray(cues)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Request body must contain a "cues" array'
+    });
+  }
+
+  if (cues.length > MAX_CUES) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Too many cue points (max ${MAX_CUES})`
+    });
+  }
+
+  let normalized;
+  let tempo;
+  try {
+    normalized = cues.map(normalizeCue);
+    tempo = req.body.tempo === undefined || req.body.tempo === null ? req.body.tempo : normalizeTempo(req.body.tempo);
+  } catch (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+
+  try {
+    const cuesPath = getMediaPaths(filename).cues;
+    if (tempo === undefined) {
+      const saved = await readJsonFile(cuesPath);
+      tempo = saved && saved.tempo ? saved.tempo : null;
+    }
+
+    const updatedAt = new Date().toISOString();
+    await writeJsonFile(cuesPath, {
+      version: 1,
+      filename,
+      updatedAt,
+      cues: normalized,
+      ...(tempo ? { tempo } : {})
+    });
+
+    res.json({
+      status: 'success',
+      filename,
+      cues: normalized,
+      tempo,
+      updatedAt
+    });
+  } catch (error) {
+    console.error('Save cues error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to save cue points',
+      error: error.message
+    });
+  }
+}
+
+module.exports = {
+  getCues,
+  saveCues
+};
@@ -1,10 +1,40 @@
-const { spawn } = require('child_process');
 const fs = require('fs').promises;
 const path = require('path');
-const slugify = require('slugify');
-
-// Ensure downloads directory exists
-const DOWNLOADS_DIR = path.join(__dirname, 'downloads');
+const {
+  createJob,
+  updateJob,
+  startStage,
+  reportProgress,
+  completeJob,
+  failJob,
+  skipStage,
+  findJob,
+  findActiveJobs
+} = require('./jobController');
+const {
+  DOWNLOADS_DIR,
+  PROCESSING_STAGES,
+  executeCommand,
+  generateUniqueFilename,
+  ensureDownloadsDir,
+  processMediaFile
+} = require('./mediaProcessor');
+const {
+  getMediaPaths,
+  listMediaNames,
+  readManifest,
+  writeManifest,
+  readJsonFile,
+  writeJsonFile,
+  findMediaByVideoId,
+  deleteMedia,
+  renameMedia,
+  getStorageUsage,
+  enforceRetention,
+  isSameRange
+} = require('./mediaLibrary');
+const { generatePeaks } = require('./peaksController');
+const { extractChapters } = require('./chapterRange');
 
 // YouTube URL validation regex
 const YOUTUBE_URL_REGEX = /^(https?:\/\/)?(www\.)?(youtube\.com\/(watch\?v=|embed\/|v\/)|youtu\.be\/)([a-zA-Z0-9_-]{11})/;
@@ -19,90 +49,112 @@ function isValidYouTubeUrl(url) {
 }
 
 /**
- * Executes a shell command using spawn and returns a promise
- * @param {string} command - The command to execute
- * @param {string[]} args - Command arguments
- * @param {Object} options - Spawn options
- * @returns {Promise} - Promise that resolves with stdout or rejects with stderr
+ * Extracts the 11-character video id from a YouTube URL
+ * @param {string} url - YouTube URL
+ * @returns {string|null} - Video id or null if the URL is not a YouTube URL
  */
-function executeCommand(command, args, options = {}) {
-  return new Promise((resolve, reject) => {
-    const process = spawn(command, args, { ...options, stdio: ['pipe', 'pipe', 'pipe'] });
-    
-    let stdout = '';
-    let stderr = '';
-    
-    process.stdout.on('data', (data) => {
-      stdout += data.toString();
-    });
-    
-    process.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
-    
-    process.on('close', (code) => {
-      if (code === 0) {
-        resolve(stdout);
-      } else {
-        reject(new Error(`Command failed with code ${code}: ${stderr}`));
-      }
-    });
-    
-    process.on('error', (error) => {
-      reject(new Error(`Failed to start command: ${error.message}`));
-    });
-  });
+function extractVideoId(url) {
+  const match = url.match(YOUTUBE_URL_REGEX);
+  return match ? match[5] : null;
 }
 
 /**
- * Generates a unique filename based on title and timestamp
- * @param {string} title - The video title
- * @returns {string} - Unique filename
+ * Parses a timestamp given as seconds or in YouTube/clock notation
+ * @param {number|string} value - e.g. 90, "90", "1:30", "1:02:03", "1h2m3s", "90s"
+ * @returns {number|null} - Seconds, or null if the value is not a valid timestamp
  */
-function generateUniqueFilename(title) {
-  const slug = slugify(title, {
-    lower: true,
-    strict: true,
-    remove: /[*+~.()'"!:@]/g
-  });
-  
-  // Limit length and add timestamp for uniqueness
-  const truncatedSlug = slug.substring(0, 50);
-  const timestamp = Date.now();
-  
-  return `${truncatedSlug}-${timestamp}`;
+function parseTimestamp(value) {
+  if (typeof value === 'number') {
+    return isFinite(value) && value >= 0 ? value : null;
+  }
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const text = value.trim();
+
+  if (/^\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+
+  // Clock notation: [[h:]m:]s
+  if (/^\d+(:\d{1,2}){1,2}(\.\d+)?$/.test(text)) {
+    return text.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+  }
+
+  // YouTube notation: 1h2m3s (every unit optional)
+  const match = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s)?$/);
+  if (match && (match[1] || match[2] || match[3])) {
+    return (parseInt(match[1] || 0, 10) * 3600) + (parseInt(match[2] || 0, 10) * 60) + parseFloat(match[3] || 0);
+  }
+
+  return null;
 }
 
 /**
- * Gets video duration using ffprobe
- * @param {string} filePath - Path to video file
- * @returns {Promise<number>} - Duration in seconds
+ * Reads the start time from a `t=` (or `start=`) parameter of a YouTube URL
+ * @param {string} url - YouTube URL, e.g. "https://youtu.be/abc?t=1m30s"
+ * @returns {number|null} - Start offset in seconds or null if the URL has none
  */
-async function getVideoDuration(filePath) {
-  try {
-    const output = await executeCommand('ffprobe', [
-      '-v', 'quiet',
-      '-show_entries', 'format=duration',
-      '-of', 'csv=p=0',
-      filePath
-    ]);
-    
-    return parseFloat(output.trim());
-  } catch (error) {
-    console.warn('Could not get video duration:', error.message);
-    return 0;
+function extractUrlStartTime(url) {
+  const match = url.match(/[?&#](?:t|start)=([^&#]+)/);
+  return match ? parseTimestamp(decodeURIComponent(match[1])) : null;
+}
+
+/**
+ * Resolves the requested time range from the body fields and the URL
+ * @param {string} url - YouTube URL
+ * @param {number|string} start - Requested start (overrides `t=` in the URL)
+ * @param {number|string} end - Requested end
+ * @returns {Object|null} - { start, end } in seconds (end null = until the end), or null for the whole video
+ * @throws {Error} - If a value cannot be parsed or the range is empty
+ */
+function resolveTimeRange(url, start, end) {
+  const hasStart = start !== undefined && start !== null && start !== '';
+  const hasEnd = end !== undefined && end !== null && end !== '';
+
+  const startSeconds = hasStart ? parseTimestamp(start) : extractUrlStartTime(url);
+  const endSeconds = hasEnd ? parseTimestamp(end) : null;
+
+  if (hasStart && startSeconds === null) {
+    throw new Error('Invalid start time (use seconds, mm:ss or 1h2m3s)');
+  }
+  if (hasEnd && endSeconds === null) {
+    throw new Error('Invalid end time (use seconds, mm:ss or 1h2m3s)');
   }
+  if (endSeconds !== null && endSeconds <= (startSeconds || 0)) {
+    throw new Error('End time must be after the start time');
+  }
+
+  if (!startSeconds && endSeconds === null) return null;
+  return { start: startSeconds || 0, end: endSeconds };
 }
 
 /**
- * Gets YouTube video title using yt-dlp with aggressive bot evasion
+ * Formats a time range as a yt-dlp `--download-sections` spec
+ * @param {Object} range - { start, end } in seconds
+ * @returns {string} - e.g. "*90-180" or "*90-inf"
+ */
+function formatSectionSpec(range) {
+  return `*${range.start}-${range.end === null ? 'inf' : range.end}`;
+}
+
+/**
+ * Parses a yt-dlp progress line (requires --newline)
+ * @param {string} line - Output line, e.g. "[download]  42.3% of 10.00MiB at 1.00MiB/s ETA 00:05"
+ * @returns {number|null} - Percentage or null if the line is not a progress line
+ */
+function parseYtDlpProgress(line) {
+  const match = line.match(/\[download\]\s+([\d.]+)%/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Gets YouTube video info (title, chapters, ...) as yt-dlp's JSON info output, with aggressive bot evasion
  * @param {string} url - YouTube URL
- * @returns {Promise<string>} - Video title
+ * @returns {Promise<Object>} - yt-dlp info object (only a default title if the lookup failed)
  */
-async function getVideoTitle(url) {
+async function getVideoInfo(url) {
   try {
     const output = await executeCommand('yt-dlp', [
-      '--get-title',
+      '--dump-single-json',
+      '--no-playlist',
       '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
       '--add-header', 'Accept:text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
       '--add-header', 'Accept-Language:en-us,en;q=0.5',
@@ -117,292 +169,448 @@ async function getVideoTitle(url) {
       url
     ]);
     
-    return output.trim();
+    return JSON.parse(output);
   } catch (error) {
-    console.warn('Could not get video title, using default:', error.message);
-    return 'youtube-video';
+    console.warn('Could not get video info, using default title:', error.message);
+    return { title: 'youtube-video' };
   }
 }
 
+// Download pipeline stages reported to job subscribers (weights approximate relative duration)
+const DOWNLOAD_STAGES = [
+  { id: 'title', label: 'Fetching video info', weight: 1 },
+  { id: 'download', label: 'Downloading', weight: 6 },
+  ...PROCESSING_STAGES
+];
+
 /**
- * Downloads and processes YouTube video with maximum bot evasion
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
+ * Maps a download/processing error to a user-facing message and suggestions
+ * @param {Error} error - The error thrown by the pipeline
+ * @returns {Object} - { message, error, suggestions }
  */
-async function downloadVideo(req, res) {
-  try {
-    const { url } = req.body;
-    
-    // Validate input
-    if (!url) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'YouTube URL is required'
-      });
-    }
-    
-    if (!isValidYouTubeUrl(url)) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Invalid YouTube URL format'
-      });
-    }
-    
-    // Ensure downloads directory exists
-    try {
-      await fs.access(DOWNLOADS_DIR);
-    } catch {
-      await fs.mkdir(DOWNLOADS_DIR, { recursive: true });
-    }
-    
-    console.log(`Starting download for URL: ${url}`);
-    
-    // Get video title for filename generation
-    const videoTitle = await getVideoTitle(url);
-    const filename = generateUniqueFilename(videoTitle);
-    
-    const tempVideoPath = path.join(DOWNLOADS_DIR, `${filename}-temp.mp4`);
-    const finalVideoPath = path.join(DOWNLOADS_DIR, `${filename}-video.mp4`);
-    const audioPath = path.join(DOWNLOADS_DIR, `${filename}-audio.wav`);
-    
-    // Step 1: Download video using yt-dlp with MAXIMUM bot evasion
-    console.log('Downloading video with aggressive bot evasion...');
-    
-    const ytDlpArgs = [
-      // Format selection - prefer widely compatible formats
-      '-f', 'best[height<=720][ext=mp4]/best[ext=mp4]/best',
-      '--merge-output-format', 'mp4',
-      
-      // Browser impersonation
-      '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      '--referer', 'https://www.youtube.com/',
-      
-      // Complete browser headers
-      '--add-header', 'Accept:text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-      '--add-header', 'Accept-Language:en-US,en;q=0.9',
-      '--add-header', 'Accept-Encoding:gzip, deflate, br',
-      '--add-header', 'DNT:1',
-      '--add-header', 'Connection:keep-alive',
-      '--add-header', 'Upgrade-Insecure-Requests:1',
-      '--add-header', 'Sec-Fetch-Dest:document',
-      '--add-header', 'Sec-Fetch-Mode:navigate',
-      '--add-header', 'Sec-Fetch-Site:none',
-      '--add-header', 'Sec-Fetch-User:?1',
-      '--add-header', 'Cache-Control:max-age=0',
-      
-      // Anti-detection settings
-      '--extractor-retries', '10',
-      '--fragment-retries', '10',
-      '--retry-sleep', 'linear=2:10:2',
-      '--sleep-interval', '3',
-      '--max-sleep-interval', '15',
-      '--socket-timeout', '60',
-      
-      // Network settings
-      '--no-check-certificates',
-      '--prefer-insecure',
-      '--no-warnings',
-      '--no-call-home',
-      
-      // Geo bypass attempts
-      '--geo-bypass',
-      '--geo-bypass-country', 'US',
-      
-      // Output
-      '-o', tempVideoPath,
-      url
+function describeDownloadError(error) {
+  // Check if it's a bot detection error and provide helpful message
+  const errorMessage = error.message || '';
+  let userMessage = 'Failed to download and process video';
+  let suggestions = [];
+  
+  if (errorMessage.includes('Sign in to confirm') || errorMessage.includes('bot')) {
+    userMessage = 'YouTube blocked the download (bot detection)';
+    suggestions = [
+      'Try a different video (educational content works better)',
+      'Shorter videos (< 5 minutes) have less protection',
+      'Creative Commons or older videos work better'
     ];
-    
-    await executeCommand('yt-dlp', ytDlpArgs, { cwd: DOWNLOADS_DIR });
-    
-    // Step 2: Extract video-only file (no audio) and ensure H.264 encoding
-    console.log('Extracting video stream...');
-    
-    // Check if the video is already H.264
-    let codecName = 'unknown';
-    try {
-      const probeResult = await executeCommand('ffprobe', [
-        '-v', 'quiet',
-        '-select_streams', 'v:0',
-        '-show_entries', 'stream=codec_name',
-        '-of', 'csv=p=0',
-        tempVideoPath
-      ]);
-      codecName = probeResult.trim();
-    } catch (error) {
-      console.warn('Could not probe video codec, assuming needs re-encoding');
-    }
-    
-    console.log(`Source video codec: ${codecName}`);
-    
-    if (codecName === 'h264') {
-      // Video is already H.264, just copy without re-encoding
-      await executeCommand('ffmpeg', [
-        '-i', tempVideoPath,
-        '-an', // Remove audio
-        '-c:v', 'copy', // Copy video codec without re-encoding
-        '-y', // Overwrite output file
-        finalVideoPath
-      ]);
-    } else {
-      // Re-encode to H.264 for browser compatibility
-      console.log(`Converting ${codecName} to H.264 for browser compatibility...`);
-      await executeCommand('ffmpeg', [
-        '-i', tempVideoPath,
-        '-an', // Remove audio
-        '-c:v', 'libx264', // Encode to H.264
-        '-preset', 'medium', // Encoding speed vs quality trade-off
-        '-crf', '23', // Quality setting (lower = better quality)
-        '-maxrate', '2M', // Limit bitrate for web
-        '-bufsize', '4M', // Buffer size
-        '-y', // Overwrite output file
-        finalVideoPath
-      ]);
-    }
-    
-    // Step 3: Extract audio to WAV format
-    console.log('Extracting audio stream...');
-    await executeCommand('ffmpeg', [
-      '-i', tempVideoPath,
-      '-vn', // Remove video
-      '-acodec', 'pcm_s16le', // 16-bit PCM audio for consistency
-      '-ar', '48000', // 48kHz sample rate for professional audio
-      '-ac', '2', // Stereo
-      '-y', // Overwrite output file
-      audioPath
-    ]);
-    
-    // Get video duration
-    const duration = await getVideoDuration(finalVideoPath);
-    
-    // Clean up temporary file
+  } else if (errorMessage.includes('Video unavailable')) {
+    userMessage = 'Video is unavailable or restricted';
+    suggestions = [
+      'Try a publicly available video',
+      'Check if the video exists and is not private',
+      'Some regions may block certain content'
+    ];
+  } else if (errorMessage.includes('format')) {
+    userMessage = 'Video format not supported';
+    suggestions = [
+      'Try a standard YouTube video (not a livestream)',
+      'Some premium content may not be downloadable'
+    ];
+  }
+
+  return {
+    message: userMessage,
+    error: error.message,
+    suggestions: suggestions
+  };
+}
+
+/**
+ * Runs the yt-dlp + ffmpeg pipeline for a download job, reporting progress per stage
+ * @param {string} jobId - Job id to report progress on
+ * @param {string} url - YouTube URL
+ * @param {Object|null} range - Time range to keep ({ start, end } in seconds), or null for the whole video
+ * @returns {Promise<Object>} - Result payload (file names, duration, title)
+ */
+async function runDownloadPipeline(jobId, url, range = null) {
+  // Ensure downloads directory exists
+  await ensureDownloadsDir();
+  
+  console.log(`Starting download for URL: ${url}`);
+  
+  // Get video title (for filename generation) and chapters
+  startStage(jobId, 'title', 'Fetching video info...');
+  const info = await getVideoInfo(url);
+  const videoTitle = info.title || 'youtube-video';
+  const chapters = extractChapters(info, range);
+  const filename = generateUniqueFilename(videoTitle);
+  updateJob(jobId, { title: videoTitle, filename });
+  
+  const tempVideoPath = path.join(DOWNLOADS_DIR, `${filename}-temp.mp4`);
+  
+  // Step 1: Download video using yt-dlp with MAXIMUM bot evasion
+  console.log('Downloading video with aggressive bot evasion...');
+  startStage(jobId, 'download', `Downloading "${videoTitle}"...`);
+  
+  const ytDlpArgs = [
+    // Format selection - prefer widely compatible formats
+    '-f', 'best[height<=720][ext=mp4]/best[ext=mp4]/best',
+    '--merge-output-format', 'mp4',
+    
+    // Browser impersonation
+    '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    '--referer', 'https://www.youtube.com/',
+    
+    // Complete browser headers
+    '--add-header', 'Accept:text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
+    '--add-header', 'Accept-Language:en-US,en;q=0.9',
+    '--add-header', 'Accept-Encoding:gzip, deflate, br',
+    '--add-header', 'DNT:1',
+    '--add-header', 'Connection:keep-alive',
+    '--add-header', 'Upgrade-Insecure-Requests:1',
+    '--add-header', 'Sec-Fetch-Dest:document',
+    '--add-header', 'Sec-Fetch-Mode:navigate',
+    '--add-header', 'Sec-Fetch-Site:none',
+    '--add-header', 'Sec-Fetch-User:?1',
+    '--add-header', 'Cache-Control:max-age=0',
+    
+    // Anti-detection settings
+    '--extractor-retries', '10',
+    '--fragment-retries', '10',
+    '--retry-sleep', 'linear=2:10:2',
+    '--sleep-interval', '3',
+    '--max-sleep-interval', '15',
+    '--socket-timeout', '60',
+    
+    // Network settings
+    '--no-check-certificates',
+    '--prefer-insecure',
+    '--no-warnings',
+    '--no-call-home',
+    '--newline', // One progress line per update so it can be parsed
+    
+    // Geo bypass attempts
+    '--geo-bypass',
+    '--geo-bypass-country', 'US',
+    
+    // Time range: only fetch the requested window, cutting exactly at its edges
+    ...(range ? ['--download-sections', formatSectionSpec(range), '--force-keyframes-at-cuts'] : []),
+    
+    // Output
+    '-o', tempVideoPath,
+    url
+  ];
+  
+  // processMediaFile removes the temp file once it has split it. A failed download or split
+  // would leave it (or yt-dlp's .part file) behind, and a failure after the split would leave a
+  // broken library item, so a failed pipeline removes the item's files as well
+  try {
+    await executeCommand('yt-dlp', ytDlpArgs, {
+      cwd: DOWNLOADS_DIR,
+      onLine: (line) => {
+        const percent = parseYtDlpProgress(line);
+        if (percent !== null) reportProgress(jobId, percent);
+      }
+    });
+
+    const processed = await processMediaFile(jobId, tempVideoPath, filename);
+
+    // Peaks are optional: the peaks endpoint generates them on first request if this fails,
+    // and the file pair is complete, so the job still records its manifest
     try {
-      await fs.unlink(tempVideoPath);
+      await generatePeaks(filename, { jobId, duration: processed.duration });
     } catch (error) {
-      console.warn('Could not delete temporary file:', error.message);
+      console.error(`Waveform peaks failed for ${filename}, continuing without them:`, error);
     }
-    
-    // Verify files were created successfully
+
+    // Record where the media came from alongside its stream details; `offset` maps
+    // media time back to the YouTube timeline (youtubeTime = mediaTime + offset)
+    const manifest = await writeManifest(filename, {
+      title: videoTitle,
+      source: { type: 'youtube', url, videoId: extractVideoId(url), range, offset: range ? range.start : 0 },
+      duration: processed.duration,
+      chapters
+    });
+
+    console.log(`Successfully processed video: ${filename}`);
+
+    return {
+      ...processed,
+      title: videoTitle,
+      manifest
+    };
+  } catch (error) {
+    await deleteMedia(filename);
+    throw error;
+  } finally {
+    await Promise.all([tempVideoPath, `${tempVideoPath}.part`].map(file => fs.rm(file, { force: true })));
+  }
+}
+
+/**
+ * Looks for a running download or a library item for the same YouTube video and time range
+ * @param {string} videoId - 11-character YouTube video id
+ * @param {string} url - Requested URL
+ * @param {Object|null} range - Requested time range, or null for the whole video
+ * @returns {Promise<Object|null>} - Response payload for the duplicate, or null if none
+ */
+async function findExistingDownload(videoId, url, range) {
+  // Same video already downloading: follow that job instead of starting another
+  const runningJob = findActiveJobs().find(active => (
+    active.type === 'download' && active.params.videoId === videoId && isSameRange(active.params.range, range)
+  ));
+  if (runningJob) {
+    console.log(`Download for ${videoId} already in progress (job ${runningJob.id})`);
+    return {
+      status: 'accepted',
+      deduplicated: true,
+      jobId: runningJob.id,
+      job: runningJob
+    };
+  }
+
+  const existing = await findMediaByVideoId(videoId, range);
+  if (!existing) return null;
+
+  console.log(`Video ${videoId} already in library as ${existing.filename}`);
+
+  const saved = await readJsonFile(getMediaPaths(existing.filename).cues);
+  const result = {
+    videoFile: `${existing.filename}-video.mp4`,
+    audioFile: `${existing.filename}-audio.wav`,
+    duration: existing.duration,
+    filename: existing.filename,
+    title: existing.title,
+    manifest: existing,
+    cues: saved ? saved.cues : [],
+    deduplicated: true,
+    downloadPath: DOWNLOADS_DIR
+  };
+
+  // Record a finished job so clients handle this like any other completed download
+  const job = createJob('download', {
+    stages: DOWNLOAD_STAGES,
+    params: { url, videoId, range, fresh: false },
+    title: existing.title,
+    filename: existing.filename
+  });
+  DOWNLOAD_STAGES.forEach(stage => skipStage(job.id, stage.id));
+  completeJob(job.id, result);
+
+  return {
+    status: 'success',
+    deduplicated: true,
+    jobId: job.id,
+    job: findJob(job.id),
+    ...result
+  };
+}
+
+/**
+ * Starts an asynchronous YouTube download job and responds with its id immediately.
+ * Progress is available from GET /api/jobs/:id and GET /api/jobs/:id/events.
+ * A video that is already in the library (matched by YouTube id) is returned as-is
+ * unless the request sets `fresh: true`.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function downloadVideo(req, res) {
+  const { url, start, end, fresh = false } = req.body;
+  
+  // Validate input
+  if (!url) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'YouTube URL is required'
+    });
+  }
+  
+  if (!isValidYouTubeUrl(url)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid YouTube URL format'
+    });
+  }
+
+  const videoId = extractVideoId(url);
+
+  let range;
+  try {
+    range = resolveTimeRange(url, start, end);
+  } catch (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+
+  // Reuse what we already have unless the client explicitly asks for a fresh copy
+  if (!fresh) {
     try {
-      await fs.access(finalVideoPath);
-      await fs.access(audioPath);
+      const duplicate = await findExistingDownload(videoId, url, range);
+      if (duplicate) {
+        return res.status(duplicate.job.status === 'completed' ? 200 : 202).json(duplicate);
+      }
     } catch (error) {
+      console.error('Duplicate lookup error:', error);
       return res.status(500).json({
         status: 'error',
-        message: 'Failed to create output files',
+        message: 'Failed to check the library for this video',
         error: error.message
       });
     }
+  }
+
+  const job = createJob('download', {
+    stages: DOWNLOAD_STAGES,
+    params: { url, videoId, range, fresh: Boolean(fresh) }
+  });
+
+  // Run the pipeline in the background; clients follow progress via the job endpoints
+  runDownloadPipeline(job.id, url, range)
+    .then(result => {
+      completeJob(job.id, { ...result, downloadPath: DOWNLOADS_DIR });
+      enforceRetention({ keep: [result.filename] }).catch(error => {
+        console.error('Retention error:', error);
+      });
+    })
+    .catch(error => {
+      console.error('Download error:', error);
+      failJob(job.id, describeDownloadError(error));
+    });
+
+  res.status(202).json({
+    status: 'accepted',
+    jobId: job.id,
+    job: findJob(job.id)
+  });
+}
+
+/**
+ * Lists all downloaded video/audio pairs
+ * @param {Object} req - Express request object  
+ * @param {Object} res - Express response object
+ */
+async function listDownloads(req, res) {
+  try {
+    // Ensure downloads directory exists
+    await ensureDownloadsDir();
     
-    console.log(`Successfully processed video: ${filename}`);
+    // Only complete pairs (both -video.mp4 and -audio.wav), with their manifest metadata
+    const names = await listMediaNames();
+    const manifests = await Promise.all(names.map(name => readManifest(name)));
+    
+    const completeDownloads = {};
+    names.forEach((name, index) => {
+      completeDownloads[name] = {
+        video: `${name}-video.mp4`,
+        audio: `${name}-audio.wav`,
+        manifest: manifests[index]
+      };
+    });
     
-    // Return success response
     res.json({
       status: 'success',
-      videoFile: `${filename}-video.mp4`,
-      audioFile: `${filename}-audio.wav`,
-      duration: duration,
-      filename: filename,
-      title: videoTitle,
+      downloads: completeDownloads,
+      storage: await getStorageUsage(),
       downloadPath: DOWNLOADS_DIR
     });
     
   } catch (error) {
-    console.error('Download error:', error);
-    
-    // Check if it's a bot detection error and provide helpful message
-    const errorMessage = error.message || '';
-    let userMessage = 'Failed to download and process video';
-    let suggestions = [];
-    
-    if (errorMessage.includes('Sign in to confirm') || errorMessage.includes('bot')) {
-      userMessage = 'YouTube blocked the download (bot detection)';
-      suggestions = [
-        'Try a different video (educational content works better)',
-        'Shorter videos (< 5 minutes) have less protection',
-        'Creative Commons or older videos work better'
-      ];
-    } else if (errorMessage.includes('Video unavailable')) {
-      userMessage = 'Video is unavailable or restricted';
-      suggestions = [
-        'Try a publicly available video',
-        'Check if the video exists and is not private',
-        'Some regions may block certain content'
-      ];
-    } else if (errorMessage.includes('format')) {
-      userMessage = 'Video format not supported';
-      suggestions = [
-        'Try a standard YouTube video (not a livestream)',
-        'Some premium content may not be downloadable'
-      ];
-    }
-    
-    // Send detailed error response
+    console.error('List downloads error:', error);
     res.status(500).json({
       status: 'error',
-      message: userMessage,
-      error: error.message,
-      suggestions: suggestions,
-      stderr: error.message
+      message: 'Failed to list downloads',
+      error: error.message
     });
   }
 }
 
 /**
- * Lists all downloaded video/audio pairs
- * @param {Object} req - Express request object  
+ * Sends a 409 if a running job (analysis, peaks, render) still reads or writes a media item,
+ * which must not have its files deleted or moved underneath it
  * @param {Object} res - Express response object
+ * @param {string} filename - Media name
+ * @returns {boolean} - Whether a job is active (and the response was sent)
  */
-async function listDownloads(req, res) {
+function rejectIfMediaBusy(res, filename) {
+  const activeJob = findActiveJobs().find(job => job.filename === filename);
+  if (!activeJob) return false;
+
+  res.status(409).json({
+    status: 'error',
+    message: `A ${activeJob.type} job is still using this media item; try again when it has finished`,
+    jobId: activeJob.id
+  });
+  return true;
+}
+
+/**
+ * Deletes a media item (video, audio and all sidecars)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteDownload(req, res) {
+  const { filename } = req.params;
+
+  if (rejectIfMediaBusy(res, filename)) return;
+  
   try {
-    // Ensure downloads directory exists
-    try {
-      await fs.access(DOWNLOADS_DIR);
-    } catch {
-      await fs.mkdir(DOWNLOADS_DIR, { recursive: true });
-      return res.json({
-        status: 'success',
-        downloads: {},
-        downloadPath: DOWNLOADS_DIR
-      });
-    }
-    
-    const files = await fs.readdir(DOWNLOADS_DIR);
-    
-    // Group files by filename prefix (everything before -video/-audio)
-    const downloads = {};
+    await deleteMedia(filename);
     
-    files.forEach(file => {
-      if (file.endsWith('-video.mp4')) {
-        const prefix = file.replace('-video.mp4', '');
-        if (!downloads[prefix]) downloads[prefix] = {};
-        downloads[prefix].video = file;
-      } else if (file.endsWith('-audio.wav')) {
-        const prefix = file.replace('-audio.wav', '');
-        if (!downloads[prefix]) downloads[prefix] = {};
-        downloads[prefix].audio = file;
-      }
+    res.json({
+      status: 'success',
+      filename
     });
-    
-    // Only return entries that have both video and audio
-    const completeDownloads = {};
-    Object.keys(downloads).forEach(prefix => {
-      if (downloads[prefix].video && downloads[prefix].audio) {
-        completeDownloads[prefix] = downloads[prefix];
-      }
+  } catch (error) {
+    console.error('Delete download error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete download',
+      error: error.message
     });
+  }
+}
+
+/**
+ * Retitles a media item and optionally renames its files to match the new title
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function renameDownload(req, res) {
+  const { filename } = req.params;
+  const { title, renameFiles = false } = req.body || {};
+  
+  if (typeof title !== 'string' || !title.trim()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'A non-empty title is required'
+    });
+  }
+
+  if (renameFiles && rejectIfMediaBusy(res, filename)) return;
+  
+  try {
+    let targetName = filename;
+    
+    if (renameFiles) {
+      targetName = generateUniqueFilename(title.trim());
+      await renameMedia(filename, targetName);
+    }
+    
+    const manifest = await readManifest(targetName);
+    manifest.title = title.trim();
+    await writeJsonFile(getMediaPaths(targetName).manifest, manifest);
     
     res.json({
       status: 'success',
-      downloads: completeDownloads,
-      downloadPath: DOWNLOADS_DIR
+      filename: targetName,
+      previousFilename: filename,
+      manifest
     });
-    
   } catch (error) {
-    console.error('List downloads error:', error);
+    console.error('Rename download error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Failed to list downloads',
+      message: 'Failed to rename download',
       error: error.message
     });
   }
@@ -410,5 +618,7 @@ async function listDownloads(req, res) {
 
 module.exports = {
   downloadVideo,
-  listDownloads
+  listDownloads,
+  deleteDownload,
+  renameDownload
 };
@@ -0,0 +1,380 @@
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { getMediaPaths, readJsonFile, readManifest } = require('./mediaLibrary');
+
+// Both Rekordbox and Traktor have eight hot cue slots; later cues are exported as plain memory cues
+const HOT_CUE_SLOTS = 8;
+
+// Colours for cues without their own, by pad slot (repeats after eight)
+const DEFAULT_CUE_COLORS = ['#e62828', '#ff8c00', '#e0c815', '#28e214', '#10b1e6', '#305aff', '#aa72ff', '#de44cf'];
+
+/**
+ * Escapes text for use in an XML attribute value
+ * @param {*} value - Attribute value
+ * @returns {string} - Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, ''); // Not allowed in XML 1.0
+}
+
+/**
+ * Builds an XML element with attributes on one line
+ * @param {string} name - Element name
+ * @param {Object} attributes - Attribute values (undefined values are skipped)
+ * @param {string} children - Inner XML (empty for a self-closing element)
+ * @returns {string} - XML element
+ */
+function xmlElement(name, attributes, children = '') {
+  const attributeText = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+  return children ? `<${name}${attributeText}>${children}</${name}>` : `<${name}${attributeText}/>`;
+}
+
+/**
+ * Lists the saved cues of a media item in pad slot order with their hot cue number and colour
+ * @param {string} name - Media name
+ * @returns {Promise<Array>} - Cues with `seconds` (from the sample position), `hotCue` (-1 past the slots) and `color`
+ */
+async function readExportCues(name) {
+  const saved = await readJsonFile(getMediaPaths(name).cues);
+  const cues = saved ? saved.cues : [];
+
+  return cues.map((cue, slotIndex) => ({
+    ...cue,
+    seconds: cue.sample_position / cue.sample_rate,
+    hotCue: slotIndex < HOT_CUE_SLOTS ? slotIndex : -1,
+    color: cue.color || DEFAULT_CUE_COLORS[slotIndex % DEFAULT_CUE_COLORS.length]
+  }));
+}
+
+/**
+ * Writes a Rekordbox collection XML with one track (the -audio.wav) and its cues as position marks
+ * @param {Object} track - { title, audioPath, size, duration, sampleRate }
+ * @param {Array} cues - Cues from readExportCues
+ * @returns {string} - XML document
+ */
+function buildRekordboxXml(track, cues) {
+  const marks = cues.map(cue => {
+    const red = parseInt(cue.color.slice(1, 3), 16);
+    const green = parseInt(cue.color.slice(3, 5), 16);
+    const blue = parseInt(cue.color.slice(5, 7), 16);
+    return '      ' + xmlElement('POSITION_MARK', {
+      Name: cue.label,
+      Type: cue.loop ? 4 : 0, // Loop or cue (as opposed to fade-in/out)
+      Start: cue.seconds.toFixed(3),
+      End: cue.loop ? cue.end.toFixed(3) : undefined,
+      Num: cue.hotCue, // -1 is a memory cue
+      Red: cue.hotCue >= 0 ? red : undefined,
+      Green: cue.hotCue >= 0 ? green : undefined,
+      Blue: cue.hotCue >= 0 ? blue : undefined
+    });
+  });
+
+  const trackElement = xmlElement('TRACK', {
+    TrackID: 1,
+    Name: track.title,
+    Kind: 'WAV File',
+    Size: track.size ?? undefined,
+    TotalTime: track.duration ? Math.round(track.duration) : undefined,
+    SampleRate: track.sampleRate,
+    Location: pathToFileURL(track.audioPath).href.replace(/^file:\/\/\//, 'file://localhost/')
+  }, marks.length ? `\n${marks.join('\n')}\n    ` : '');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<DJ_PLAYLISTS Version="1.0.0">',
+    '  ' + xmlElement('PRODUCT', { Name: 'YouTube Cue Point Editor', Version: '1.0.0', Company: '' }),
+    '  ' + xmlElement('COLLECTION', { Entries: 1 }, `\n    ${trackElement}\n  `),
+    '  ' + xmlElement('PLAYLISTS', {}, `\n    ${xmlElement('NODE', { Type: 0, Name: 'ROOT', Count: 0 })}\n  `),
+    '</DJ_PLAYLISTS>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Writes a Traktor NML collection with one entry (the -audio.wav) and its cues as CUE_V2 elements.
+ * Traktor colours cues by type, so the NML carries names and hot cue slots only.
+ * @param {Object} track - { title, audioPath, size, duration }
+ * @param {Array} cues - Cues from readExportCues
+ * @returns {string} - NML document
+ */
+function buildTraktorNml(track, cues) {
+  // Traktor paths split the volume from a directory written as "/:dir/:dir/:"
+  const directory = path.dirname(track.audioPath);
+  const volume = process.platform === 'win32' ? directory.slice(0, 2) : '';
+  const folders = directory.slice(volume.length).split(/[\\/]/).filter(Boolean);
+
+  const cueElements = cues.map((cue, index) => '      ' + xmlElement('CUE_V2', {
+    NAME: cue.label,
+    DISPL_ORDER: index,
+    TYPE: cue.loop ? 5 : 0, // Loop or cue (as opposed to fade-in/out or load)
+    START: (cue.seconds * 1000).toFixed(6), // Milliseconds
+    LEN: cue.loop ? ((cue.end - cue.seconds) * 1000).toFixed(6) : '0.000000',
+    REPEATS: -1,
+    HOTCUE: cue.hotCue
+  }, ' '));
+
+  const entry = xmlElement('ENTRY', { TITLE: track.title }, [
+    '',
+    '      ' + xmlElement('LOCATION', {
+      DIR: `/:${folders.map(folder => `${folder}/:`).join('')}`,
+      FILE: path.basename(track.audioPath),
+      VOLUME: volume,
+      VOLUMEID: volume
+    }, ' '),
+    '      ' + xmlElement('INFO', {
+      FILESIZE: track.size ? Math.round(track.size / 1024) : undefined, // Kilobytes
+      PLAYTIME: track.duration ? Math.round(track.duration) : undefined,
+      PLAYTIME_FLOAT: track.duration ? track.duration.toFixed(6) : undefined
+    }, ' '),
+    ...cueElements,
+    '    '
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no" ?>',
+    '<NML VERSION="19">',
+    '  ' + xmlElement('HEAD', { COMPANY: 'www.native-instruments.com', PROGRAM: 'Traktor' }, ' '),
+    '  ' + xmlElement('COLLECTION', { ENTRIES: 1 }, `\n    ${entry}\n  `),
+    '  ' + xmlElement('PLAYLISTS', {}, `\n    ${xmlElement('NODE', { TYPE: 'FOLDER', NAME: '$ROOT' }, xmlElement('SUBNODES', { COUNT: 0 }, ' '))}\n  `),
+    '</NML>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Reads the chunk layout of a RIFF/WAVE file without loading the sample data
+ * @param {string} filePath - Path to the WAV file
+ * @returns {Promise<Object>} - { sampleRate, chunks: [{ id, listType, offset, size }] } with offsets of the chunk headers
+ */
+async function readWavChunks(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const { size: fileSize } = await handle.stat();
+    const header = Buffer.alloc(12);
+    await handle.read(header, 0, 12, 0);
+
+    if (header.toString('ascii', 0, 4) !== 'RIFF' || header.toString('ascii', 8, 12) !== 'WAVE') {
+      throw new Error('Audio file is not a RIFF/WAVE file');
+    }
+
+    const chunks = [];
+    let sampleRate = null;
+    let offset = 12;
+    const chunkHeader = Buffer.alloc(16);
+
+    while (offset + 8 <= fileSize) {
+      await handle.read(chunkHeader, 0, 16, offset);
+      const id = chunkHeader.toString('ascii', 0, 4);
+      // A data chunk written without a final size runs to the end of the file
+      const size = Math.min(chunkHeader.readUInt32LE(4), fileSize - offset - 8);
+
+      chunks.push({
+        id,
+        listType: id === 'LIST' ? chunkHeader.toString('ascii', 8, 12) : null,
+        offset,
+        size
+      });
+      if (id === 'fmt ') sampleRate = chunkHeader.readUInt32LE(12);
+
+      offset += 8 + size + (size % 2); // Chunks are padded to an even size
+    }
+
+    if (!chunks.some(chunk => chunk.id === 'data') || !sampleRate) {
+      throw new Error('Audio file has no fmt or data chunk');
+    }
+
+    return { sampleRate, chunks };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Builds a RIFF chunk with its header and padding byte
+ * @param {string} id - Four-character chunk id
+ * @param {Buffer} body - Chunk data
+ * @returns {Buffer} - Complete chunk
+ */
+function riffChunk(id, body) {
+  const header = Buffer.alloc(8);
+  header.write(id, 0, 'ascii');
+  header.writeUInt32LE(body.length, 4);
+  return Buffer.concat(body.length % 2 ? [header, body, Buffer.alloc(1)] : [header, body]);
+}
+
+/**
+ * Builds the `cue ` chunk and `LIST/adtl` label chunk for a cue set. Cue ids follow pad slot
+ * order (1 = first pad) and positions are sample frames of the data chunk at `sampleRate`.
+ * Cues with an end also get an `ltxt` region length.
+ * @param {Array} cues - Stored cue points
+ * @param {number} sampleRate - Sample rate of the WAV
+ * @returns {Buffer} - Both chunks
+ */
+function buildCueChunks(cues, sampleRate) {
+  const cuePoints = Buffer.alloc(4 + cues.length * 24);
+  cuePoints.writeUInt32LE(cues.length, 0);
+
+  const labels = [Buffer.from('adtl', 'ascii')];
+
+  cues.forEach((cue, index) => {
+    const id = index + 1;
+    const position = Math.round((cue.sample_position * sampleRate) / cue.sample_rate);
+    const entry = 4 + index * 24;
+
+    cuePoints.writeUInt32LE(id, entry);
+    cuePoints.writeUInt32LE(position, entry + 4); // Play order position
+    cuePoints.write('data', entry + 8, 'ascii');
+    cuePoints.writeUInt32LE(0, entry + 12); // Chunk start (no wavl list)
+    cuePoints.writeUInt32LE(0, entry + 16); // Block start (uncompressed PCM)
+    cuePoints.writeUInt32LE(position, entry + 20); // Sample offset in the data chunk
+
+    const text = Buffer.from(`${cue.label}\0`, 'utf8');
+    const labelBody = Buffer.alloc(4 + text.length);
+    labelBody.writeUInt32LE(id, 0);
+    text.copy(labelBody, 4);
+    labels.push(riffChunk('labl', labelBody));
+
+    if (typeof cue.end === 'number') {
+      const region = Buffer.alloc(20);
+      region.writeUInt32LE(id, 0);
+      region.writeUInt32LE(Math.max(0, Math.round(cue.end * sampleRate) - position), 4); // Length in sample frames
+      region.write('rgn ', 8, 'ascii'); // Purpose; country, language, dialect and code page stay 0
+      labels.push(riffChunk('ltxt', region));
+    }
+  });
+
+  return Buffer.concat([riffChunk('cue ', cuePoints), riffChunk('LIST', Buffer.concat(labels))]);
+}
+
+/**
+ * Streams a copy of a media item's -audio.wav with its saved cues embedded as `cue ` and
+ * `LIST/adtl` chunks (existing markers in the file are replaced)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function exportWavWithCues(req, res) {
+  const { filename } = req.params;
+
+  try {
+    const audioPath = getMediaPaths(filename).audio;
+    const { sampleRate, chunks } = await readWavChunks(audioPath);
+    const saved = await readJsonFile(getMediaPaths(filename).cues);
+    const cueChunks = buildCueChunks(saved ? saved.cues : [], sampleRate);
+
+    // Keep format and metadata chunks, drop old markers, and put the new ones before the sample data
+    const keptChunks = chunks.filter(chunk => (
+      chunk.id !== 'data' && chunk.id !== 'cue ' && !(chunk.id === 'LIST' && chunk.listType === 'adtl')
+    ));
+    const dataChunk = chunks.find(chunk => chunk.id === 'data');
+
+    const handle = await fs.promises.open(audioPath, 'r');
+    let kept;
+    try {
+      kept = await Promise.all(keptChunks.map(async chunk => {
+        const body = Buffer.alloc(chunk.size);
+        await handle.read(body, 0, chunk.size, chunk.offset + 8);
+        return riffChunk(chunk.id, body);
+      }));
+    } finally {
+      await handle.close();
+    }
+
+    const dataHeader = Buffer.alloc(8);
+    dataHeader.write('data', 0, 'ascii');
+    dataHeader.writeUInt32LE(dataChunk.size, 4);
+    const dataPadding = dataChunk.size % 2 ? Buffer.alloc(1) : Buffer.alloc(0);
+
+    const head = Buffer.concat([...kept, cueChunks, dataHeader]);
+    const riffSize = 4 + head.length + dataChunk.size + dataPadding.length;
+    const riffHeader = Buffer.alloc(12);
+    riffHeader.write('RIFF', 0, 'ascii');
+    riffHeader.writeUInt32LE(riffSize, 4);
+    riffHeader.write('WAVE', 8, 'ascii');
+
+    res.set('Content-Type', 'audio/wav');
+    res.set('Content-Length', String(8 + riffSize));
+    res.attachment(`${filename}-cues.wav`);
+    res.write(riffHeader);
+    res.write(head);
+
+    const samples = fs.createReadStream(audioPath, {
+      start: dataChunk.offset + 8,
+      end: dataChunk.offset + 8 + dataChunk.size - 1
+    });
+    samples.on('error', error => {
+      console.error('WAV export stream error:', error);
+      res.destroy(error);
+    });
+    samples.on('end', () => res.end(dataPadding));
+    samples.pipe(res, { end: false });
+  } catch (error) {
+    console.error('WAV export error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to export WAV with cues',
+      error: error.message
+    });
+  }
+}
+
+// Exporters by format name: builder, file extension and content type
+const DJ_FORMATS = {
+  rekordbox: { build: buildRekordboxXml, extension: 'xml', contentType: 'application/xml' },
+  traktor: { build: buildTraktorNml, extension: 'nml', contentType: 'application/xml' }
+};
+
+/**
+ * Exports the cues of a media item as hot cues for DJ software (`:format` is rekordbox or traktor).
+ * The track location is the absolute path of the -audio.wav on this machine.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function exportDjCollection(req, res) {
+  const { filename, format } = req.params;
+  const exporter = DJ_FORMATS[format];
+
+  if (!exporter) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Unknown export format "${format}" (use ${Object.keys(DJ_FORMATS).join(' or ')})`
+    });
+  }
+
+  try {
+    const manifest = await readManifest(filename);
+    const cues = await readExportCues(filename);
+    const track = {
+      title: manifest.title || filename,
+      audioPath: getMediaPaths(filename).audio,
+      size: manifest.audio?.size,
+      duration: manifest.duration,
+      sampleRate: manifest.audio?.sampleRate || 48000
+    };
+
+    res.set('Content-Type', `${exporter.contentType}; charset=utf-8`);
+    res.attachment(`${filename}-${format}.${exporter.extension}`);
+    res.send(exporter.build(track, cues));
+  } catch (error) {
+    console.error('DJ export error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: `Failed to export ${format} collection`,
+      error: error.message
+    });
+  }
+}
+
+module.exports = {
+  exportDjCollection,
+  exportWavWithCues
+};
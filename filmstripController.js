@@ -0,0 +1,121 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { executeCommand, probeMediaStreams } = require('./mediaProcessor');
+const { getMediaPaths, readJsonFile, writeJsonFile, readManifest } = require('./mediaLibrary');
+
+// Seconds between filmstrip frames; longer media uses a wider interval to stay under MAX_FRAMES
+const FILMSTRIP_INTERVAL = 2;
+const MAX_FRAMES = 1000;
+
+// Frame width in the sprite sheets (height follows the video aspect ratio)
+const FRAME_WIDTH = 160;
+
+// Frames per sprite sheet (columns x rows)
+const SPRITE_COLUMNS = 10;
+const SPRITE_ROWS = 10;
+
+// Filmstrip generation currently running per media name, so concurrent requests share one ffmpeg
+const pendingGenerations = new Map();
+
+/**
+ * Renders the sprite sheets of a media item's filmstrip into `{name}-filmstrip/`
+ * and writes their layout to `filmstrip.json` in the same directory
+ * @param {string} name - Media name
+ * @returns {Promise<Object>} - Filmstrip layout ({ interval, frameWidth, frameHeight, columns, rows, count, sprites })
+ */
+function generateFilmstrip(name) {
+  if (pendingGenerations.has(name)) return pendingGenerations.get(name);
+
+  const generation = (async () => {
+    const paths = getMediaPaths(name);
+    const manifest = await readManifest(name);
+    const probe = await probeMediaStreams(paths.video);
+    const videoStream = probe?.streams?.find(stream => stream.codec_type === 'video') || {};
+
+    const duration = manifest.duration || parseFloat(probe?.format?.duration) || 0;
+    const interval = Math.max(FILMSTRIP_INTERVAL, Math.ceil(duration / MAX_FRAMES));
+
+    // scale=W:-2 rounds the height to an even number, so mirror that here
+    const aspect = videoStream.width && videoStream.height ? videoStream.height / videoStream.width : 9 / 16;
+    const frameHeight = Math.round((FRAME_WIDTH * aspect) / 2) * 2;
+
+    // Render into a scratch directory and swap it in, so readers never see half a filmstrip
+    const tempDir = `${paths.filmstrip}.${process.pid}.tmp`;
+    await fs.rm(tempDir, { recursive: true, force: true });
+    await fs.mkdir(tempDir, { recursive: true });
+
+    try {
+      await executeCommand('ffmpeg', [
+        '-v', 'error',
+        '-i', paths.video,
+        '-an',
+        '-vf', `fps=1/${interval},scale=${FRAME_WIDTH}:${frameHeight},tile=${SPRITE_COLUMNS}x${SPRITE_ROWS}`,
+        '-q:v', '6', // JPEG quality (2 = best, 31 = worst)
+        '-y',
+        path.join(tempDir, 'sprite-%03d.jpg')
+      ]);
+    } catch (error) {
+      await fs.rm(tempDir, { recursive: true, force: true });
+      throw error;
+    }
+
+    const sprites = (await fs.readdir(tempDir))
+      .filter(file => /^sprite-\d+\.jpg$/.test(file))
+      .sort();
+
+    const filmstrip = {
+      version: 1,
+      interval,
+      frameWidth: FRAME_WIDTH,
+      frameHeight,
+      columns: SPRITE_COLUMNS,
+      rows: SPRITE_ROWS,
+      count: Math.max(1, Math.ceil(duration / interval)),
+      sprites
+    };
+
+    await writeJsonFile(path.join(tempDir, 'filmstrip.json'), filmstrip);
+    await fs.rm(paths.filmstrip, { recursive: true, force: true });
+    await fs.rename(tempDir, paths.filmstrip);
+
+    console.log(`Generated filmstrip for ${name}: ${sprites.length} sprite sheet(s)`);
+    return filmstrip;
+  })();
+
+  pendingGenerations.set(name, generation);
+  return generation.finally(() => pendingGenerations.delete(name));
+}
+
+/**
+ * Returns the filmstrip layout of a media item with sprite sheet URLs, generating it on first request.
+ * Frame `i` shows time `i * interval` and sits in sheet `floor(i / (columns * rows))`.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getFilmstrip(req, res) {
+  const { filename } = req.params;
+
+  try {
+    const filmstripDir = getMediaPaths(filename).filmstrip;
+    const filmstrip = await readJsonFile(path.join(filmstripDir, 'filmstrip.json')) || await generateFilmstrip(filename);
+    const baseUrl = `/downloads/${path.basename(filmstripDir)}`;
+
+    res.json({
+      status: 'success',
+      filename,
+      ...filmstrip,
+      sprites: filmstrip.sprites.map(sprite => `${baseUrl}/${sprite}`)
+    });
+  } catch (error) {
+    console.error('Filmstrip error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to generate filmstrip',
+      error: error.message
+    });
+  }
+}
+
+module.exports = {
+  getFilmstrip
+};
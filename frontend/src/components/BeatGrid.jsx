@@ -0,0 +1,109 @@
+import { useEffect, useRef, useCallback } from 'react';
+import { getGridLines } from '../utils/tempoGrid';
+
+// Lines closer together than this (CSS pixels) are thinned out
+const MIN_LINE_SPACING = 6;
+
+/**
+ * BeatGrid component drawing beat and bar lines over the waveform, with a handle to drag the
+ * first downbeat
+ *
+ * @param {Object} props
+ * @param {Object} props.tempo - Project tempo ({ bpm, offset, beatsPerBar })
+ * @param {number} props.duration - Media duration in seconds
+ * @param {Object} props.viewport - Scrollable waveform size ({ width, scrollLeft, clientWidth })
+ * @param {number} props.height - Height in pixels
+ * @param {Function} props.onOffsetChange - Callback with the new first downbeat (seconds) while dragging
+ */
+const BeatGrid = ({
+  tempo,
+  duration,
+  viewport,
+  height,
+  onOffsetChange
+}) => {
+  const canvasRef = useRef(null);
+  const contentWidth = viewport.width || viewport.clientWidth;
+  const pixelsPerSecond = duration > 0 ? contentWidth / duration : 0;
+
+  // Redraw the visible part of the grid when the tempo, zoom or scroll position changes
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !pixelsPerSecond || !viewport.clientWidth) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(viewport.clientWidth * ratio);
+    canvas.height = Math.round(height * ratio);
+
+    const context = canvas.getContext('2d');
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, viewport.clientWidth, height);
+
+    // Draw every beat when there is room, otherwise every bar or every few bars
+    const beatPixels = (60 / tempo.bpm) * pixelsPerSecond;
+    let beatStep = 1;
+    if (beatPixels < MIN_LINE_SPACING) {
+      beatStep = tempo.beatsPerBar;
+      while (beatPixels * beatStep < MIN_LINE_SPACING) beatStep *= 2;
+    }
+
+    const start = viewport.scrollLeft / pixelsPerSecond;
+    const end = Math.min(duration, (viewport.scrollLeft + viewport.clientWidth) / pixelsPerSecond);
+
+    getGridLines(tempo, start, end, beatStep).forEach(({ time, isBar }) => {
+      const x = Math.round(time * pixelsPerSecond - viewport.scrollLeft) + 0.5;
+      context.strokeStyle = isBar ? 'rgba(255, 255, 255, 0.45)' : 'rgba(255, 255, 255, 0.15)';
+      context.lineWidth = 1;
+      context.beginPath();
+      context.moveTo(x, 0);
+      context.lineTo(x, height);
+      context.stroke();
+    });
+  }, [tempo, duration, viewport, height, pixelsPerSecond]);
+
+  // Drag the first downbeat; the whole grid moves with it
+  const handlePointerDown = useCallback((event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    const handle = event.currentTarget;
+    const layer = handle.parentElement;
+    handle.setPointerCapture(event.pointerId);
+
+    const handlePointerMove = (moveEvent) => {
+      const rect = layer.getBoundingClientRect();
+      const time = (moveEvent.clientX - rect.left + viewport.scrollLeft) / pixelsPerSecond;
+      onOffsetChange(Math.round(Math.max(0, Math.min(duration, time)) * 1000) / 1000);
+    };
+    const handlePointerUp = () => {
+      handle.removeEventListener('pointermove', handlePointerMove);
+      handle.removeEventListener('pointerup', handlePointerUp);
+    };
+
+    handle.addEventListener('pointermove', handlePointerMove);
+    handle.addEventListener('pointerup', handlePointerUp);
+  }, [viewport.scrollLeft, pixelsPerSecond, duration, onOffsetChange]);
+
+  if (!pixelsPerSecond) return null;
+
+  const handleX = tempo.offset * pixelsPerSecond - viewport.scrollLeft;
+
+  return (
+    <div className="beat-grid absolute inset-0 overflow-hidden pointer-events-none">
+      <canvas
+        ref={canvasRef}
+        className="absolute top-0 left-0"
+        style={{ width: `${viewport.clientWidth}px`, height: `${height}px` }}
+      />
+      {onOffsetChange && handleX >= 0 && handleX <= viewport.clientWidth && (
+        <div
+          onPointerDown={handlePointerDown}
+          className="absolute top-0 z-20 w-3 h-3 -ml-1.5 bg-white/80 hover:bg-white cursor-ew-resize pointer-events-auto"
+          style={{ left: `${handleX}px`, clipPath: 'polygon(0 0, 100% 0, 50% 100%)' }}
+          title={`First downbeat at ${tempo.offset.toFixed(3)}s - drag to move the grid`}
+        />
+      )}
+    </div>
+  );
+};
+
+export default BeatGrid;
@@ -1,4 +1,5 @@
 import { useState, useCallback, useRef } from 'react';
+import { toCueSheet, parseCueSheet, toAudacityLabels, parseAudacityLabels } from '../utils/cueFormats';
 
 /**
  * CuePointEditor - Comprehensive cue point management interface
@@ -9,13 +10,15 @@ import { useState, useCallback, useRef } from 'react';
  * @param {number} props.audioDuration - For input bounds checking
  * @param {number} props.currentTime - Current audio time for default new cue time
  * @param {number} props.sampleRate - Sample rate for precise calculations (default: 48000)
+ * @param {string} props.audioFileName - Audio file named in exported CUE sheets (default: audio.wav)
  */
 const CuePointEditor = ({
   cuePoints = [],
   onUpdate,
   audioDuration = 0,
   currentTime = 0,
-  sampleRate = 48000
+  sampleRate = 48000,
+  audioFileName = 'audio.wav'
 }) => {
   const [editingId, setEditingId] = useState(null);
   const [validationErrors, setValidationErrors] = useState({});
@@ -156,20 +159,34 @@ const CuePointEditor = ({
     });
   }, [cuePoints, onUpdate]);
 
-  // Save cues to JSON file
-  const saveCuesToJSON = useCallback(() => {
-    const dataStr = JSON.stringify(cuePoints, null, 2);
-    const dataUri = 'data:application/json;charset=utf-8,'+ encodeURIComponent(dataStr);
+  // Download text as a timestamped cue-points file
+  const downloadCueFile = useCallback((dataStr, extension, mimeType) => {
+    const dataUri = `data:${mimeType};charset=utf-8,` + encodeURIComponent(dataStr);
     
-    const exportFileDefaultName = `cue-points-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+    const exportFileDefaultName = `cue-points-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.${extension}`;
     
     const linkElement = document.createElement('a');
     linkElement.setAttribute('href', dataUri);
     linkElement.setAttribute('download', exportFileDefaultName);
     linkElement.click();
-  }, [cuePoints]);
+  }, []);
 
-  // Load cues from JSON file
+  // Save cues to JSON file
+  const saveCuesToJSON = useCallback(() => {
+    downloadCueFile(JSON.stringify(cuePoints, null, 2), 'json', 'application/json');
+  }, [cuePoints, downloadCueFile]);
+
+  // Export cues as a CUE sheet (one track per cue)
+  const saveCuesToCueSheet = useCallback(() => {
+    downloadCueFile(toCueSheet(cuePoints, { audioFile: audioFileName }), 'cue', 'application/x-cue');
+  }, [cuePoints, audioFileName, downloadCueFile]);
+
+  // Export cues as an Audacity label track (regions run to the next cue)
+  const saveCuesToLabels = useCallback(() => {
+    downloadCueFile(toAudacityLabels(cuePoints, { duration: audioDuration }), 'txt', 'text/plain');
+  }, [cuePoints, audioDuration, downloadCueFile]);
+
+  // Load cues from a JSON, CUE sheet (.cue) or Audacity label (.txt) file
   const loadCuesFromJSON = useCallback((event) => {
     const file = event.target.files[0];
     if (!file) return;
@@ -177,7 +194,12 @@ const CuePointEditor = ({
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
-        const loadedCues = JSON.parse(e.target.result);
+        const extension = file.name.split('.').pop().toLowerCase();
+        const loadedCues = extension === 'cue'
+          ? parseCueSheet(e.target.result, { sampleRate })
+          : extension === 'txt'
+            ? parseAudacityLabels(e.target.result, { sampleRate })
+            : JSON.parse(e.target.result);
         
         // Validate structure
         if (!Array.isArray(loadedCues)) {
@@ -195,7 +217,8 @@ const CuePointEditor = ({
             label: cue.label,
             key: cue.key || '',
             sample_rate: cue.sample_rate || sampleRate,
-            sample_position: cue.sample_position || calculateSamplePosition(cue.time)
+            sample_position: cue.sample_position || calculateSamplePosition(cue.time),
+            ...(cue.color ? { color: cue.color } : {})
           };
         });
         
@@ -268,18 +291,36 @@ const CuePointEditor = ({
           >
             💾 Save JSON
           </button>
+
+          <button
+            onClick={saveCuesToCueSheet}
+            disabled={cuePoints.length === 0}
+            className="px-3 py-1 bg-green-500 text-white rounded hover:bg-green-600 disabled:bg-gray-300 text-sm"
+            title="CUE sheet with one track per cue"
+          >
+            💿 Export CUE
+          </button>
+
+          <button
+            onClick={saveCuesToLabels}
+            disabled={cuePoints.length === 0}
+            className="px-3 py-1 bg-green-500 text-white rounded hover:bg-green-600 disabled:bg-gray-300 text-sm"
+            title="Audacity label track (File > Import > Labels)"
+          >
+            🏷️ Export Labels
+          </button>
           
           <button
             onClick={() => fileInputRef.current?.click()}
             className="px-3 py-1 bg-purple-500 text-white rounded hover:bg-purple-600 text-sm"
           >
-            📁 Load JSON
+            📁 Load Cues
           </button>
           
           <input
             ref={fileInputRef}
             type="file"
-            accept=".json"
+            accept=".json,.cue,.txt"
             onChange={loadCuesFromJSON}
             className="hidden"
           />
@@ -395,6 +436,7 @@ const CuePointEditor = ({
           <li>• Enter time as MM:SS.mmm (e.g., 1:23.500) or seconds (83.5)</li>
           <li>• Assign single-character keys (1-9, a-z) for keyboard shortcuts</li>
           <li>• Drag rows to reorder • Save/Load as JSON for persistence</li>
+          <li>• Export as a CUE sheet or Audacity labels; both load back with &quot;Load Cues&quot;</li>
         </ul>
       </div>
     </div>
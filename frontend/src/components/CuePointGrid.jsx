@@ -1,4 +1,5 @@
 import { useCallback } from 'react';
+import { getKeyForSlot } from '../utils/cueSlots';
 
 /**
  * CuePointGrid component for managing cue points in a grid layout
@@ -6,22 +7,28 @@ import { useCallback } from 'react';
  * @param {Object} props
  * @param {Array} props.cuePoints - Array of cue point objects
  * @param {Function} props.onCueClick - Callback when a cue point is clicked
- * @param {Function} props.onJumpToCue - Callback to jump to a specific cue time
+ * @param {Function} props.onJumpToCue - Callback to jump to a specific cue time, with the cue
+ * @param {Function} props.onUpdateCue - Callback with a pad's slot index and changed fields ({ end, loop }); shows end and loop buttons on pads
  * @param {Object} props.activeCue - Currently active cue point
  * @param {number} props.currentTime - Current playback time
  * @param {Function} props.onAddCue - Callback to add a new cue point
  * @param {Function} props.onClearAll - Callback to clear all cue points
  * @param {number} props.maxCueSlots - Maximum number of cue slots (default: 16)
+ * @param {string} props.mediaName - Media name of the loaded file pair; enables video frame thumbnails on pads
+ * @param {Function} props.onExportClip - Callback with a pad's slot index to render its clip; shows a clip button on pads
  */
 const CuePointGrid = ({
   cuePoints = [],
   onCueClick,
   onJumpToCue,
+  onUpdateCue = null,
   activeCue = null,
   currentTime = 0,
   onAddCue,
   onClearAll,
-  maxCueSlots = 16
+  maxCueSlots = 16,
+  mediaName = null,
+  onExportClip = null
 }) => {
   // Format time for display
   const formatTime = useCallback((seconds) => {
@@ -30,29 +37,6 @@ const CuePointGrid = ({
     return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
   }, []);
 
-  // Get key for specific slot position based on 4x4 grid layout
-  const getKeyForSlot = useCallback((slotIndex) => {
-    // First row (slots 0-3): keys 1,2,3,4
-    if (slotIndex < 4) {
-      return (slotIndex + 1).toString();
-    }
-    // Second row (slots 4-7): keys Q,W,E,R
-    else if (slotIndex < 8) {
-      const secondRowKeys = ['Q', 'W', 'E', 'R'];
-      return secondRowKeys[slotIndex - 4];
-    }
-    // Third row (slots 8-11): keys A,S,D,F
-    else if (slotIndex < 12) {
-      const thirdRowKeys = ['A', 'S', 'D', 'F'];
-      return thirdRowKeys[slotIndex - 8];
-    }
-    // Fourth row (slots 12-15): keys Z,X,C,V
-    else {
-      const fourthRowKeys = ['Z', 'X', 'C', 'V'];
-      return fourthRowKeys[slotIndex - 12] || (slotIndex + 1).toString();
-    }
-  }, []);
-
   // Handle adding a cue at current time
   const handleAddCueAtCurrentTime = useCallback(() => {
     if (!onAddCue) return;
@@ -72,7 +56,7 @@ const CuePointGrid = ({
     };
     
     onAddCue(newCue);
-  }, [currentTime, cuePoints, maxCueSlots, getKeyForSlot, onAddCue]);
+  }, [currentTime, cuePoints, maxCueSlots, onAddCue]);
 
   // Handle adding a cue at specific slot
   const handleAddCueAtSlot = useCallback((slotIndex) => {
@@ -87,7 +71,7 @@ const CuePointGrid = ({
     };
     
     onAddCue(newCue);
-  }, [currentTime, getKeyForSlot, onAddCue]);
+  }, [currentTime, onAddCue]);
 
   return (
     <div className="cue-point-grid bg-gray-800 rounded-lg p-4">
@@ -142,27 +126,82 @@ const CuePointGrid = ({
             );
           }
 
+          const hasEnd = typeof cue.end === 'number';
+
+          // Video frame at the cue time; the URL changes (and the frame is re-extracted) when the time changes
+          const thumbnailUrl = mediaName
+            ? `/api/media/${encodeURIComponent(mediaName)}/thumbnail?time=${cue.time.toFixed(3)}&width=240`
+            : null;
+
           // Existing cue point
           return (
             <div
               key={`cue-${cue.time}-${slotIndex}`}
               onClick={() => {
                 if (onCueClick) onCueClick(cue);
-                if (onJumpToCue) onJumpToCue(cue.time);
+                if (onJumpToCue) onJumpToCue(cue.time, cue);
               }}
-              className={`flex flex-col items-center justify-center p-2 rounded aspect-[2/1] cursor-pointer transition-colors ${
+              className={`relative flex flex-col items-center justify-center p-2 rounded aspect-[2/1] cursor-pointer transition-colors bg-cover bg-center ${
                 isActive 
-                  ? 'bg-red-600 text-white' 
+                  ? 'bg-red-600 text-white ring-2 ring-red-500' 
                   : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
               }`}
-              title={`${cue.label} - ${formatTime(cue.time)} - Key: ${cue.key || 'None'}`}
+              style={thumbnailUrl ? {
+                // Dark overlay keeps the key and time readable on bright frames
+                backgroundImage: `linear-gradient(rgba(17, 24, 39, ${isActive ? 0.35 : 0.55}), rgba(17, 24, 39, ${isActive ? 0.35 : 0.55})), url("${thumbnailUrl}")`
+              } : undefined}
+              title={`${cue.label} - ${formatTime(cue.time)}${hasEnd ? ` to ${formatTime(cue.end)}${cue.loop ? ' (loop)' : ''}` : ''} - Key: ${cue.key || 'None'}`}
             >
               <div className="text-lg font-bold text-center">
                 {cue.key || slotIndex + 1}
               </div>
               <div className="text-xs font-mono mt-0.5">
                 {formatTime(cue.time)}
+                {hasEnd && `–${formatTime(cue.end)}`}
+                {cue.loop && ' ⟲'}
               </div>
+              {onUpdateCue && (
+                <div className="absolute top-1 left-1 flex gap-0.5">
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation(); // Don't jump to the cue
+                      onUpdateCue(slotIndex, { end: hasEnd ? null : currentTime });
+                    }}
+                    disabled={!hasEnd && currentTime <= cue.time}
+                    className={`px-1 text-[10px] leading-4 rounded disabled:opacity-40 ${
+                      hasEnd ? 'bg-red-700 hover:bg-red-600' : 'bg-gray-900 bg-opacity-70 hover:bg-opacity-100'
+                    }`}
+                    title={hasEnd ? 'Clear the end; the pad plays on' : 'End the pad at the playhead'}
+                  >
+                    ⇥
+                  </button>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation(); // Don't jump to the cue
+                      onUpdateCue(slotIndex, { loop: !cue.loop });
+                    }}
+                    disabled={!hasEnd}
+                    className={`px-1 text-[10px] leading-4 rounded disabled:opacity-40 ${
+                      cue.loop ? 'bg-amber-600 hover:bg-amber-500' : 'bg-gray-900 bg-opacity-70 hover:bg-opacity-100'
+                    }`}
+                    title={hasEnd ? (cue.loop ? 'Stop looping' : 'Loop between the cue and its end') : 'Set an end to loop the pad'}
+                  >
+                    ⟲
+                  </button>
+                </div>
+              )}
+              {onExportClip && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation(); // Don't jump to the cue
+                    onExportClip(slotIndex);
+                  }}
+                  className="absolute top-1 right-1 px-1 text-[10px] leading-4 bg-gray-900 bg-opacity-70 hover:bg-opacity-100 rounded"
+                  title="Render this pad's clip (to its end or the next cue) as mp4"
+                >
+                  mp4
+                </button>
+              )}
             </div>
           );
         })}
@@ -0,0 +1,166 @@
+import { useEffect, useState, useCallback } from 'react';
+
+/**
+ * FilmstripLane component showing video frames from server-generated sprite sheets,
+ * aligned with the (possibly zoomed and scrolled) waveform above it
+ *
+ * @param {Object} props
+ * @param {string} props.filmstripUrl - Filmstrip endpoint (e.g. /api/media/:filename/filmstrip)
+ * @param {number} props.duration - Media duration in seconds
+ * @param {Object} props.viewport - Waveform viewport ({ width, scrollLeft, clientWidth } in pixels)
+ * @param {Function} props.onSeek - Callback with the time (seconds) of a clicked frame
+ * @param {number} props.height - Height of the lane (default: 48px)
+ */
+const FilmstripLane = ({
+  filmstripUrl,
+  duration,
+  viewport,
+  onSeek,
+  height = 48
+}) => {
+  const [filmstrip, setFilmstrip] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [hover, setHover] = useState(null);
+
+  // Fetch the sprite sheet layout (the server generates it on first request)
+  useEffect(() => {
+    if (!filmstripUrl) return;
+
+    let cancelled = false;
+    setFilmstrip(null);
+    setStatus('loading');
+
+    const loadFilmstrip = async () => {
+      try {
+        const response = await fetch(filmstripUrl);
+        const data = await response.json();
+        if (cancelled) return;
+
+        if (data.status === 'success') {
+          setFilmstrip(data);
+          setStatus('ready');
+        } else {
+          setStatus('error');
+        }
+      } catch (error) {
+        if (cancelled) return;
+        console.error('Failed to load filmstrip:', error);
+        setStatus('error');
+      }
+    };
+
+    loadFilmstrip();
+    return () => {
+      cancelled = true;
+    };
+  }, [filmstripUrl]);
+
+  // Background style showing one frame of the sprite sheets at the given height
+  const frameStyle = useCallback((frameIndex, displayHeight) => {
+    const perSheet = filmstrip.columns * filmstrip.rows;
+    const index = Math.max(0, Math.min(frameIndex, filmstrip.count - 1));
+    const sheet = filmstrip.sprites[Math.floor(index / perSheet)] || filmstrip.sprites[filmstrip.sprites.length - 1];
+    const cell = index % perSheet;
+    const scale = displayHeight / filmstrip.frameHeight;
+    const frameWidth = filmstrip.frameWidth * scale;
+
+    return {
+      width: `${frameWidth}px`,
+      height: `${displayHeight}px`,
+      backgroundImage: `url("${sheet}")`,
+      backgroundSize: `${filmstrip.columns * frameWidth}px ${filmstrip.rows * displayHeight}px`,
+      backgroundPosition: `${-(cell % filmstrip.columns) * frameWidth}px ${-Math.floor(cell / filmstrip.columns) * displayHeight}px`
+    };
+  }, [filmstrip]);
+
+  // Convert a pointer position to media time
+  const timeAtPointer = useCallback((event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const x = event.clientX - rect.left;
+    const contentWidth = viewport.width || rect.width;
+    const time = ((x + viewport.scrollLeft) / contentWidth) * duration;
+    return { x, time: Math.max(0, Math.min(duration, time)) };
+  }, [viewport, duration]);
+
+  const handleMouseMove = useCallback((event) => {
+    setHover(timeAtPointer(event));
+  }, [timeAtPointer]);
+
+  const handleClick = useCallback((event) => {
+    if (onSeek) onSeek(timeAtPointer(event).time);
+  }, [onSeek, timeAtPointer]);
+
+  if (!filmstripUrl || !duration) return null;
+
+  if (status !== 'ready' || !filmstrip || filmstrip.sprites.length === 0) {
+    return (
+      <div
+        className="filmstrip-lane flex items-center justify-center mt-1 bg-gray-900 rounded text-xs text-gray-500"
+        style={{ height: `${height}px` }}
+      >
+        {status === 'error' || filmstrip?.sprites.length === 0 ? 'Filmstrip unavailable' : 'Generating filmstrip...'}
+      </div>
+    );
+  }
+
+  const clientWidth = viewport.clientWidth || 0;
+  const contentWidth = viewport.width || clientWidth;
+  const pxPerSecond = contentWidth / duration;
+  const tileWidth = (filmstrip.frameWidth * height) / filmstrip.frameHeight;
+
+  // Skip frames so tiles never overlap, and only render the ones in view
+  const framesPerTile = Math.max(1, Math.ceil(tileWidth / (filmstrip.interval * pxPerSecond)));
+  const tiles = [];
+  for (let index = 0; index < filmstrip.count; index += framesPerTile) {
+    const x = index * filmstrip.interval * pxPerSecond;
+    if (x + tileWidth < viewport.scrollLeft) continue;
+    if (x > viewport.scrollLeft + clientWidth) break;
+    tiles.push({ index, x });
+  }
+
+  const previewHeight = height * 2;
+  const previewWidth = (filmstrip.frameWidth * previewHeight) / filmstrip.frameHeight;
+
+  return (
+    <div
+      className="filmstrip-lane relative mt-1 bg-gray-900 rounded cursor-pointer"
+      style={{ height: `${height}px` }}
+      onMouseMove={handleMouseMove}
+      onMouseLeave={() => setHover(null)}
+      onClick={handleClick}
+    >
+      <div className="absolute inset-0 overflow-hidden rounded">
+        <div
+          className="relative h-full"
+          style={{ width: `${contentWidth}px`, transform: `translateX(${-viewport.scrollLeft}px)` }}
+        >
+          {tiles.map(tile => (
+            <div
+              key={tile.index}
+              className="absolute top-0 border-r border-gray-900"
+              style={{ left: `${tile.x}px`, ...frameStyle(tile.index, height) }}
+            />
+          ))}
+        </div>
+      </div>
+
+      {/* Hover preview of the frame under the pointer */}
+      {hover && (
+        <>
+          <div className="absolute top-0 h-full w-px bg-white pointer-events-none" style={{ left: `${hover.x}px` }} />
+          <div
+            className="absolute z-20 bottom-full mb-1 p-1 bg-gray-800 rounded shadow-lg pointer-events-none"
+            style={{ left: `${Math.max(0, Math.min(clientWidth - previewWidth - 8, hover.x - previewWidth / 2))}px` }}
+          >
+            <div style={frameStyle(Math.round(hover.time / filmstrip.interval), previewHeight)} />
+            <div className="text-center text-xs font-mono text-gray-300 mt-0.5">
+              {Math.floor(hover.time / 60)}:{(hover.time % 60).toFixed(1).padStart(4, '0')}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default FilmstripLane;
@@ -0,0 +1,77 @@
+/**
+ * JobProgress component showing the stage and percentage of a backend job
+ *
+ * @param {Object} props
+ * @param {Object} props.job - Job snapshot from /api/jobs/:id
+ * @param {string} props.title - Heading shown above the progress bar
+ * @param {Function} props.onDismiss - Callback to remove the job from the list
+ */
+const JobProgress = ({ job, title, onDismiss }) => {
+  const isFailed = job.status === 'failed';
+  const isCompleted = job.status === 'completed';
+  const progress = Math.max(0, Math.min(100, job.progress || 0));
+  const currentStage = job.stages?.find(stage => stage.id === job.stage);
+
+  return (
+    <div className="p-3 bg-gray-700 rounded">
+      <div className="flex items-center justify-between mb-2 text-sm">
+        <span className="truncate mr-4" title={title}>{title}</span>
+        <div className="flex items-center space-x-3 flex-shrink-0">
+          <span className={`font-mono text-xs ${isFailed ? 'text-red-400' : isCompleted ? 'text-green-400' : 'text-gray-300'}`}>
+            {isFailed ? 'Failed' : `${progress.toFixed(0)}%`}
+          </span>
+          {(isFailed || isCompleted) && onDismiss && (
+            <button
+              onClick={() => onDismiss(job.id)}
+              className="text-gray-400 hover:text-white text-xs"
+              title="Dismiss"
+            >
+              ✕
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="w-full h-2 bg-gray-600 rounded overflow-hidden">
+        <div
+          className={`h-full transition-all duration-300 ${isFailed ? 'bg-red-500' : isCompleted ? 'bg-green-500' : 'bg-blue-500'}`}
+          style={{ width: `${isFailed ? 100 : progress}%` }}
+        />
+      </div>
+
+      {/* Stage breakdown */}
+      {job.stages?.length > 0 && (
+        <div className="flex flex-wrap gap-x-3 gap-y-1 mt-2 text-xs">
+          {job.stages.map(stage => (
+            <span
+              key={stage.id}
+              className={
+                stage.status === 'completed' ? 'text-green-400'
+                  : stage.status === 'running' ? 'text-yellow-400'
+                  : stage.status === 'failed' ? 'text-red-400'
+                  : 'text-gray-500'
+              }
+            >
+              {stage.status === 'completed' ? '✓ ' : ''}{stage.label}
+              {stage.status === 'running' && stage.progress > 0 && ` ${stage.progress.toFixed(0)}%`}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className={`mt-1 text-xs ${isFailed ? 'text-red-300' : 'text-gray-400'}`}>
+        {currentStage && !isFailed ? job.message || currentStage.label : job.message}
+      </div>
+
+      {isFailed && job.error?.suggestions?.length > 0 && (
+        <ul className="mt-1 text-xs text-gray-400 list-disc list-inside">
+          {job.error.suggestions.map(suggestion => (
+            <li key={suggestion}>{suggestion}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default JobProgress;
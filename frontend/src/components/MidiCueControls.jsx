@@ -0,0 +1,114 @@
+import { useState, useCallback, useRef } from 'react';
+import { cuesToMidi, midiToCues } from '../utils/midiCues';
+
+// Common tick resolutions (ticks per quarter note)
+const PPQ_OPTIONS = [96, 192, 480, 960];
+
+/**
+ * MidiCueControls component for exporting cues as a Standard MIDI File and importing them back
+ *
+ * @param {Object} props
+ * @param {Array} props.cuePoints - Cue points in pad slot order
+ * @param {Function} props.onImport - Callback with the cue points read from a .mid file
+ * @param {string} props.fileBaseName - Name of the exported file without extension
+ * @param {number} props.defaultBpm - Initial tempo of the export (default: 120)
+ */
+const MidiCueControls = ({
+  cuePoints = [],
+  onImport,
+  fileBaseName = 'cue-points',
+  defaultBpm = 120
+}) => {
+  const [bpm, setBpm] = useState(defaultBpm);
+  const [ppq, setPpq] = useState(480);
+  const [includeNotes, setIncludeNotes] = useState(true);
+  const fileInputRef = useRef(null);
+
+  // Download the cues as markers (and pad trigger notes)
+  const exportMidi = useCallback(() => {
+    const bytes = cuesToMidi(cuePoints, { ppq, bpm: Math.min(400, Math.max(20, bpm || 120)), includeNotes });
+    const url = URL.createObjectURL(new Blob([bytes], { type: 'audio/midi' }));
+
+    const linkElement = document.createElement('a');
+    linkElement.setAttribute('href', url);
+    linkElement.setAttribute('download', `${fileBaseName}.mid`);
+    linkElement.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }, [cuePoints, ppq, bpm, includeNotes, fileBaseName]);
+
+  // Read markers (or trigger notes) from a .mid file
+  const importMidi = useCallback(async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const cues = midiToCues(await file.arrayBuffer());
+      if (cues.length === 0) {
+        window.alert(`No markers or pad notes found in ${file.name}`);
+        return;
+      }
+      onImport(cues, file.name);
+    } catch (error) {
+      window.alert(`Failed to read MIDI file: ${error.message}`);
+    }
+  }, [onImport]);
+
+  return (
+    <div className="midi-cue-controls flex items-center gap-2 text-xs text-gray-300">
+      <span className="text-gray-400">MIDI</span>
+      <label className="flex items-center gap-1" title="Tempo of the exported file">
+        <input
+          type="number"
+          min={20}
+          max={400}
+          step="0.01"
+          value={bpm}
+          onChange={(e) => setBpm(parseFloat(e.target.value))}
+          className="w-16 px-1 py-0.5 bg-gray-700 border border-gray-600 rounded"
+        />
+        BPM
+      </label>
+      <select
+        value={ppq}
+        onChange={(e) => setPpq(parseInt(e.target.value, 10))}
+        className="px-1 py-0.5 bg-gray-700 border border-gray-600 rounded"
+        title="Tick resolution (ticks per quarter note)"
+      >
+        {PPQ_OPTIONS.map(option => (
+          <option key={option} value={option}>{option} PPQ</option>
+        ))}
+      </select>
+      <label className="flex items-center gap-1" title="Add a track where each pad plays a note (pad 1 = C1)">
+        <input
+          type="checkbox"
+          checked={includeNotes}
+          onChange={(e) => setIncludeNotes(e.target.checked)}
+        />
+        Pad notes
+      </label>
+      <button
+        onClick={exportMidi}
+        disabled={cuePoints.length === 0}
+        className="px-2 py-0.5 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded transition-colors"
+      >
+        Export .mid
+      </button>
+      <button
+        onClick={() => fileInputRef.current?.click()}
+        className="px-2 py-0.5 bg-gray-700 hover:bg-gray-600 rounded transition-colors"
+      >
+        Import .mid
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".mid,.midi,audio/midi"
+        onChange={importMidi}
+        className="hidden"
+      />
+    </div>
+  );
+};
+
+export default MidiCueControls;
@@ -0,0 +1,126 @@
+import { useState, useEffect, useRef } from 'react';
+
+/**
+ * PerformanceControls component for recording pad performances and replaying stored takes
+ *
+ * @param {Object} props
+ * @param {Array} props.takes - Stored takes of the media item, oldest first
+ * @param {boolean} props.isRecording - Whether a take is being recorded
+ * @param {string} props.replayingTakeId - Id of the take being replayed, or null
+ * @param {Function} props.onStartRecording - Callback to start a take
+ * @param {Function} props.onStopRecording - Callback to finish and store the take
+ * @param {Function} props.onReplay - Callback with the take to replay
+ * @param {Function} props.onStopReplay - Callback to stop the replay
+ * @param {Function} props.onDelete - Callback with the id of the take to delete
+ * @param {Function} props.onRender - Callback with the take to render as mp4 on the server (optional)
+ * @param {boolean} props.isRendering - Whether a take render is running
+ * @param {Function} props.onBounce - Callback with the take to render offline to WAV (optional)
+ * @param {boolean} props.isBouncing - Whether an offline render is running
+ * @param {boolean} props.disabled - Disable recording and replay (e.g. no audio loaded)
+ */
+const PerformanceControls = ({
+  takes = [],
+  isRecording = false,
+  replayingTakeId = null,
+  onStartRecording,
+  onStopRecording,
+  onReplay,
+  onStopReplay,
+  onDelete,
+  onRender,
+  isRendering = false,
+  onBounce,
+  isBouncing = false,
+  disabled = false
+}) => {
+  const [selectedTakeId, setSelectedTakeId] = useState('');
+  const takeCountRef = useRef(takes.length);
+
+  // Select the newest take when one is added, and fall back to it when the selection is deleted
+  useEffect(() => {
+    const added = takes.length > takeCountRef.current;
+    takeCountRef.current = takes.length;
+    const newestId = takes.length > 0 ? takes[takes.length - 1].id : '';
+    setSelectedTakeId(prev => (!added && takes.some(take => take.id === prev) ? prev : newestId));
+  }, [takes]);
+
+  const selectedTake = takes.find(take => take.id === selectedTakeId) || null;
+  const triggerCount = selectedTake ? selectedTake.events.filter(event => event.type === 'cue').length : 0;
+
+  return (
+    <div className="performance-controls flex flex-wrap items-center gap-2 text-xs text-gray-300">
+      <span className="text-gray-400">Performance</span>
+      <button
+        onClick={isRecording ? onStopRecording : onStartRecording}
+        disabled={disabled || replayingTakeId !== null}
+        className={`flex items-center gap-1 px-2 py-0.5 rounded transition-colors disabled:opacity-50 ${
+          isRecording ? 'bg-red-600 hover:bg-red-700 text-white' : 'bg-gray-700 hover:bg-gray-600'
+        }`}
+        title={isRecording ? 'Stop and store the take' : 'Record pad triggers and play/pause as a take'}
+      >
+        <span className={`inline-block w-2 h-2 rounded-full ${isRecording ? 'bg-white animate-pulse' : 'bg-red-500'}`} />
+        {isRecording ? 'Stop recording' : 'Record'}
+      </button>
+      <select
+        value={selectedTakeId}
+        onChange={(e) => setSelectedTakeId(e.target.value)}
+        disabled={takes.length === 0}
+        className="px-1 py-0.5 bg-gray-700 border border-gray-600 rounded disabled:opacity-50"
+        title="Recorded takes"
+      >
+        {takes.length === 0 && <option value="">No takes</option>}
+        {takes.map(take => (
+          <option key={take.id} value={take.id}>
+            {take.name} ({take.duration.toFixed(1)}s)
+          </option>
+        ))}
+      </select>
+      {replayingTakeId !== null ? (
+        <button
+          onClick={onStopReplay}
+          className="px-2 py-0.5 bg-yellow-600 hover:bg-yellow-700 text-white rounded transition-colors"
+        >
+          Stop replay
+        </button>
+      ) : (
+        <button
+          onClick={() => selectedTake && onReplay(selectedTake)}
+          disabled={disabled || isRecording || !selectedTake}
+          className="px-2 py-0.5 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded transition-colors"
+          title={selectedTake ? `Replay ${triggerCount} pad trigger(s)` : undefined}
+        >
+          Replay
+        </button>
+      )}
+      {onBounce && (
+        <button
+          onClick={() => selectedTake && onBounce(selectedTake)}
+          disabled={disabled || !selectedTake || isBouncing}
+          className="px-2 py-0.5 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded transition-colors"
+          title="Render the take's audio offline to a 48 kHz WAV"
+        >
+          {isBouncing ? 'Bouncing...' : 'Bounce WAV'}
+        </button>
+      )}
+      {onRender && (
+        <button
+          onClick={() => selectedTake && onRender(selectedTake)}
+          disabled={!selectedTake || isRendering}
+          className="px-2 py-0.5 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded transition-colors"
+          title="Render the take to an mp4 of what it played (video and audio)"
+        >
+          Render mp4
+        </button>
+      )}
+      <button
+        onClick={() => selectedTake && window.confirm(`Delete ${selectedTake.name}?`) && onDelete(selectedTake.id)}
+        disabled={!selectedTake || isRecording}
+        className="px-2 py-0.5 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded transition-colors"
+      >
+        Delete
+      </button>
+    </div>
+  );
+};
+
+export default PerformanceControls;
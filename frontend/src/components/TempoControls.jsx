@@ -0,0 +1,169 @@
+import { useState, useEffect, useRef } from 'react';
+import { DEFAULT_TEMPO, QUANTIZE_OPTIONS, TIME_SIGNATURES } from '../utils/tempoGrid';
+
+// Tap tempo averages the last TAP_COUNT taps; a pause longer than TAP_RESET_MS starts over
+const TAP_COUNT = 8;
+const TAP_RESET_MS = 2000;
+
+// Tempo values are kept to this range (matching the server's validation)
+const MIN_BPM = 20;
+const MAX_BPM = 400;
+
+/**
+ * TempoControls component for the project tempo and the quantize grid of pad triggers
+ *
+ * @param {Object} props
+ * @param {Object} props.tempo - Project tempo ({ bpm, offset, beatsPerBar, beatUnit, quantize }), null when unset
+ * @param {Function} props.onChange - Callback with the updated tempo
+ * @param {number} props.currentTime - Playhead position, used to set the first beat
+ * @param {Function} props.onDetect - Callback to estimate tempo and first downbeat from the audio (optional)
+ * @param {boolean} props.isDetecting - Whether a tempo detection is running
+ */
+const TempoControls = ({
+  tempo,
+  onChange,
+  currentTime = 0,
+  onDetect,
+  isDetecting = false
+}) => {
+  const values = tempo || DEFAULT_TEMPO;
+  const [bpmText, setBpmText] = useState(String(values.bpm));
+  const [offsetText, setOffsetText] = useState(values.offset.toFixed(3));
+  const tapsRef = useRef([]);
+
+  // Follow tempo changes from outside (loading a media item, setting the first beat)
+  useEffect(() => {
+    setBpmText(String(values.bpm));
+    setOffsetText(values.offset.toFixed(3));
+  }, [values.bpm, values.offset]);
+
+  const update = (changes) => onChange({ ...values, ...changes });
+
+  // Typed numbers are applied once they are valid
+  const handleBpmChange = (text) => {
+    setBpmText(text);
+    const bpm = parseFloat(text);
+    if (bpm >= MIN_BPM && bpm <= MAX_BPM) update({ bpm });
+  };
+
+  // Scale the tempo to fix a detection that found half or double the beat
+  const scaleBpm = (factor) => {
+    const bpm = Math.round(values.bpm * factor * 1000) / 1000;
+    if (bpm >= MIN_BPM && bpm <= MAX_BPM) update({ bpm });
+  };
+
+  // Tap tempo: the average interval of the recent taps
+  const handleTap = () => {
+    const now = performance.now();
+    const previous = tapsRef.current;
+    const taps = previous.length > 0 && now - previous[previous.length - 1] > TAP_RESET_MS ? [] : previous;
+    tapsRef.current = [...taps, now].slice(-TAP_COUNT);
+
+    const count = tapsRef.current.length;
+    if (count < 2) return;
+    const bpm = Math.round(((60000 * (count - 1)) / (now - tapsRef.current[0])) * 100) / 100;
+    if (bpm >= MIN_BPM && bpm <= MAX_BPM) update({ bpm });
+  };
+
+  const handleOffsetChange = (text) => {
+    setOffsetText(text);
+    const offset = parseFloat(text);
+    if (offset >= 0) update({ offset });
+  };
+
+  return (
+    <div className="tempo-controls flex flex-wrap items-center gap-2 text-xs text-gray-300">
+      <span className="text-gray-400">Tempo</span>
+      <label className="flex items-center gap-1">
+        <input
+          type="number"
+          min={MIN_BPM}
+          max={MAX_BPM}
+          step="0.01"
+          value={bpmText}
+          onChange={(e) => handleBpmChange(e.target.value)}
+          className="w-16 px-1 py-0.5 bg-gray-700 border border-gray-600 rounded"
+        />
+        BPM
+      </label>
+      <button
+        onClick={handleTap}
+        className="px-2 py-0.5 bg-gray-700 hover:bg-gray-600 rounded transition-colors"
+        title="Tap along with the beat to set the tempo"
+      >
+        Tap
+      </button>
+      <button
+        onClick={() => scaleBpm(0.5)}
+        className="px-1.5 py-0.5 bg-gray-700 hover:bg-gray-600 rounded transition-colors"
+        title="Half the tempo"
+      >
+        ½
+      </button>
+      <button
+        onClick={() => scaleBpm(2)}
+        className="px-1.5 py-0.5 bg-gray-700 hover:bg-gray-600 rounded transition-colors"
+        title="Double the tempo"
+      >
+        ×2
+      </button>
+      <select
+        value={`${values.beatsPerBar}/${values.beatUnit}`}
+        onChange={(e) => {
+          const [beatsPerBar, beatUnit] = e.target.value.split('/').map(Number);
+          update({ beatsPerBar, beatUnit });
+        }}
+        className="px-1 py-0.5 bg-gray-700 border border-gray-600 rounded"
+        title="Time signature"
+      >
+        {TIME_SIGNATURES.map(({ beatsPerBar, beatUnit }) => (
+          <option key={`${beatsPerBar}/${beatUnit}`} value={`${beatsPerBar}/${beatUnit}`}>
+            {beatsPerBar}/{beatUnit}
+          </option>
+        ))}
+      </select>
+      <label className="flex items-center gap-1" title="Media time of the first downbeat (seconds)">
+        First beat
+        <input
+          type="number"
+          min="0"
+          step="0.001"
+          value={offsetText}
+          onChange={(e) => handleOffsetChange(e.target.value)}
+          className="w-20 px-1 py-0.5 bg-gray-700 border border-gray-600 rounded"
+        />
+      </label>
+      <button
+        onClick={() => update({ offset: Math.max(0, Math.round(currentTime * 1000) / 1000) })}
+        className="px-2 py-0.5 bg-gray-700 hover:bg-gray-600 rounded transition-colors"
+        title="Set the first beat to the playhead"
+      >
+        At playhead
+      </button>
+      {onDetect && (
+        <button
+          onClick={onDetect}
+          disabled={isDetecting}
+          className="px-2 py-0.5 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded transition-colors"
+          title="Estimate the tempo and first downbeat from the audio"
+        >
+          {isDetecting ? 'Detecting...' : 'Detect'}
+        </button>
+      )}
+      <label className="flex items-center gap-1" title="Pad triggers wait for the next grid line while playing">
+        Quantize
+        <select
+          value={values.quantize}
+          onChange={(e) => update({ quantize: e.target.value })}
+          className="px-1 py-0.5 bg-gray-700 border border-gray-600 rounded"
+        >
+          {QUANTIZE_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default TempoControls;
@@ -1,8 +1,39 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import WaveformPlayer from './WaveformPlayer';
 import VideoPlayer from './VideoPlayer';
 import CuePointGrid from './CuePointGrid';
+import JobProgress from './JobProgress';
+import MidiCueControls from './MidiCueControls';
+import PerformanceControls from './PerformanceControls';
+import TempoControls from './TempoControls';
 import useCueKeyboardMap from '../hooks/useCueKeyboardMap';
+import useJobProgress from '../hooks/useJobProgress';
+import useCuePersistence from '../hooks/useCuePersistence';
+import usePerformanceRecorder from '../hooks/usePerformanceRecorder';
+import useAudioBounce from '../hooks/useAudioBounce';
+import { getFreeSlotKeys } from '../utils/cueSlots';
+import { chaptersToCues } from '../utils/chapters';
+import { readWavCues } from '../utils/wavCues';
+import { DEFAULT_TEMPO, getQuantizedTriggerTime, formatBarsBeats } from '../utils/tempoGrid';
+import { getCueRegion, getTimelinePosition } from '../utils/playbackTimeline';
+import { getFilePairSelection } from '../utils/mediaSelection';
+
+// Progress titles of render jobs by type
+const RENDER_JOB_TITLES = {
+  kit: 'Rendering sampler kit',
+  clips: 'Rendering video clips',
+  performance: 'Rendering performance'
+};
+
+// Progress titles of analysis jobs by type
+const ANALYSIS_JOB_TITLES = {
+  analysis: 'Analyzing audio for cue suggestions',
+  scenes: 'Detecting scene changes',
+  tempo: 'Detecting tempo'
+};
+
+// Output heights offered for clip renders ('source' keeps the video's own)
+const CLIP_RESOLUTIONS = ['source', '1080', '720', '480'];
 
 /**
  * UnifiedVideoEditor - Combined video sync and cue point editing interface
@@ -13,16 +44,34 @@ const UnifiedVideoEditor = () => {
   const [audioContext, setAudioContext] = useState(null);
   const [audioStartTime, setAudioStartTime] = useState(null);
   const [cueOffset, setCueOffset] = useState(0);
+  const [playbackLoop, setPlaybackLoop] = useState(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [activeCue, setActiveCue] = useState(null);
   const [cuePoints, setCuePoints] = useState([]);
+  const [tempo, setTempo] = useState(null);
+  const [currentMedia, setCurrentMedia] = useState(null);
   const [downloadedFiles, setDownloadedFiles] = useState([]);
+  const [historyFilter, setHistoryFilter] = useState('');
+  const [historySort, setHistorySort] = useState('newest');
+  const [storageUsage, setStorageUsage] = useState(null);
+  const [freshCopyRequest, setFreshCopyRequest] = useState(null);
   const [youtubeUrl, setYoutubeUrl] = useState('');
-  const [isDownloading, setIsDownloading] = useState(false);
+  const [rangeStart, setRangeStart] = useState('');
+  const [rangeEnd, setRangeEnd] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isDragOver, setIsDragOver] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(null);
   const [downloadStatus, setDownloadStatus] = useState('');
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
   const [waveformPlayerRef, setWaveformPlayerRef] = useState(null);
+  const [suggestedCues, setSuggestedCues] = useState([]);
+  const [sceneCuts, setSceneCuts] = useState([]);
+  const [sceneSensitivity, setSceneSensitivity] = useState(0.6);
+  const [kitNormalize, setKitNormalize] = useState(false);
+  const [clipResolution, setClipResolution] = useState('source');
+  const [clipFadeMs, setClipFadeMs] = useState(0);
+  const wavInputRef = useRef(null);
 
   // Format time for display
   const formatTime = useCallback((seconds) => {
@@ -32,16 +81,96 @@ const UnifiedVideoEditor = () => {
     return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
   }, []);
 
+  // Format byte counts for the storage summary
+  const formatBytes = useCallback((bytes) => {
+    if (!bytes) return '0 MB';
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+    return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  }, []);
+
+  // Replayed pad triggers light up their pad like live ones
+  const handleReplayEvent = useCallback((event) => {
+    if (event.type === 'cue') {
+      setActiveCue({ time: event.position, label: event.label, key: event.key, index: event.slot });
+    }
+  }, []);
+
+  // Pad performances are recorded as takes and replayed on the audio clock
+  const {
+    takes,
+    isRecording,
+    replayingTakeId,
+    startRecording,
+    stopRecording,
+    recordEvent,
+    replayTake,
+    stopReplay,
+    cancelReplay,
+    deleteTake
+  } = usePerformanceRecorder({
+    mediaName: currentMedia,
+    audioContext,
+    player: waveformPlayerRef,
+    onReplayEvent: handleReplayEvent
+  });
+
+  // What the player outputs can be recorded to WAV live, and takes can be bounced offline
+  const {
+    isBouncing,
+    isRenderingOffline,
+    startBounce,
+    stopBounce,
+    bounceTake
+  } = useAudioBounce({
+    audioContext,
+    player: waveformPlayerRef,
+    fileBaseName: currentMedia || 'bounce'
+  });
+
+  // Start a take from where playback is now
+  const handleStartRecording = useCallback(() => {
+    const position = isPlaying && audioContext && audioStartTime !== null
+      ? getTimelinePosition({ audioStartTime, cueOffset, loop: playbackLoop }, audioContext.currentTime)
+      : currentTime;
+    startRecording({ isPlaying, position });
+  }, [isPlaying, audioContext, audioStartTime, cueOffset, playbackLoop, currentTime, startRecording]);
+
+  // Play/pause from the button or spacebar; live input takes over from a replay
+  const handleTransport = useCallback(({ action, position, contextTime }) => {
+    cancelReplay();
+    recordEvent({ type: action, position }, contextTime);
+  }, [cancelReplay, recordEvent]);
+
   // Handle cue point triggering from keyboard
   const handleTriggerCue = useCallback((cueTime, cueData) => {
     console.log('Triggered cue:', cueData);
     setActiveCue(cueData);
+    cancelReplay();
+
+    // While playing, a quantize setting delays the jump to the next grid line of what is heard
+    const when = audioContext ? getQuantizedTriggerTime({
+      tempo,
+      timeline: waveformPlayerRef?.getPlaybackTimeline?.() || null,
+      contextTime: audioContext.currentTime
+    }) : null;
+
+    // Cues with an end play only their region, looping it when flagged
+    const region = getCueRegion(cueData);
+
+    recordEvent({
+      type: 'cue',
+      position: cueTime,
+      slot: cueData.index,
+      key: cueData.key || '',
+      label: cueData.label || '',
+      ...(region ? { end: region.end, loop: region.loop } : {})
+    }, when ?? undefined);
     
     // Jump to cue time in waveform player
     if (waveformPlayerRef && waveformPlayerRef.jumpToCue) {
-      waveformPlayerRef.jumpToCue(cueTime);
+      waveformPlayerRef.jumpToCue(cueTime, when, region);
     }
-  }, [waveformPlayerRef]);
+  }, [waveformPlayerRef, audioContext, tempo, cancelReplay, recordEvent]);
 
   // Set up keyboard shortcuts for cue points
   useCueKeyboardMap({
@@ -71,6 +200,7 @@ const UnifiedVideoEditor = () => {
     setIsPlaying(state.isPlaying);
     setAudioStartTime(state.audioStartTime);
     setCueOffset(state.cueOffset);
+    setPlaybackLoop(state.loop || null);
     
     console.log('Playback state changed:', state);
   }, []);
@@ -81,13 +211,24 @@ const UnifiedVideoEditor = () => {
     setActiveCue(cue);
   }, []);
 
-  // Handle jumping to cue time
-  const handleJumpToCue = useCallback((time) => {
+  // Handle jumping to cue time; a pad's cue plays its region
+  const handleJumpToCue = useCallback((time, cue = null) => {
     if (waveformPlayerRef && waveformPlayerRef.jumpToCue) {
-      waveformPlayerRef.jumpToCue(time);
+      waveformPlayerRef.jumpToCue(time, null, getCueRegion(cue));
     }
   }, [waveformPlayerRef]);
 
+  // Change the end or loop flag of a pad; a cue without an end plays on and cannot loop
+  const handleUpdateCue = useCallback((slotIndex, changes) => {
+    setCuePoints(prev => prev.map((cue, index) => {
+      if (index !== slotIndex) return cue;
+      const { end, loop, ...rest } = { ...cue, ...changes };
+      return typeof end === 'number' && end > rest.time
+        ? { ...rest, end, ...(loop ? { loop: true } : {}) }
+        : rest;
+    }));
+  }, []);
+
   // Handle time updates from waveform player
   const handleTimeUpdate = useCallback((timeInfo) => {
     setCurrentTime(timeInfo.currentTime);
@@ -115,6 +256,25 @@ const UnifiedVideoEditor = () => {
     setActiveCue(null);
   }, []);
 
+  // Saved cue sets and the project tempo are loaded per media item and autosaved on change
+  const handleCuesLoaded = useCallback((cues, savedTempo) => {
+    setCuePoints(cues);
+    setTempo(savedTempo);
+    setActiveCue(null);
+  }, []);
+
+  // Dragging the first downbeat on the waveform moves the beat grid
+  const handleTempoOffsetChange = useCallback((offset) => {
+    setTempo(prev => ({ ...(prev || DEFAULT_TEMPO), offset }));
+  }, []);
+
+  const { saveStatus: cueSaveStatus, flushSave: flushCueSave } = useCuePersistence({
+    mediaName: currentMedia,
+    cuePoints,
+    tempo,
+    onCuesLoaded: handleCuesLoaded
+  });
+
   // Fetch downloaded files
   const fetchDownloads = useCallback(async () => {
     try {
@@ -124,36 +284,290 @@ const UnifiedVideoEditor = () => {
         const files = Object.entries(data.downloads).map(([filename, files]) => ({
           filename,
           audioFile: files.audio,
-          videoFile: files.video
+          videoFile: files.video,
+          title: files.manifest?.title || filename,
+          duration: files.manifest?.duration || null,
+          createdAt: files.manifest?.createdAt || null,
+          manifest: files.manifest || null
         }));
         setDownloadedFiles(files);
+        setStorageUsage(data.storage || null);
       }
     } catch (error) {
       console.error('Failed to fetch downloads:', error);
     }
   }, []);
 
+  // Download history filtered by title/source and sorted by the selected field
+  const visibleDownloads = useMemo(() => {
+    const query = historyFilter.trim().toLowerCase();
+    const filtered = query
+      ? downloadedFiles.filter(file => (
+        file.title.toLowerCase().includes(query) ||
+        file.filename.toLowerCase().includes(query) ||
+        (file.manifest?.source?.url || '').toLowerCase().includes(query)
+      ))
+      : downloadedFiles;
+
+    const byDate = (file) => (file.createdAt ? Date.parse(file.createdAt) : 0);
+    const comparators = {
+      newest: (a, b) => byDate(b) - byDate(a),
+      oldest: (a, b) => byDate(a) - byDate(b),
+      title: (a, b) => a.title.localeCompare(b.title),
+      longest: (a, b) => (b.duration || 0) - (a.duration || 0),
+      shortest: (a, b) => (a.duration || 0) - (b.duration || 0)
+    };
+
+    return [...filtered].sort(comparators[historySort] || comparators.newest);
+  }, [downloadedFiles, historyFilter, historySort]);
+
   // Load a downloaded file pair
   const loadFilePair = useCallback((file) => {
+    const selection = getFilePairSelection(file, currentMedia);
+    if (!selection) return;
+
     console.log('Loading file pair:', file);
     
-    setAudioUrl(`/downloads/${file.audioFile}`);
-    setVideoUrl(`/downloads/${file.videoFile}`);
+    setAudioUrl(selection.audioUrl);
+    setVideoUrl(selection.videoUrl);
     setActiveCue(null);
-    setCuePoints([]); // Clear existing cue points when loading new file
+    setCuePoints([]); // Clear until the saved cue set for this file has loaded
+    setSuggestedCues([]);
+    setSceneCuts([]);
+    setCurrentMedia(selection.mediaName);
     
     console.log('URLs set', {
-      audioUrl: `/downloads/${file.audioFile}`,
-      videoUrl: `/downloads/${file.videoFile}`
+      audioUrl: selection.audioUrl,
+      videoUrl: selection.videoUrl
+    });
+  }, [currentMedia]);
+
+  // Load the files produced by a finished download job
+  const handleDownloadComplete = useCallback(async (job) => {
+    const data = job.result;
+    if (data.deduplicated) {
+      setDownloadStatus(`Already in library: ${data.title}`);
+      setFreshCopyRequest(job.params?.url ? {
+        url: job.params.url,
+        start: job.params.range?.start,
+        end: job.params.range?.end
+      } : null);
+    } else {
+      setDownloadStatus(`Downloaded: ${data.title}`);
+      setFreshCopyRequest(null);
+    }
+    await fetchDownloads();
+    loadFilePair({
+      filename: data.filename,
+      audioFile: data.audioFile,
+      videoFile: data.videoFile
     });
+  }, [fetchDownloads, loadFilePair]);
+
+  const handleDownloadFailed = useCallback((job) => {
+    setDownloadStatus(`Error: ${job.message}`);
   }, []);
 
-  // Download YouTube video
-  const downloadYouTubeVideo = useCallback(async () => {
-    if (!youtubeUrl.trim()) return;
+  // Download jobs run on the server; progress arrives over SSE and survives reloads
+  const { jobs: downloadJobs, trackJob, dismissJob } = useJobProgress({
+    storageKey: 'cue-editor-download-jobs',
+    onJobComplete: handleDownloadComplete,
+    onJobFailed: handleDownloadFailed
+  });
+
+  // Show suggestions or scene cuts, or apply a detected tempo, from a finished analysis of the open media item
+  const handleAnalysisComplete = useCallback((job) => {
+    if (job.filename !== currentMedia) return;
+
+    if (job.type === 'tempo') {
+      const { bpm, offset, beatsPerBar } = job.result.tempo;
+      console.log(`Detected ${bpm} BPM, first downbeat at ${offset}s (confidence ${job.result.confidence})`);
+      setTempo(prev => ({ ...(prev || DEFAULT_TEMPO), bpm, offset, beatsPerBar }));
+      return;
+    }
+
+    // Leave out candidates that already have a cue
+    const withoutExisting = (candidates) => candidates.filter(candidate => (
+      !cuePoints.some(cue => Math.abs(cue.time - candidate.time) < 0.05)
+    ));
+
+    if (job.type === 'scenes') {
+      setSceneCuts(withoutExisting(job.result.scenes));
+    } else {
+      setSuggestedCues(withoutExisting(job.result.candidates));
+    }
+  }, [currentMedia, cuePoints]);
+
+  // Cue analysis also runs as a server job
+  const { jobs: analysisJobs, trackJob: trackAnalysisJob, dismissJob: dismissAnalysisJob } = useJobProgress({
+    storageKey: 'cue-editor-analysis-jobs',
+    onJobComplete: handleAnalysisComplete
+  });
+
+  // Start an analysis of the open media item ('analyze' for silence/onsets, 'scenes' for video cuts, 'tempo')
+  const startAnalysis = useCallback(async (endpoint, options = {}) => {
+    if (!currentMedia) return;
+
+    try {
+      const response = await fetch(`/api/media/${encodeURIComponent(currentMedia)}/${endpoint}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(options),
+      });
+
+      const data = await response.json();
+      if (data.status === 'accepted') {
+        if (endpoint === 'scenes') setSceneCuts([]);
+        else if (endpoint === 'analyze') setSuggestedCues([]);
+        trackAnalysisJob(data.job);
+      } else {
+        console.error('Analysis failed to start:', data.message);
+      }
+    } catch (error) {
+      console.error('Analysis failed to start:', error);
+    }
+  }, [currentMedia, trackAnalysisJob]);
+
+  // Download the file a finished render job produced
+  const handleRenderComplete = useCallback((job) => {
+    if (!job.result?.url) return;
+
+    const linkElement = document.createElement('a');
+    linkElement.setAttribute('href', job.result.url);
+    linkElement.setAttribute('download', job.result.file || '');
+    linkElement.click();
+  }, []);
+
+  // Exports that need ffmpeg (sampler kits, clips) run as server jobs
+  const { jobs: renderJobs, trackJob: trackRenderJob, dismissJob: dismissRenderJob } = useJobProgress({
+    storageKey: 'cue-editor-render-jobs',
+    onJobComplete: handleRenderComplete
+  });
+
+  // Start a render of the open media item from its saved cues; pad indexes refer to the cues on the
+  // server, so a change still waiting for autosave is saved first
+  const startRender = useCallback(async (endpoint, options = {}) => {
+    if (!currentMedia) return;
+
+    if (!(await flushCueSave())) {
+      window.alert('Render not started: the current cue points could not be saved');
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/media/${encodeURIComponent(currentMedia)}/${endpoint}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(options),
+      });
+
+      const data = await response.json();
+      if (data.status === 'accepted') {
+        trackRenderJob(data.job);
+      } else {
+        window.alert(`Render failed to start: ${data.message}`);
+      }
+    } catch (error) {
+      console.error('Render failed to start:', error);
+    }
+  }, [currentMedia, trackRenderJob, flushCueSave]);
+
+  const isRenderRunning = useCallback((type) => renderJobs.some(job => (
+    job.type === type && job.filename === currentMedia && (job.status === 'queued' || job.status === 'running')
+  )), [renderJobs, currentMedia]);
+
+  // Render pad clips (cue to next cue) as mp4 with the current clip settings
+  const exportClips = useCallback((slotIndexes) => {
+    startRender('clips', {
+      clips: slotIndexes.map(slotIndex => ({ cue: slotIndex })),
+      resolution: clipResolution,
+      fadeMs: clipFadeMs
+    });
+  }, [startRender, clipResolution, clipFadeMs]);
+
+  // Turn suggestions or scene cuts into cues in the free pad slots, best-ranked first
+  const acceptSuggestions = useCallback((suggestions) => {
+    const freeKeys = getFreeSlotKeys(cuePoints);
+    const accepted = [...suggestions]
+      .sort((a, b) => a.rank - b.rank)
+      .slice(0, freeKeys.length)
+      .map((suggestion, index) => ({
+        time: suggestion.time,
+        label: `Cue ${cuePoints.length + index + 1}`,
+        key: freeKeys[index],
+        sample_rate: suggestion.sample_rate,
+        sample_position: suggestion.sample_position
+      }));
+    if (accepted.length === 0) return;
+
+    setCuePoints([...cuePoints, ...accepted].sort((a, b) => a.time - b.time));
+    const notAccepted = (candidate) => !accepted.some(cue => cue.sample_position === candidate.sample_position);
+    setSuggestedCues(prev => prev.filter(notAccepted));
+    setSceneCuts(prev => prev.filter(notAccepted));
+  }, [cuePoints]);
+
+  // Chapters captured from YouTube for the open media item
+  const currentChapters = useMemo(() => (
+    downloadedFiles.find(file => file.filename === currentMedia)?.manifest?.chapters || []
+  ), [downloadedFiles, currentMedia]);
+
+  // Replace the cue set with imported cues, confirming before existing cues are dropped
+  const replaceCuePoints = useCallback((importedCues, description) => {
+    if (cuePoints.length > 0 && !window.confirm(`Replace ${cuePoints.length} cue point(s) with ${importedCues.length} ${description}?`)) {
+      return;
+    }
+
+    setCuePoints(importedCues);
+    setActiveCue(null);
+  }, [cuePoints]);
+
+  // Replace the cue set with one cue per chapter start
+  const importChapters = useCallback(() => {
+    if (currentChapters.length === 0) return;
+    replaceCuePoints(chaptersToCues(currentChapters), 'chapter cue(s)');
+  }, [currentChapters, replaceCuePoints]);
+
+  // Replace the cue set with the markers of a .mid file
+  const importMidiCues = useCallback((midiCues, fileName) => {
+    replaceCuePoints(midiCues.slice(0, 16), `marker(s) from ${fileName}`);
+  }, [replaceCuePoints]);
+
+  // Replace the cue set with the markers of a WAV file (e.g. an exported WAV edited in a DAW)
+  const importWavCues = useCallback(async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const wavCues = (await readWavCues(file)).slice(0, 16);
+      if (wavCues.length === 0) {
+        window.alert(`No markers found in ${file.name}`);
+        return;
+      }
+      replaceCuePoints(wavCues, `marker(s) from ${file.name}`);
+    } catch (error) {
+      window.alert(`Failed to read markers: ${error.message}`);
+    }
+  }, [replaceCuePoints]);
+
+  const handleSuggestionClick = useCallback((suggestion) => {
+    acceptSuggestions([suggestion]);
+  }, [acceptSuggestions]);
 
-    setIsDownloading(true);
-    setDownloadStatus('Starting download...');
+  const isAnalysisRunning = useCallback((type) => analysisJobs.some(job => (
+    job.type === type && job.filename === currentMedia && (job.status === 'queued' || job.status === 'running')
+  )), [analysisJobs, currentMedia]);
+
+  // Request a YouTube download; `fresh` skips the library lookup and downloads a new copy,
+  // `start`/`end` limit it to a time range (a `t=` in the URL is used as start otherwise)
+  const requestDownload = useCallback(async (url, { fresh = false, start, end } = {}) => {
+    setIsSubmitting(true);
+    setDownloadStatus('');
+    setFreshCopyRequest(null);
 
     try {
       const response = await fetch('/api/download', {
@@ -161,17 +575,22 @@ const UnifiedVideoEditor = () => {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ url: youtubeUrl }),
+        body: JSON.stringify({ url, fresh, start, end }),
       });
 
       const data = await response.json();
 
-      if (data.status === 'success') {
-        setDownloadStatus(`Downloaded: ${data.title}`);
-        setAudioUrl(`/downloads/${data.audioFile}`);
-        setVideoUrl(`/downloads/${data.videoFile}`);
-        await fetchDownloads();
-        setCuePoints([]); // Clear cue points for new content
+      if (data.status === 'success' && data.deduplicated) {
+        // Already in the library: load it straight away
+        await handleDownloadComplete(data.job);
+        setYoutubeUrl('');
+        setRangeStart('');
+        setRangeEnd('');
+      } else if (data.status === 'accepted') {
+        trackJob(data.job);
+        setYoutubeUrl('');
+        setRangeStart('');
+        setRangeEnd('');
       } else {
         setDownloadStatus(`Error: ${data.message}`);
       }
@@ -179,9 +598,134 @@ const UnifiedVideoEditor = () => {
       console.error('Download failed:', error);
       setDownloadStatus(`Error: ${error.message}`);
     } finally {
-      setIsDownloading(false);
+      setIsSubmitting(false);
+    }
+  }, [trackJob, handleDownloadComplete]);
+
+  // Download YouTube video
+  const downloadYouTubeVideo = useCallback(() => {
+    if (!youtubeUrl.trim()) return;
+    requestDownload(youtubeUrl, {
+      start: rangeStart.trim() || undefined,
+      end: rangeEnd.trim() || undefined
+    });
+  }, [youtubeUrl, rangeStart, rangeEnd, requestDownload]);
+
+  // Delete a media item and everything stored with it
+  const deleteDownload = useCallback(async (file) => {
+    if (!window.confirm(`Delete "${file.title}" and its saved cues? This cannot be undone.`)) return;
+
+    try {
+      const response = await fetch(`/api/downloads/${encodeURIComponent(file.filename)}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (data.status !== 'success') throw new Error(data.message);
+
+      if (file.filename === currentMedia) {
+        setAudioUrl('');
+        setVideoUrl('');
+        setCurrentMedia(null);
+        setCuePoints([]);
+        setActiveCue(null);
+      }
+      await fetchDownloads();
+    } catch (error) {
+      console.error('Delete failed:', error);
+      setDownloadStatus(`Error: ${error.message}`);
+    }
+  }, [currentMedia, fetchDownloads]);
+
+  // Change the display title of a media item
+  const renameDownload = useCallback(async (file) => {
+    const title = window.prompt('New title', file.title);
+    if (!title || !title.trim() || title === file.title) return;
+
+    try {
+      const response = await fetch(`/api/downloads/${encodeURIComponent(file.filename)}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ title }),
+      });
+      const data = await response.json();
+      if (data.status !== 'success') throw new Error(data.message);
+      await fetchDownloads();
+    } catch (error) {
+      console.error('Rename failed:', error);
+      setDownloadStatus(`Error: ${error.message}`);
     }
-  }, [youtubeUrl, fetchDownloads]);
+  }, [fetchDownloads]);
+
+  // Upload a local media file into the same processing pipeline as downloads
+  const uploadMediaFile = useCallback((file) => {
+    const allowedExtensions = ['mp4', 'mov', 'mkv', 'mp3', 'wav'];
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (!allowedExtensions.includes(extension)) {
+      setDownloadStatus(`Error: Unsupported file type .${extension} (use ${allowedExtensions.join(', ')})`);
+      return;
+    }
+
+    setIsSubmitting(true);
+    setDownloadStatus(`Uploading ${file.name}...`);
+    setUploadProgress(0);
+
+    // XMLHttpRequest rather than fetch so upload progress can be shown
+    const formData = new FormData();
+    formData.append('file', file);
+
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', '/api/upload');
+
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable) {
+        setUploadProgress((event.loaded / event.total) * 100);
+      }
+    };
+
+    xhr.onload = () => {
+      setIsSubmitting(false);
+      setUploadProgress(null);
+      try {
+        const data = JSON.parse(xhr.responseText);
+        if (data.status === 'accepted') {
+          setDownloadStatus('');
+          trackJob(data.job);
+        } else {
+          setDownloadStatus(`Error: ${data.message}`);
+        }
+      } catch {
+        setDownloadStatus(`Error: Upload failed (HTTP ${xhr.status})`);
+      }
+    };
+
+    xhr.onerror = () => {
+      console.error('Upload failed');
+      setIsSubmitting(false);
+      setUploadProgress(null);
+      setDownloadStatus('Error: Upload failed');
+    };
+
+    xhr.send(formData);
+  }, [trackJob]);
+
+  // Drag-and-drop of a media file onto the URL bar
+  const handleDragOver = useCallback((e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setIsDragOver(true);
+  }, []);
+
+  const handleDragLeave = useCallback(() => {
+    setIsDragOver(false);
+  }, []);
+
+  const handleDrop = useCallback((e) => {
+    if (!e.dataTransfer.files.length) return;
+    e.preventDefault();
+    setIsDragOver(false);
+    uploadMediaFile(e.dataTransfer.files[0]);
+  }, [uploadMediaFile]);
 
   // Initialize
   useEffect(() => {
@@ -203,26 +747,75 @@ const UnifiedVideoEditor = () => {
 
         {/* 1. YouTube Download Section */}
         <div className="bg-gray-800 rounded-lg p-6 mb-4">
-          <div className="flex space-x-4">
+          <div
+            className="flex space-x-4"
+            onDragOver={handleDragOver}
+            onDragLeave={handleDragLeave}
+            onDrop={handleDrop}
+          >
             <input
               type="text"
               value={youtubeUrl}
               onChange={(e) => setYoutubeUrl(e.target.value)}
-              placeholder="Paste URL..."
-              className="flex-1 px-4 py-2 bg-gray-700 border border-gray-600 rounded focus:border-blue-500 focus:outline-none"
-              disabled={isDownloading}
+              placeholder={isDragOver ? 'Drop to upload...' : 'Paste URL or drop a media file...'}
+              className={`flex-1 px-4 py-2 bg-gray-700 border rounded focus:border-blue-500 focus:outline-none ${
+                isDragOver ? 'border-blue-400 border-dashed bg-gray-600' : 'border-gray-600'
+              }`}
+              disabled={isSubmitting}
+            />
+            <input
+              type="text"
+              value={rangeStart}
+              onChange={(e) => setRangeStart(e.target.value)}
+              placeholder="Start"
+              title="Optional start time (seconds, mm:ss or 1h2m3s); defaults to t= in the URL"
+              className="w-24 px-3 py-2 bg-gray-700 border border-gray-600 rounded focus:border-blue-500 focus:outline-none"
+              disabled={isSubmitting}
+            />
+            <input
+              type="text"
+              value={rangeEnd}
+              onChange={(e) => setRangeEnd(e.target.value)}
+              placeholder="End"
+              title="Optional end time (seconds, mm:ss or 1h2m3s)"
+              className="w-24 px-3 py-2 bg-gray-700 border border-gray-600 rounded focus:border-blue-500 focus:outline-none"
+              disabled={isSubmitting}
             />
             <button
               onClick={downloadYouTubeVideo}
-              disabled={isDownloading || !youtubeUrl.trim()}
+              disabled={isSubmitting || !youtubeUrl.trim()}
               className="px-6 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 rounded transition-colors"
             >
-              {isDownloading ? 'Downloading...' : 'Download'}
+              {isSubmitting ? 'Starting...' : 'Download'}
             </button>
           </div>
           {downloadStatus && (
             <div className="mt-2 text-sm text-gray-300">
               {downloadStatus}
+              {uploadProgress !== null && ` ${uploadProgress.toFixed(0)}%`}
+              {freshCopyRequest && (
+                <button
+                  onClick={() => requestDownload(freshCopyRequest.url, { ...freshCopyRequest, fresh: true })}
+                  disabled={isSubmitting}
+                  className="ml-2 text-blue-400 hover:text-blue-300 underline"
+                >
+                  Download fresh copy
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Download job progress */}
+          {downloadJobs.length > 0 && (
+            <div className="mt-3 mb-4 space-y-2">
+              {downloadJobs.map(job => (
+                <JobProgress
+                  key={job.id}
+                  job={job}
+                  title={job.title || job.params?.url || 'Download'}
+                  onDismiss={dismissJob}
+                />
+              ))}
             </div>
           )}
 
@@ -253,13 +846,22 @@ const UnifiedVideoEditor = () => {
               <>
                 <WaveformPlayer
                   audioUrl={audioUrl}
+                  peaksUrl={currentMedia ? `/api/media/${encodeURIComponent(currentMedia)}/peaks` : undefined}
                   cuePoints={cuePoints}
                   onCueClick={handleCueClick}
+                  suggestedCues={suggestedCues}
+                  onSuggestionClick={handleSuggestionClick}
+                  sceneMarkers={sceneCuts}
+                  onSceneMarkerClick={handleSuggestionClick}
+                  filmstripUrl={currentMedia ? `/api/media/${encodeURIComponent(currentMedia)}/filmstrip` : undefined}
                   activeCue={activeCue}
+                  tempo={tempo}
+                  onTempoOffsetChange={handleTempoOffsetChange}
                   height={128}
                   autoPlay={false}
                   onAudioContextChange={handleAudioContextChange}
                   onPlaybackStateChange={handlePlaybackStateChange}
+                  onTransport={handleTransport}
                   onTimeUpdate={handleTimeUpdate}
                   onRef={setWaveformPlayerRef}
                   onDurationChange={handleDurationChange}
@@ -283,17 +885,250 @@ const UnifiedVideoEditor = () => {
                         </svg>
                       )}
                     </button>
+
+                    <button
+                      onClick={isBouncing ? stopBounce : startBounce}
+                      disabled={!waveformPlayerRef?.isReady?.()}
+                      className={`flex items-center gap-1 px-2 py-1 text-xs rounded transition-colors disabled:opacity-50 ${
+                        isBouncing ? 'bg-red-600 hover:bg-red-700 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                      }`}
+                      title={isBouncing ? 'Stop and download the WAV' : 'Record what the player outputs to a 48 kHz WAV'}
+                    >
+                      <span className={`inline-block w-2 h-2 rounded-full ${isBouncing ? 'bg-white animate-pulse' : 'bg-red-500'}`} />
+                      {isBouncing ? 'Stop WAV' : 'Rec WAV'}
+                    </button>
                     
                     <div className="text-white text-sm font-mono">
                       {formatTime(currentTime)} / {formatTime(duration)}
+                      {tempo && (
+                        <span className="ml-3 text-gray-400" title="Bars:beats">
+                          {formatBarsBeats(currentTime, tempo)}
+                        </span>
+                      )}
                     </div>
+
+                    {currentMedia && (
+                      <div className={`text-xs ${cueSaveStatus === 'error' ? 'text-red-400' : 'text-gray-400'}`}>
+                        {cueSaveStatus === 'loading' && 'Loading cues...'}
+                        {cueSaveStatus === 'saving' && 'Saving cues...'}
+                        {cueSaveStatus === 'saved' && 'Cues saved'}
+                        {cueSaveStatus === 'error' && 'Cues not saved'}
+                      </div>
+                    )}
                   </div>
+
+                  {currentMedia && (
+                    <div className="flex flex-wrap items-center justify-end gap-3 ml-auto text-sm">
+                      {suggestedCues.length > 0 && (
+                        <>
+                          <span className="text-xs text-gray-400">
+                            {suggestedCues.length} suggestion{suggestedCues.length !== 1 ? 's' : ''} (click a dashed marker to accept)
+                          </span>
+                          <button
+                            onClick={() => acceptSuggestions(suggestedCues)}
+                            disabled={getFreeSlotKeys(cuePoints).length === 0}
+                            className="px-3 py-1 bg-emerald-700 hover:bg-emerald-600 disabled:bg-gray-600 rounded transition-colors"
+                            title="Fill the free pad slots with the best-ranked suggestions"
+                          >
+                            Accept best
+                          </button>
+                          <button
+                            onClick={() => setSuggestedCues([])}
+                            className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded transition-colors"
+                          >
+                            Clear
+                          </button>
+                        </>
+                      )}
+                      {sceneCuts.length > 0 && (
+                        <>
+                          <span className="text-xs text-gray-400">
+                            {sceneCuts.length} cut{sceneCuts.length !== 1 ? 's' : ''}
+                          </span>
+                          <button
+                            onClick={() => acceptSuggestions(sceneCuts)}
+                            disabled={getFreeSlotKeys(cuePoints).length === 0}
+                            className="px-3 py-1 bg-fuchsia-800 hover:bg-fuchsia-700 disabled:bg-gray-600 rounded transition-colors"
+                            title="Fill the free pad slots with the strongest cuts"
+                          >
+                            Cuts to cues
+                          </button>
+                          <button
+                            onClick={() => setSceneCuts([])}
+                            className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded transition-colors"
+                          >
+                            Hide cuts
+                          </button>
+                        </>
+                      )}
+                      {currentChapters.length > 0 && (
+                        <button
+                          onClick={importChapters}
+                          className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded transition-colors"
+                          title={`Create cues from ${currentChapters.length} YouTube chapter(s)`}
+                        >
+                          Import chapters
+                        </button>
+                      )}
+                      <button
+                        onClick={() => startAnalysis('analyze')}
+                        disabled={isAnalysisRunning('analysis')}
+                        className="px-3 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded transition-colors"
+                        title="Find candidate cue times from silences and transients"
+                      >
+                        Suggest cues
+                      </button>
+                      <label
+                        className="flex items-center gap-1 text-xs text-gray-400"
+                        title="Higher finds subtler cuts"
+                      >
+                        Cut sensitivity
+                        <input
+                          type="range"
+                          min="0"
+                          max="1"
+                          step="0.05"
+                          value={sceneSensitivity}
+                          onChange={(e) => setSceneSensitivity(parseFloat(e.target.value))}
+                          className="w-20"
+                        />
+                        <span className="w-8 text-gray-300">{sceneSensitivity.toFixed(2)}</span>
+                      </label>
+                      <button
+                        onClick={() => startAnalysis('scenes', { sensitivity: sceneSensitivity })}
+                        disabled={isAnalysisRunning('scenes')}
+                        className="px-3 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded transition-colors"
+                        title="Find visual cuts in the video"
+                      >
+                        Detect cuts
+                      </button>
+                    </div>
+                  )}
                 </div>
+
+                {/* Exports */}
+                {currentMedia && (
+                  <div className="flex flex-wrap items-center gap-3 mt-2 text-sm">
+                    <span className="text-xs text-gray-400">Export</span>
+                    <a
+                      href={`/api/media/${encodeURIComponent(currentMedia)}/export/wav`}
+                      download
+                      className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded transition-colors"
+                      title="The audio as WAV with the cues embedded as markers"
+                    >
+                      WAV
+                    </a>
+                    <button
+                      onClick={() => wavInputRef.current?.click()}
+                      className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded transition-colors"
+                      title="Replace the cues with the markers of a WAV file"
+                    >
+                      Import WAV markers
+                    </button>
+                    <input
+                      ref={wavInputRef}
+                      type="file"
+                      accept=".wav,audio/wav"
+                      onChange={importWavCues}
+                      className="hidden"
+                    />
+                    <a
+                      href={`/api/media/${encodeURIComponent(currentMedia)}/export/rekordbox`}
+                      download
+                      className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded transition-colors"
+                      title="Rekordbox collection XML with the pads as hot cues (File > Import Collection)"
+                    >
+                      Rekordbox
+                    </a>
+                    <a
+                      href={`/api/media/${encodeURIComponent(currentMedia)}/export/traktor`}
+                      download
+                      className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded transition-colors"
+                      title="Traktor NML collection with the pads as hot cues (Import Another Collection)"
+                    >
+                      Traktor
+                    </a>
+                    <span className="flex items-center gap-2 ml-auto">
+                      <label className="flex items-center gap-1 text-xs text-gray-300" title="Bring each slice to a -1 dBFS peak">
+                        <input
+                          type="checkbox"
+                          checked={kitNormalize}
+                          onChange={(e) => setKitNormalize(e.target.checked)}
+                        />
+                        Normalize
+                      </label>
+                      <button
+                        onClick={() => startRender('kit', { normalize: kitNormalize })}
+                        disabled={cuePoints.length === 0 || cueSaveStatus === 'saving' || isRenderRunning('kit')}
+                        className="px-3 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded transition-colors"
+                        title="Zip of WAV slices between cues with an SFZ instrument (pad n = note 35+n)"
+                      >
+                        Sampler kit
+                      </button>
+                    </span>
+                    <span className="flex items-center gap-2">
+                      <select
+                        value={clipResolution}
+                        onChange={(e) => setClipResolution(e.target.value)}
+                        className="px-1 py-0.5 text-xs bg-gray-700 border border-gray-600 rounded"
+                        title="Height of rendered clips (never upscaled)"
+                      >
+                        {CLIP_RESOLUTIONS.map(resolution => (
+                          <option key={resolution} value={resolution}>
+                            {resolution === 'source' ? 'Source size' : `${resolution}p`}
+                          </option>
+                        ))}
+                      </select>
+                      <select
+                        value={clipFadeMs}
+                        onChange={(e) => setClipFadeMs(parseInt(e.target.value, 10))}
+                        className="px-1 py-0.5 text-xs bg-gray-700 border border-gray-600 rounded"
+                        title="Fade in and out of each clip"
+                      >
+                        {[0, 250, 500, 1000].map(fadeMs => (
+                          <option key={fadeMs} value={fadeMs}>
+                            {fadeMs === 0 ? 'No fade' : `${fadeMs} ms fade`}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => exportClips(cuePoints.map((cue, slotIndex) => (cue ? slotIndex : null)).filter(slotIndex => slotIndex !== null))}
+                        disabled={cuePoints.length === 0 || cueSaveStatus === 'saving' || isRenderRunning('clips')}
+                        className="px-3 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded transition-colors"
+                        title="Zip of mp4 clips, one per pad, each running to the next cue"
+                      >
+                        All clips
+                      </button>
+                    </span>
+                  </div>
+                )}
+
+                {/* Render progress */}
+                {renderJobs.filter(job => job.filename === currentMedia && job.status !== 'completed').map(job => (
+                  <div key={job.id} className="mt-2">
+                    <JobProgress
+                      job={job}
+                      title={RENDER_JOB_TITLES[job.type] || 'Rendering'}
+                      onDismiss={dismissRenderJob}
+                    />
+                  </div>
+                ))}
+
+                {/* Cue analysis progress */}
+                {analysisJobs.filter(job => job.filename === currentMedia && job.status !== 'completed').map(job => (
+                  <div key={job.id} className="mt-2">
+                    <JobProgress
+                      job={job}
+                      title={ANALYSIS_JOB_TITLES[job.type] || 'Analyzing'}
+                      onDismiss={dismissAnalysisJob}
+                    />
+                  </div>
+                ))}
               </>
             ) : (
               <div className="bg-gray-700 rounded p-8 text-center text-gray-400">
                 <p>No audio file loaded</p>
-                <p className="text-sm mt-2">Download a YouTube video above or select from downloaded files</p>
+                <p className="text-sm mt-2">Download a YouTube video, drop a media file above, or select from downloaded files</p>
               </div>
             )}
           </div>
@@ -306,12 +1141,50 @@ const UnifiedVideoEditor = () => {
                 cuePoints={cuePoints}
                 onCueClick={handleCueClick}
                 onJumpToCue={handleJumpToCue}
+                onUpdateCue={handleUpdateCue}
                 activeCue={activeCue}
                 currentTime={currentTime}
                 onAddCue={handleAddCue}
                 onClearAll={clearCues}
                 maxCueSlots={16}
+                mediaName={currentMedia}
+                onExportClip={cueSaveStatus !== 'saving' ? (slotIndex) => exportClips([slotIndex]) : null}
               />
+              {currentMedia && (
+                <div className="mt-2">
+                  <MidiCueControls
+                    cuePoints={cuePoints}
+                    onImport={importMidiCues}
+                    fileBaseName={`${currentMedia}-cues`}
+                  />
+                  <div className="mt-2">
+                    <TempoControls
+                      tempo={tempo}
+                      onChange={setTempo}
+                      currentTime={currentTime}
+                      onDetect={() => startAnalysis('tempo', { beatsPerBar: (tempo || DEFAULT_TEMPO).beatsPerBar })}
+                      isDetecting={isAnalysisRunning('tempo')}
+                    />
+                  </div>
+                  <div className="mt-2">
+                    <PerformanceControls
+                      takes={takes}
+                      isRecording={isRecording}
+                      replayingTakeId={replayingTakeId}
+                      onStartRecording={handleStartRecording}
+                      onStopRecording={stopRecording}
+                      onReplay={replayTake}
+                      onStopReplay={stopReplay}
+                      onDelete={deleteTake}
+                      onRender={(take) => startRender(`performances/${encodeURIComponent(take.id)}/render`, { resolution: clipResolution })}
+                      isRendering={isRenderRunning('performance')}
+                      onBounce={bounceTake}
+                      isBouncing={isRenderingOffline}
+                      disabled={!audioContext || !waveformPlayerRef?.isReady?.()}
+                    />
+                  </div>
+                </div>
+              )}
             </div>
 
             {/* Right Side - Video Player */}
@@ -329,6 +1202,7 @@ const UnifiedVideoEditor = () => {
                     videoUrl={videoUrl}
                     audioStartTime={audioStartTime}
                     cueOffset={cueOffset}
+                    loop={playbackLoop}
                     audioContext={audioContext}
                     isPlaying={isPlaying}
                     showSyncStatus={false}
@@ -355,20 +1229,87 @@ const UnifiedVideoEditor = () => {
         {/* Download History Section */}
         {downloadedFiles.length > 0 && (
           <div className="bg-gray-800 rounded-lg p-4 mb-4">
-            <h2 className="text-xl font-semibold mb-4">Download History</h2>
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h2 className="text-xl font-semibold">Download History</h2>
+                {storageUsage && (
+                  <div className="text-xs text-gray-400">
+                    {formatBytes(storageUsage.totalBytes)}
+                    {storageUsage.maxBytes && ` of ${formatBytes(storageUsage.maxBytes)}`} used
+                    {storageUsage.maxAgeDays && ` • items unused for ${storageUsage.maxAgeDays} days are removed`}
+                  </div>
+                )}
+              </div>
+              <div className="flex items-center space-x-2">
+                <input
+                  type="text"
+                  value={historyFilter}
+                  onChange={(e) => setHistoryFilter(e.target.value)}
+                  placeholder="Filter..."
+                  className="px-3 py-1 text-sm bg-gray-700 border border-gray-600 rounded focus:border-blue-500 focus:outline-none"
+                />
+                <select
+                  value={historySort}
+                  onChange={(e) => setHistorySort(e.target.value)}
+                  className="px-2 py-1 text-sm bg-gray-700 border border-gray-600 rounded focus:border-blue-500 focus:outline-none"
+                >
+                  <option value="newest">Newest first</option>
+                  <option value="oldest">Oldest first</option>
+                  <option value="title">Title</option>
+                  <option value="longest">Longest</option>
+                  <option value="shortest">Shortest</option>
+                </select>
+              </div>
+            </div>
             <div className="space-y-2">
-              {downloadedFiles.map((file, index) => (
+              {visibleDownloads.map((file) => (
                 <div
-                  key={index}
-                  className="flex items-center justify-between p-3 bg-gray-700 rounded cursor-pointer hover:bg-gray-600 transition-colors"
+                  key={file.filename}
+                  className={`flex items-center justify-between p-3 rounded cursor-pointer hover:bg-gray-600 transition-colors ${
+                    file.filename === currentMedia ? 'bg-gray-600' : 'bg-gray-700'
+                  }`}
                   onClick={() => loadFilePair(file)}
                 >
-                  <span className="text-sm font-mono">{file.filename}</span>
-                  <div className="flex space-x-2 text-xs text-gray-400">
-                    <span>Audio + Video</span>
+                  <div className="min-w-0 mr-4">
+                    <div className="text-sm truncate" title={file.filename}>{file.title}</div>
+                    <div className="text-xs text-gray-400">
+                      {file.createdAt ? new Date(file.createdAt).toLocaleString() : 'Unknown date'}
+                      {file.manifest?.source?.type === 'upload' && ' • Uploaded'}
+                      {file.manifest?.source?.range && (
+                        ` • Clip ${formatTime(file.manifest.source.range.start)}–${
+                          file.manifest.source.range.end !== null ? formatTime(file.manifest.source.range.end) : 'end'
+                        }`
+                      )}
+                    </div>
+                  </div>
+                  <div className="flex space-x-3 text-xs text-gray-400 flex-shrink-0">
+                    {file.manifest?.video?.height && (
+                      <span>{file.manifest.video.height}p{file.manifest.video.fps ? ` ${Math.round(file.manifest.video.fps)}fps` : ''}</span>
+                    )}
+                    {file.manifest?.audio?.sampleRate && (
+                      <span>{(file.manifest.audio.sampleRate / 1000).toFixed(1)} kHz</span>
+                    )}
+                    <span className="font-mono">{file.duration ? formatTime(file.duration) : '--:--'}</span>
+                    <button
+                      onClick={(e) => { e.stopPropagation(); renameDownload(file); }}
+                      className="text-gray-400 hover:text-white"
+                      title="Rename"
+                    >
+                      ✎
+                    </button>
+                    <button
+                      onClick={(e) => { e.stopPropagation(); deleteDownload(file); }}
+                      className="text-gray-400 hover:text-red-400"
+                      title="Delete"
+                    >
+                      🗑️
+                    </button>
                   </div>
                 </div>
               ))}
+              {visibleDownloads.length === 0 && (
+                <div className="text-sm text-gray-400">No downloads match &quot;{historyFilter}&quot;</div>
+              )}
             </div>
           </div>
         )}
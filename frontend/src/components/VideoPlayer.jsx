@@ -8,6 +8,7 @@ import useVideoSync from '../hooks/useVideoSync';
  * @param {string} props.videoUrl - URL to the video file
  * @param {number} props.audioStartTime - When audio playback started (AudioContext.currentTime)
  * @param {number} props.cueOffset - Offset into audio buffer (seconds)
+ * @param {Object} props.loop - Loop the audio repeats ({ start, end }), null when it plays on
  * @param {AudioContext} props.audioContext - Web Audio API context
  * @param {boolean} props.isPlaying - Whether audio is playing
 
@@ -19,6 +20,7 @@ const VideoPlayer = ({
   videoUrl,
   audioStartTime,
   cueOffset = 0,
+  loop = null,
   audioContext,
   isPlaying = false,
   showSyncStatus = false,
@@ -53,6 +55,7 @@ const VideoPlayer = ({
     videoElement: videoRef.current,
     audioStartTime,
     cueOffset,
+    loop,
     context: audioContext,
     isPlaying,
     driftThreshold: 0.05
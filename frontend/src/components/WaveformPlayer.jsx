@@ -1,18 +1,68 @@
 import { useEffect, useRef, useState, useCallback } from 'react';
 import WaveSurfer from 'wavesurfer.js';
+import FilmstripLane from './FilmstripLane';
+import BeatGrid from './BeatGrid';
+import { getCueRegion, getTimelinePosition } from '../utils/playbackTimeline';
+
+// Highest zoom level (pixels per second of audio)
+const MAX_ZOOM = 1000;
+
+// Sample rate of the extracted -audio.wav files
+const PLAYBACK_SAMPLE_RATE = 48000;
+
+/**
+ * Fetches server-generated waveform peaks so the waveform can be drawn before the audio is decoded
+ * @param {string} peaksUrl - Peaks endpoint (e.g. /api/media/:filename/peaks)
+ * @param {number} width - Number of peaks wanted (waveform width in device pixels)
+ * @param {AbortSignal} signal - Abort signal for the request
+ * @returns {Promise<Object|null>} - { channelData, duration, length, samplesPerPeak, finestSamplesPerPeak }
+ *   or null if peaks are unavailable
+ */
+const fetchPeaks = async (peaksUrl, width, signal) => {
+  try {
+    const response = await fetch(`${peaksUrl}?width=${Math.round(width)}`, { signal });
+    const data = await response.json();
+    if (data.status !== 'success' || !data.length) return null;
+
+    // Interleaved [min, max] pairs of signed integers scaled to -1..1
+    const scale = 2 ** (data.bits - 1) - 1;
+    const channelData = Float32Array.from(data.data, value => value / scale);
+    return {
+      channelData,
+      duration: data.duration,
+      length: data.length,
+      samplesPerPeak: data.samplesPerPeak,
+      finestSamplesPerPeak: Math.min(...data.levels)
+    };
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.warn('Waveform peaks unavailable, decoding audio instead:', error);
+    }
+    return null;
+  }
+};
 
 /**
  * WaveformPlayer component using Wavesurfer.js with Web Audio API integration
  * 
  * @param {Object} props
  * @param {string} props.audioUrl - URL to local .wav file
+ * @param {string} props.peaksUrl - Optional URL of precomputed peaks; draws the waveform before the audio decodes
  * @param {Array} props.cuePoints - Array of cue point objects
  * @param {Function} props.onCueClick - Callback when a marker is clicked
+ * @param {Array} props.suggestedCues - Suggested cue times shown as ghost markers
+ * @param {Function} props.onSuggestionClick - Callback when a ghost marker is clicked
+ * @param {Array} props.sceneMarkers - Detected video cuts shown in a lane below the waveform
+ * @param {Function} props.onSceneMarkerClick - Callback when a scene marker is clicked
+ * @param {string} props.filmstripUrl - Optional filmstrip endpoint; shows a lane of video frames under the waveform
  * @param {Object} props.activeCue - Currently active cue point
+ * @param {Object} props.tempo - Project tempo; draws beat and bar lines over the waveform (optional)
+ * @param {Function} props.onTempoOffsetChange - Callback with the first downbeat (seconds) when its handle is dragged
  * @param {number} props.height - Height of waveform container (default: 128px)
  * @param {boolean} props.autoPlay - Auto play on load (default: false)
  * @param {Function} props.onAudioContextChange - Callback when audio context changes
  * @param {Function} props.onPlaybackStateChange - Callback when playback state changes
+ * @param {Function} props.onTransport - Callback when play/pause is toggled with ({ action: 'play' | 'stop', position, contextTime })
  * @param {Function} props.onTimeUpdate - Callback for time updates with sync info
  * @param {Function} props.onRef - Callback to provide component reference for external control
  * @param {Function} props.onDurationChange - Callback when duration changes
@@ -20,13 +70,22 @@ import WaveSurfer from 'wavesurfer.js';
  */
 const WaveformPlayer = ({
   audioUrl,
+  peaksUrl,
   cuePoints = [],
   onCueClick,
+  suggestedCues = [],
+  onSuggestionClick,
+  sceneMarkers = [],
+  onSceneMarkerClick,
+  filmstripUrl,
   activeCue = null,
+  tempo = null,
+  onTempoOffsetChange,
   height = 128,
   autoPlay = false,
   onAudioContextChange,
   onPlaybackStateChange,
+  onTransport,
   onTimeUpdate,
   onRef,
   onDurationChange
@@ -34,16 +93,29 @@ const WaveformPlayer = ({
   const containerRef = useRef(null);
   const wavesurferRef = useRef(null);
   const markersRef = useRef([]);
+  const ghostMarkersRef = useRef([]);
+  const markerLayerRef = useRef(null);
   const audioContextRef = useRef(null);
+  const outputNodeRef = useRef(null);
   const audioBufferRef = useRef(null);
   const audioSourceRef = useRef(null);
   const audioStartTimeRef = useRef(null);
   const cueOffsetRef = useRef(0);
+  // Loop of the playing source ({ start, end }), null when it plays on
+  const loopRef = useRef(null);
+  // Source still heard until a scheduled start, with its timeline ({ source, audioStartTime, cueOffset, loop, until })
+  const handoverRef = useRef(null);
+  // Server peaks the waveform is drawn from (see fetchPeaks), null once it is drawn from decoded audio
+  const peaksRef = useRef(null);
   
   const [isReady, setIsReady] = useState(false);
+  const [isWaveformReady, setIsWaveformReady] = useState(false);
+  const [loadError, setLoadError] = useState(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
+  const [zoom, setZoom] = useState(0);
+  const [viewport, setViewport] = useState({ width: 0, scrollLeft: 0, clientWidth: 0 });
 
   // Format time for display
   const formatTime = useCallback((seconds) => {
@@ -56,8 +128,18 @@ const WaveformPlayer = ({
   const initAudioContext = useCallback(() => {
     if (audioContextRef.current) return audioContextRef.current;
 
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
     try {
-      audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
+      // Run at the rate of the extracted -audio.wav files, so playback and bounces need no resampling
+      try {
+        audioContextRef.current = new AudioContextClass({ sampleRate: PLAYBACK_SAMPLE_RATE });
+      } catch (error) {
+        audioContextRef.current = new AudioContextClass();
+      }
+
+      // All sources play through one output node, where recording taps attach
+      outputNodeRef.current = audioContextRef.current.createGain();
+      outputNodeRef.current.connect(audioContextRef.current.destination);
       
       if (onAudioContextChange) {
         onAudioContextChange(audioContextRef.current);
@@ -71,8 +153,14 @@ const WaveformPlayer = ({
     }
   }, [onAudioContextChange]);
 
-  // Stop current audio playback
-  const stopAudio = useCallback(() => {
+  // Stop current audio playback, now or at an AudioContext time (the state follows when the source ends)
+  const stopAudio = useCallback((when = null) => {
+    const context = audioContextRef.current;
+    if (when !== null && audioSourceRef.current && context && when > context.currentTime) {
+      audioSourceRef.current.stop(when);
+      return;
+    }
+
     if (audioSourceRef.current) {
       try {
         audioSourceRef.current.stop();
@@ -81,6 +169,14 @@ const WaveformPlayer = ({
       }
       audioSourceRef.current = null;
     }
+    if (handoverRef.current) {
+      try {
+        handoverRef.current.source.stop();
+      } catch (error) {
+        // Source may already be stopped
+      }
+      handoverRef.current = null;
+    }
     audioStartTimeRef.current = null;
     setIsPlaying(false);
     
@@ -89,17 +185,45 @@ const WaveformPlayer = ({
         isPlaying: false,
         audioStartTime: null,
         cueOffset: cueOffsetRef.current,
+        loop: null,
         audioContext: audioContextRef.current
       });
     }
   }, [onPlaybackStateChange]);
 
-  // Start audio playback from specific offset
-  const startAudio = useCallback((offset = 0) => {
+  // Timeline of what is heard now: the handed-over source until a scheduled start begins
+  const getPlaybackTimeline = useCallback(() => {
+    const context = audioContextRef.current;
+    if (!context || audioStartTimeRef.current === null) return null;
+
+    const handover = handoverRef.current;
+    if (handover && context.currentTime < handover.until) {
+      return { audioStartTime: handover.audioStartTime, cueOffset: handover.cueOffset, loop: handover.loop };
+    }
+    return { audioStartTime: audioStartTimeRef.current, cueOffset: cueOffsetRef.current, loop: loopRef.current };
+  }, []);
+
+  // Start audio playback from specific offset, now or at an AudioContext time. A region
+  // ({ start, end, loop }) stops the audio at its end, or loops it sample-accurately on the source node.
+  const startAudio = useCallback((offset = 0, when = null, region = null) => {
     if (!audioBufferRef.current || !audioContextRef.current) return;
 
-    // Stop any existing playback
-    stopAudio();
+    // Scheduled starts hand over from the playing source on the same sample; immediate ones stop it first
+    const startAt = when === null ? 0 : Math.max(when, audioContextRef.current.currentTime);
+    if (when === null) {
+      stopAudio();
+    } else if (audioSourceRef.current) {
+      // A jump made while another is pending keeps the source that is actually heard
+      const handover = handoverRef.current;
+      const audible = handover && audioContextRef.current.currentTime < handover.until
+        ? handover
+        : { ...getPlaybackTimeline(), source: audioSourceRef.current };
+      handoverRef.current = startAt > audioContextRef.current.currentTime
+        ? { ...audible, until: startAt }
+        : null;
+      if (audible.source !== audioSourceRef.current) audible.source.stop(startAt);
+      audioSourceRef.current.stop(startAt);
+    }
 
     // Resume audio context if suspended
     if (audioContextRef.current.state === 'suspended') {
@@ -110,19 +234,33 @@ const WaveformPlayer = ({
       // Create new audio source
       const source = audioContextRef.current.createBufferSource();
       source.buffer = audioBufferRef.current;
-      source.connect(audioContextRef.current.destination);
+      source.connect(outputNodeRef.current);
       
-      // Record start time and offset
-      audioStartTimeRef.current = audioContextRef.current.currentTime;
+      // Record start time, offset and loop
+      audioStartTimeRef.current = when === null ? audioContextRef.current.currentTime : startAt;
       cueOffsetRef.current = offset;
+      loopRef.current = region && region.loop ? { start: region.start, end: region.end } : null;
       
       // Start playback
-      source.start(0, offset);
+      if (loopRef.current) {
+        source.loop = true;
+        source.loopStart = region.start;
+        source.loopEnd = region.end;
+        source.start(startAt, offset);
+      } else if (region && region.end > offset) {
+        source.start(startAt, offset, region.end - offset);
+      } else {
+        source.start(startAt, offset);
+      }
       audioSourceRef.current = source;
       
-      // Handle playback end
+      // Handle playback end; a region that ran out leaves the playhead at its end
       source.onended = () => {
         if (audioSourceRef.current === source) {
+          if (region && !region.loop) {
+            cueOffsetRef.current = region.end;
+            setCurrentTime(region.end);
+          }
           stopAudio();
         }
       };
@@ -134,15 +272,16 @@ const WaveformPlayer = ({
           isPlaying: true,
           audioStartTime: audioStartTimeRef.current,
           cueOffset: offset,
+          loop: loopRef.current,
           audioContext: audioContextRef.current
         });
       }
 
-      console.log('Audio started:', { offset, startTime: audioStartTimeRef.current });
+      console.log('Audio started:', { offset, startTime: audioStartTimeRef.current, loop: loopRef.current });
     } catch (error) {
       console.error('Failed to start audio:', error);
     }
-  }, [stopAudio, onPlaybackStateChange]);
+  }, [stopAudio, getPlaybackTimeline, onPlaybackStateChange]);
 
 
 
@@ -169,43 +308,87 @@ const WaveformPlayer = ({
       }
     }
     
+    if (onTransport) {
+      onTransport({
+        action: isPlaying ? 'stop' : 'play',
+        position: currentTime,
+        contextTime: audioContextRef.current.currentTime
+      });
+    }
+
     if (isPlaying) {
       stopAudio();
     } else {
       startAudio(currentTime);
     }
-  }, [isPlaying, isReady, currentTime, stopAudio, startAudio]);
+  }, [isPlaying, isReady, currentTime, stopAudio, startAudio, onTransport]);
 
-  // Jump to specific cue point
-  const jumpToCue = useCallback((time) => {
+  // Jump to specific cue point, now or at an AudioContext time (used to replay performances),
+  // optionally playing only its region ({ start, end, loop })
+  const jumpToCue = useCallback((time, when = null, region = null) => {
     if (!audioBufferRef.current || !audioContextRef.current) return;
 
-    // Update wavesurfer visual position
-    if (wavesurferRef.current && duration > 0) {
+    // Update wavesurfer visual position (scheduled jumps move it once they start)
+    if (wavesurferRef.current && duration > 0 && when === null) {
       const progress = time / duration;
       wavesurferRef.current.seekTo(progress);
     }
 
     // Start audio playback from cue time
-    startAudio(time);
+    startAudio(time, when, region);
     
     console.log('Jumped to cue:', time);
   }, [duration, startAudio]);
 
+  // Move the playhead without changing the play state
+  const seekTo = useCallback((time) => {
+    if (isPlaying) {
+      jumpToCue(time);
+      return;
+    }
+
+    cueOffsetRef.current = time;
+    setCurrentTime(time);
+
+    if (wavesurferRef.current && duration > 0) {
+      wavesurferRef.current.seekTo(time / duration);
+    }
+
+    if (onTimeUpdate) {
+      onTimeUpdate({
+        currentTime: time,
+        audioStartTime: null,
+        cueOffset: time,
+        audioContext: audioContextRef.current
+      });
+    }
+  }, [isPlaying, jumpToCue, duration, onTimeUpdate]);
+
+  // Zoom in/out by factors of two between "fit to width" (0) and MAX_ZOOM
+  const zoomIn = useCallback(() => {
+    const fitZoom = duration > 0 && viewport.clientWidth > 0 ? viewport.clientWidth / duration : 1;
+    setZoom(prev => Math.min(MAX_ZOOM, Math.max(prev, fitZoom) * 2));
+  }, [duration, viewport.clientWidth]);
+
+  const zoomOut = useCallback(() => {
+    const fitZoom = duration > 0 && viewport.clientWidth > 0 ? viewport.clientWidth / duration : 1;
+    setZoom(prev => (prev / 2 <= fitZoom ? 0 : prev / 2));
+  }, [duration, viewport.clientWidth]);
+
   // Update current time based on audio context
   const updateCurrentTime = useCallback(() => {
-    if (!audioContextRef.current || !audioStartTimeRef.current || !isPlaying) return;
+    const timeline = getPlaybackTimeline();
+    if (!timeline || !isPlaying) return;
 
-    const elapsed = audioContextRef.current.currentTime - audioStartTimeRef.current;
-    const newCurrentTime = cueOffsetRef.current + elapsed;
+    const newCurrentTime = getTimelinePosition(timeline, audioContextRef.current.currentTime);
     
     setCurrentTime(newCurrentTime);
 
     if (onTimeUpdate) {
       onTimeUpdate({
         currentTime: newCurrentTime,
-        audioStartTime: audioStartTimeRef.current,
-        cueOffset: cueOffsetRef.current,
+        audioStartTime: timeline.audioStartTime,
+        cueOffset: timeline.cueOffset,
         audioContext: audioContextRef.current
       });
     }
@@ -230,7 +413,7 @@ const WaveformPlayer = ({
         }
       }
     }
-  }, [isPlaying, duration, onTimeUpdate]);
+  }, [isPlaying, duration, onTimeUpdate, getPlaybackTimeline]);
 
   // Time update loop
   useEffect(() => {
@@ -250,7 +433,18 @@ const WaveformPlayer = ({
     }
 
     // Initialize audio context
-    initAudioContext();
+    const audioContext = initAudioContext();
+    let cancelled = false;
+    const abortController = new AbortController();
+    let usePeaks = false;
+    peaksRef.current = null;
+
+    stopAudio();
+    audioBufferRef.current = null;
+    setIsReady(false);
+    setIsWaveformReady(false);
+    setLoadError(null);
+    setZoom(0);
 
     // Create new wavesurfer instance
     const wavesurfer = WaveSurfer.create({
@@ -269,9 +463,20 @@ const WaveformPlayer = ({
 
     wavesurferRef.current = wavesurfer;
 
+    // Track the scrollable width and scroll offset so overlays stay aligned when zoomed
+    const updateViewport = () => {
+      setViewport({
+        width: wavesurfer.getWrapper().clientWidth,
+        scrollLeft: wavesurfer.getScroll(),
+        clientWidth: wavesurfer.getWidth()
+      });
+    };
+    wavesurfer.on('scroll', updateViewport);
+    wavesurfer.on('redraw', updateViewport);
+
     // Event listeners
     wavesurfer.on('ready', () => {
-      setIsReady(true);
+      setIsWaveformReady(true);
       const newDuration = wavesurfer.getDuration();
       setDuration(newDuration);
       
@@ -280,6 +485,10 @@ const WaveformPlayer = ({
         onDurationChange(newDuration);
       }
       
+      // With peaks the waveform is drawn from placeholder data; the real buffer decodes separately
+      if (usePeaks) return;
+      setIsReady(true);
+      
       // Get the audio buffer for Web Audio API playback
       // Try multiple methods to extract the audio buffer
       let buffer = null;
@@ -326,22 +535,71 @@ const WaveformPlayer = ({
     wavesurfer.on('error', (error) => {
       console.error('Wavesurfer error:', error);
       setIsReady(false);
+      if (!cancelled) setLoadError('Audio could not be loaded');
     });
 
-    // Load the audio
-    try {
-      wavesurfer.load(audioUrl);
-    } catch (error) {
-      console.error('Failed to load audio:', error);
-    }
+    // Decode the full audio for Web Audio playback while the peaks are already on screen
+    const decodeAudioBuffer = async () => {
+      try {
+        const response = await fetch(audioUrl, { signal: abortController.signal });
+        const arrayBuffer = await response.arrayBuffer();
+        const buffer = await audioContext.decodeAudioData(arrayBuffer);
+        if (cancelled) return;
+
+        audioBufferRef.current = buffer;
+        setIsReady(true);
+        console.log('Audio buffer decoded for Web Audio API:', {
+          duration: buffer.duration,
+          sampleRate: buffer.sampleRate,
+          numberOfChannels: buffer.numberOfChannels
+        });
+      } catch (error) {
+        if (error.name === 'AbortError' || cancelled) return;
+
+        // Playback needs a buffer: let wavesurfer fetch and decode the audio itself instead
+        console.error('Failed to decode audio, loading it without peaks:', error);
+        usePeaks = false;
+        peaksRef.current = null;
+        try {
+          await wavesurfer.load(audioUrl);
+        } catch (loadError) {
+          if (!cancelled) console.error('Failed to load audio:', loadError);
+        }
+      }
+    };
+
+    // Load the audio, drawing from server peaks first when available
+    const loadWaveform = async () => {
+      const width = containerRef.current.clientWidth * (window.devicePixelRatio || 1);
+      const peaks = peaksUrl && audioContext
+        ? await fetchPeaks(peaksUrl, width, abortController.signal)
+        : null;
+      if (cancelled) return;
+
+      usePeaks = !!peaks;
+      peaksRef.current = peaks;
+      if (usePeaks) {
+        decodeAudioBuffer();
+      }
+
+      try {
+        await wavesurfer.load(audioUrl, peaks ? [peaks.channelData] : undefined, peaks ? peaks.duration : undefined);
+      } catch (error) {
+        if (!cancelled) console.error('Failed to load audio:', error);
+      }
+    };
+
+    loadWaveform();
 
     // Cleanup
     return () => {
+      cancelled = true;
+      abortController.abort();
       if (wavesurfer) {
         wavesurfer.destroy();
       }
     };
-  }, [audioUrl, height]);
+  }, [audioUrl, peaksUrl, height]);
 
   // Provide component reference to parent
   useEffect(() => {
@@ -349,18 +607,22 @@ const WaveformPlayer = ({
       onRef({
         jumpToCue,
         togglePlayback,
+        stop: stopAudio,
+        getOutputNode: () => outputNodeRef.current,
+        getAudioBuffer: () => audioBufferRef.current,
+        getPlaybackTimeline,
         getCurrentTime: () => currentTime,
         getDuration: () => duration,
         isPlaying: () => isPlaying,
         isReady: () => isReady
       });
     }
-  }, [onRef, isReady, jumpToCue, togglePlayback, currentTime, duration, isPlaying]);
+  }, [onRef, isReady, jumpToCue, togglePlayback, stopAudio, getPlaybackTimeline, currentTime, duration, isPlaying]);
 
   // Update markers when cue points or active cue changes
   useEffect(() => {
     // Call createMarkers directly with inline logic to avoid dependency
-    if (!containerRef.current || !wavesurferRef.current || !isReady) return;
+    if (!markerLayerRef.current || !wavesurferRef.current || !isWaveformReady) return;
 
     // Clear existing markers
     markersRef.current.forEach(marker => {
@@ -371,15 +633,30 @@ const WaveformPlayer = ({
     // Create new markers for each cue point
     cuePoints.forEach(cue => {
       try {
+        // Cues with an end shade their region; loops get their own colour
+        const region = getCueRegion(cue);
+        if (region) {
+          const shade = document.createElement('div');
+          shade.className = `absolute top-0 h-full pointer-events-none ${
+            region.loop ? 'bg-amber-400/20 border-r-2 border-amber-300/70' : 'bg-red-500/10 border-r border-red-400/50'
+          }`;
+          shade.style.left = `${(region.start / duration) * 100}%`;
+          shade.style.width = `${((region.end - region.start) / duration) * 100}%`;
+          markerLayerRef.current.appendChild(shade);
+          markersRef.current.push(shade);
+        }
+
         const marker = document.createElement('div');
-        marker.className = `absolute top-0 w-0.5 h-full cursor-pointer transition-colors z-10 ${
+        marker.className = `absolute top-0 w-0.5 h-full cursor-pointer pointer-events-auto transition-colors z-10 ${
           activeCue && activeCue.time === cue.time && activeCue.label === cue.label
             ? 'bg-yellow-400'
             : 'bg-red-500 hover:bg-red-400'
         }`;
         
         marker.style.left = `${(cue.time / duration) * 100}%`;
-        marker.title = `${cue.label} (${cue.time}s)`;
+        marker.title = region
+          ? `${cue.label} (${cue.time}s - ${region.end}s${region.loop ? ', loop' : ''})`
+          : `${cue.label} (${cue.time}s)`;
         
         marker.addEventListener('click', (e) => {
           e.stopPropagation();
@@ -388,13 +665,86 @@ const WaveformPlayer = ({
           }
         });
         
-        containerRef.current.appendChild(marker);
+        markerLayerRef.current.appendChild(marker);
         markersRef.current.push(marker);
       } catch (error) {
         console.error('Error creating marker:', error);
       }
     });
-  }, [cuePoints, activeCue, isReady, duration, onCueClick]);
+  }, [cuePoints, activeCue, isWaveformReady, duration, onCueClick]);
+
+  // Update ghost markers when suggestions change
+  useEffect(() => {
+    if (!markerLayerRef.current || !isWaveformReady) return;
+
+    ghostMarkersRef.current.forEach(marker => marker.remove());
+    ghostMarkersRef.current = [];
+
+    suggestedCues.forEach(suggestion => {
+      const marker = document.createElement('div');
+      marker.className = 'absolute top-0 h-full w-0 border-l-2 border-dashed border-emerald-300 opacity-60 hover:opacity-100 cursor-pointer pointer-events-auto z-10';
+      marker.style.left = `${(suggestion.time / duration) * 100}%`;
+      marker.title = `Suggested cue #${suggestion.rank} at ${suggestion.time.toFixed(3)}s (score ${suggestion.score}) - click to accept`;
+
+      marker.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (onSuggestionClick) {
+          onSuggestionClick(suggestion);
+        }
+      });
+
+      markerLayerRef.current.appendChild(marker);
+      ghostMarkersRef.current.push(marker);
+    });
+
+    return () => {
+      ghostMarkersRef.current.forEach(marker => marker.remove());
+      ghostMarkersRef.current = [];
+    };
+  }, [suggestedCues, isWaveformReady, duration, onSuggestionClick]);
+
+  // Apply the zoom level (0 fits the whole file into the container)
+  useEffect(() => {
+    if (!wavesurferRef.current || !isWaveformReady) return;
+
+    try {
+      wavesurferRef.current.zoom(zoom);
+    } catch (error) {
+      console.error('Failed to zoom waveform:', error);
+    }
+  }, [zoom, isWaveformReady]);
+
+  // Peaks are first fetched for the unzoomed width; zooming in past their detail loads a finer level
+  useEffect(() => {
+    const wavesurfer = wavesurferRef.current;
+    const peaks = peaksRef.current;
+    if (!wavesurfer || !isWaveformReady || !peaks || !peaksUrl) return;
+
+    const pxPerSec = zoom || viewport.clientWidth / peaks.duration;
+    const width = peaks.duration * pxPerSec * (window.devicePixelRatio || 1);
+    if (peaks.length >= width || peaks.samplesPerPeak === peaks.finestSamplesPerPeak) return;
+
+    const abortController = new AbortController();
+    const loadFinerPeaks = async () => {
+      const finer = await fetchPeaks(peaksUrl, width, abortController.signal);
+      if (!finer || abortController.signal.aborted || peaksRef.current !== peaks) return;
+
+      // Reloading redraws from the new peaks; keep the view and cursor where they were
+      peaksRef.current = finer;
+      const scroll = wavesurfer.getScroll();
+      const progress = wavesurfer.getCurrentTime() / finer.duration;
+      try {
+        await wavesurfer.load(audioUrl, [finer.channelData], finer.duration);
+        wavesurfer.setScroll(scroll);
+        wavesurfer.seekTo(progress);
+      } catch (error) {
+        console.error('Failed to load finer waveform peaks:', error);
+      }
+    };
+
+    loadFinerPeaks();
+    return () => abortController.abort();
+  }, [zoom, isWaveformReady, viewport.clientWidth, peaksUrl, audioUrl]);
 
   // Auto play if enabled
   useEffect(() => {
@@ -411,10 +761,11 @@ const WaveformPlayer = ({
         try {
           const source = context.createBufferSource();
           source.buffer = audioBufferRef.current;
-          source.connect(context.destination);
+          source.connect(outputNodeRef.current);
           
           audioStartTimeRef.current = context.currentTime;
           cueOffsetRef.current = 0;
+          loopRef.current = null;
           
           source.start(0, 0);
           audioSourceRef.current = source;
@@ -434,6 +785,7 @@ const WaveformPlayer = ({
               isPlaying: true,
               audioStartTime: audioStartTimeRef.current,
               cueOffset: 0,
+              loop: null,
               audioContext: context
             });
           }
@@ -487,7 +839,7 @@ const WaveformPlayer = ({
 
       {/* Waveform Container */}
       <div className="waveform-container relative" style={{ height: `${height}px` }}>
-        {!isReady && audioUrl && (
+        {!isWaveformReady && audioUrl && (
           <div className="absolute inset-0 flex items-center justify-center bg-gray-800 text-white">
             <div className="flex items-center space-x-2">
               <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-white"></div>
@@ -495,6 +847,19 @@ const WaveformPlayer = ({
             </div>
           </div>
         )}
+
+        {loadError && audioUrl && (
+          <div className="absolute top-1 right-1 z-20 px-2 py-0.5 rounded bg-red-900/80 text-xs text-red-200">
+            {loadError}
+          </div>
+        )}
+
+        {isWaveformReady && !isReady && !loadError && audioUrl && (
+          <div className="absolute top-1 right-1 z-20 flex items-center space-x-1 px-2 py-0.5 rounded bg-gray-900/80 text-xs text-gray-300">
+            <div className="animate-spin rounded-full h-3 w-3 border-b-2 border-gray-300"></div>
+            <span>Decoding audio...</span>
+          </div>
+        )}
         
         {!audioUrl && (
           <div className="absolute inset-0 flex items-center justify-center bg-gray-800 text-gray-400">
@@ -503,19 +868,101 @@ const WaveformPlayer = ({
         )}
         
         <div ref={containerRef} className="wavesurfer-container" />
+
+        {/* Marker layer, sized and scrolled like the waveform so markers follow zoom */}
+        <div className="absolute inset-0 overflow-hidden pointer-events-none">
+          <div
+            ref={markerLayerRef}
+            className="relative h-full"
+            style={{ width: viewport.width ? `${viewport.width}px` : '100%', transform: `translateX(${-viewport.scrollLeft}px)` }}
+          />
+        </div>
+
+        {/* Beat and bar lines of the project tempo */}
+        {tempo && isWaveformReady && duration > 0 && (
+          <BeatGrid
+            tempo={tempo}
+            duration={duration}
+            viewport={viewport}
+            height={height}
+            onOffsetChange={onTempoOffsetChange}
+          />
+        )}
       </div>
 
-      {/* Timeline */}
+      {/* Scene change lane */}
+      {sceneMarkers.length > 0 && duration > 0 && (
+        <div className="scene-lane relative h-4 mt-1 bg-gray-900 rounded overflow-hidden" title="Video cuts">
+          <div
+            className="relative h-full"
+            style={{ width: viewport.width ? `${viewport.width}px` : '100%', transform: `translateX(${-viewport.scrollLeft}px)` }}
+          >
+            {sceneMarkers.map(scene => (
+              <button
+                key={scene.sample_position}
+                onClick={() => onSceneMarkerClick && onSceneMarkerClick(scene)}
+                className="absolute top-0 h-full w-1 -ml-0.5 bg-fuchsia-400 opacity-70 hover:opacity-100"
+                style={{ left: `${(scene.time / duration) * 100}%` }}
+                title={`Cut at ${scene.time.toFixed(3)}s${scene.frame !== null ? ` (frame ${scene.frame})` : ''}, score ${scene.score} - click to add as cue`}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Filmstrip lane */}
+      {filmstripUrl && isWaveformReady && (
+        <FilmstripLane
+          filmstripUrl={filmstripUrl}
+          duration={duration}
+          viewport={viewport}
+          onSeek={seekTo}
+        />
+      )}
+
+      {/* Timeline of the visible window */}
       <div className="timeline-container mt-2 px-2">
-        <div className="flex justify-between text-xs text-gray-400">
-          <span>0:00</span>
-          {duration > 0 && (
-            <>
-              <span>{formatTime(duration / 4)}</span>
-              <span>{formatTime(duration / 2)}</span>
-              <span>{formatTime((duration * 3) / 4)}</span>
-              <span>{formatTime(duration)}</span>
-            </>
+        <div className="flex items-center text-xs text-gray-400">
+          <div className="flex flex-1 justify-between">
+            {duration > 0 ? (() => {
+              const visibleStart = viewport.width ? (viewport.scrollLeft / viewport.width) * duration : 0;
+              const visibleEnd = viewport.width ? ((viewport.scrollLeft + viewport.clientWidth) / viewport.width) * duration : duration;
+              const span = Math.min(duration, visibleEnd) - visibleStart;
+              return [0, 0.25, 0.5, 0.75, 1].map(fraction => (
+                <span key={fraction}>{formatTime(visibleStart + span * fraction)}</span>
+              ));
+            })() : (
+              <span>0:00</span>
+            )}
+          </div>
+
+          {isWaveformReady && (
+            <div className="flex items-center space-x-1 ml-4">
+              <button
+                onClick={zoomOut}
+                disabled={zoom === 0}
+                className="px-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded"
+                title="Zoom out"
+              >
+                −
+              </button>
+              <button
+                onClick={() => setZoom(0)}
+                disabled={zoom === 0}
+                className="px-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded"
+                title="Fit whole file"
+              >
+                Fit
+              </button>
+              <button
+                onClick={zoomIn}
+                disabled={zoom >= MAX_ZOOM}
+                className="px-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded"
+                title="Zoom in"
+              >
+                +
+              </button>
+            </div>
           )}
         </div>
       </div>
@@ -0,0 +1,138 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import wavRecorderUrl from '../worklets/wavRecorderProcessor.js?url';
+import {
+  BOUNCE_SAMPLE_RATE,
+  encodeWav,
+  joinBlocks,
+  resampleChannels,
+  renderTakeOffline,
+  downloadWav
+} from '../utils/audioBounce';
+
+// Contexts that already loaded the recorder worklet module
+const loadedContexts = new WeakSet();
+
+/**
+ * useAudioBounce - React hook that records the waveform player's output to a WAV download
+ *
+ * A recording tap (AudioWorklet) on the player's output node captures exactly what is heard,
+ * including rapid cue jumps, as 48 kHz PCM. Recorded takes can also be bounced offline.
+ *
+ * @param {Object} params - Hook parameters
+ * @param {AudioContext} params.audioContext - Audio context of the waveform player
+ * @param {Object} params.player - Waveform player reference (getOutputNode, getAudioBuffer)
+ * @param {string} params.fileBaseName - Download name without extension
+ * @returns {Object} - Bounce state and control functions
+ */
+const useAudioBounce = ({
+  audioContext,
+  player,
+  fileBaseName = 'bounce'
+}) => {
+  const [isBouncing, setIsBouncing] = useState(false);
+  const [isRenderingOffline, setIsRenderingOffline] = useState(false);
+  const tapRef = useRef(null);
+
+  // Detach the tap from the graph
+  const closeTap = useCallback(() => {
+    const tap = tapRef.current;
+    if (!tap) return null;
+    tapRef.current = null;
+    tap.output.disconnect(tap.node);
+    tap.node.disconnect();
+    return tap;
+  }, []);
+
+  // Start capturing the player's output
+  const startBounce = useCallback(async () => {
+    const output = player?.getOutputNode?.();
+    if (!audioContext || !output || tapRef.current) return;
+
+    try {
+      if (!loadedContexts.has(audioContext)) {
+        await audioContext.audioWorklet.addModule(wavRecorderUrl);
+        loadedContexts.add(audioContext);
+      }
+      if (audioContext.state === 'suspended') {
+        await audioContext.resume();
+      }
+
+      const node = new AudioWorkletNode(audioContext, 'wav-recorder', {
+        channelCount: 2,
+        channelCountMode: 'explicit'
+      });
+      const blocks = [];
+      node.port.onmessage = (event) => blocks.push(event.data);
+
+      // The tap outputs silence; connecting it to the destination keeps it processing
+      output.connect(node);
+      node.connect(audioContext.destination);
+
+      tapRef.current = { node, output, blocks, sampleRate: audioContext.sampleRate };
+      setIsBouncing(true);
+    } catch (error) {
+      console.error('Failed to start bounce:', error);
+      window.alert(`Recording is not available: ${error.message}`);
+    }
+  }, [audioContext, player]);
+
+  // Stop capturing and download the WAV
+  const stopBounce = useCallback(async () => {
+    const tap = tapRef.current;
+    if (!tap) return;
+
+    // Wait for the partial block before detaching
+    const flushed = new Promise(resolve => {
+      tap.node.port.onmessage = (event) => {
+        tap.blocks.push(event.data);
+        resolve();
+      };
+      setTimeout(resolve, 500);
+    });
+    tap.node.port.postMessage('flush');
+    await flushed;
+
+    closeTap();
+    setIsBouncing(false);
+
+    try {
+      const channels = await resampleChannels(joinBlocks(tap.blocks), tap.sampleRate);
+      downloadWav(encodeWav(channels, BOUNCE_SAMPLE_RATE), `${fileBaseName}-bounce.wav`);
+    } catch (error) {
+      console.error('Failed to write bounce:', error);
+    }
+  }, [closeTap, fileBaseName]);
+
+  // Render a recorded take offline and download the WAV
+  const bounceTake = useCallback(async (take) => {
+    const audioBuffer = player?.getAudioBuffer?.();
+    if (!audioBuffer) return;
+
+    setIsRenderingOffline(true);
+    try {
+      const channels = await renderTakeOffline(audioBuffer, take);
+      const takeName = (take.name || 'take').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+      downloadWav(encodeWav(channels, BOUNCE_SAMPLE_RATE), `${fileBaseName}-${takeName}.wav`);
+    } catch (error) {
+      console.error('Failed to render take:', error);
+      window.alert(`Failed to render take: ${error.message}`);
+    } finally {
+      setIsRenderingOffline(false);
+    }
+  }, [player, fileBaseName]);
+
+  // Drop a running tap when the context changes or the editor unmounts
+  useEffect(() => () => {
+    if (closeTap()) setIsBouncing(false);
+  }, [audioContext, closeTap]);
+
+  return {
+    isBouncing,
+    isRenderingOffline,
+    startBounce,
+    stopBounce,
+    bounceTake
+  };
+};
+
+export default useAudioBounce;
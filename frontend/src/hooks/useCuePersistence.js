@@ -0,0 +1,154 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+/**
+ * Sends a cue set to the server
+ * @param {string} mediaName - Media name (file pair prefix)
+ * @param {Array} cues - Cue points to store
+ * @param {Object} tempo - Project tempo to store with them (null for none)
+ * @param {boolean} keepalive - Allow the request to outlive the page (used when flushing on unload)
+ * @returns {Promise<Response>}
+ */
+const putCues = (mediaName, cues, tempo, keepalive = false) => fetch(`/api/media/${encodeURIComponent(mediaName)}/cues`, {
+  method: 'PUT',
+  headers: {
+    'Content-Type': 'application/json',
+  },
+  body: JSON.stringify({ cues, tempo }),
+  keepalive
+});
+
+/**
+ * useCuePersistence - React hook that loads and autosaves the cue set and project tempo of a media item
+ *
+ * @param {Object} params - Hook parameters
+ * @param {string} params.mediaName - Media name (file pair prefix); null when nothing is loaded
+ * @param {Array} params.cuePoints - Current cue points
+ * @param {Object} params.tempo - Current project tempo (null for none)
+ * @param {Function} params.onCuesLoaded - Called with the saved cue array and tempo after a media item loads
+ * @param {number} params.debounceMs - Delay after the last change before saving (default: 800)
+ * @returns {Object} - Save status ('idle' | 'loading' | 'saving' | 'saved' | 'error') and flushSave, which saves a
+ *   pending change right away and resolves to whether the server now has the current cue set
+ */
+const useCuePersistence = ({
+  mediaName,
+  cuePoints,
+  tempo = null,
+  onCuesLoaded,
+  debounceMs = 800
+}) => {
+  const [saveStatus, setSaveStatus] = useState('idle');
+  const loadedMediaRef = useRef(null);
+  const lastSavedRef = useRef(null);
+  const pendingSaveRef = useRef(null);
+  const saveTimerRef = useRef(null);
+  const inFlightSaveRef = useRef(null);
+
+  // Load the saved cue set whenever the media item changes
+  useEffect(() => {
+    loadedMediaRef.current = null;
+    if (!mediaName) return;
+
+    let cancelled = false;
+    setSaveStatus('loading');
+
+    const loadCues = async () => {
+      try {
+        const response = await fetch(`/api/media/${encodeURIComponent(mediaName)}/cues`);
+        const data = await response.json();
+        if (cancelled) return;
+
+        const cues = data.status === 'success' ? data.cues : [];
+        const savedTempo = data.status === 'success' ? data.tempo || null : null;
+        lastSavedRef.current = JSON.stringify({ cues, tempo: savedTempo });
+        loadedMediaRef.current = mediaName;
+        onCuesLoaded(cues, savedTempo);
+        setSaveStatus(data.status === 'success' ? 'saved' : 'error');
+      } catch (error) {
+        if (cancelled) return;
+        console.error('Failed to load cue points:', error);
+        setSaveStatus('error');
+      }
+    };
+
+    loadCues();
+
+    return () => {
+      cancelled = true;
+
+      // Flush an unsaved change before switching to another media item
+      const pending = pendingSaveRef.current;
+      if (pending && pending.mediaName === mediaName) {
+        pendingSaveRef.current = null;
+        putCues(pending.mediaName, pending.cues, pending.tempo, true).catch(error => {
+          console.error('Failed to save cue points:', error);
+        });
+      }
+    };
+  }, [mediaName, onCuesLoaded]);
+
+  // Save the pending change now; saves run one after another so the last change is stored last
+  const flushSave = useCallback(() => {
+    const pending = pendingSaveRef.current;
+    if (!pending) return inFlightSaveRef.current || Promise.resolve(true);
+
+    pendingSaveRef.current = null;
+    clearTimeout(saveTimerRef.current);
+    setSaveStatus('saving');
+
+    const previous = inFlightSaveRef.current;
+    const save = (async () => {
+      try {
+        await previous;
+        const response = await putCues(pending.mediaName, pending.cues, pending.tempo);
+        const data = await response.json();
+        if (data.status !== 'success') throw new Error(data.message);
+
+        lastSavedRef.current = pending.serialized;
+        setSaveStatus('saved');
+        return true;
+      } catch (error) {
+        console.error('Failed to save cue points:', error);
+        setSaveStatus('error');
+        // Keep the change for the next flush unless a newer one replaced it
+        if (!pendingSaveRef.current) pendingSaveRef.current = pending;
+        return false;
+      } finally {
+        if (inFlightSaveRef.current === save) inFlightSaveRef.current = null;
+      }
+    })();
+
+    inFlightSaveRef.current = save;
+    return save;
+  }, []);
+
+  // Debounced autosave on every change after the saved set has been loaded
+  useEffect(() => {
+    if (!mediaName || loadedMediaRef.current !== mediaName) return;
+
+    const serialized = JSON.stringify({ cues: cuePoints, tempo });
+    if (serialized === lastSavedRef.current) return;
+
+    pendingSaveRef.current = { mediaName, cues: cuePoints, tempo, serialized };
+    saveTimerRef.current = setTimeout(flushSave, debounceMs);
+
+    return () => clearTimeout(saveTimerRef.current);
+  }, [cuePoints, tempo, mediaName, debounceMs, flushSave]);
+
+  // Flush an unsaved change when the page is closed or reloaded
+  useEffect(() => {
+    const handlePageHide = () => {
+      const pending = pendingSaveRef.current;
+      if (pending) {
+        pendingSaveRef.current = null;
+        putCues(pending.mediaName, pending.cues, pending.tempo, true);
+      }
+    };
+
+    window.addEventListener('pagehide', handlePageHide);
+    return () => window.removeEventListener('pagehide', handlePageHide);
+  }, []);
+
+  return { saveStatus, flushSave };
+};
+
+export default useCuePersistence;
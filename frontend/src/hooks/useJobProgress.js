@@ -0,0 +1,159 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+/**
+ * useJobProgress - React hook for following backend jobs via Server-Sent Events
+ *
+ * Ids of unfinished jobs are kept in localStorage so that a reload picks them up again.
+ *
+ * @param {Object} params - Hook parameters
+ * @param {string} params.storageKey - localStorage key for tracked job ids (default: 'cue-editor-jobs')
+ * @param {Function} params.onJobComplete - Called with the job when it completes
+ * @param {Function} params.onJobFailed - Called with the job when it fails
+ * @returns {Object} - Tracked jobs and control functions
+ */
+const useJobProgress = ({
+  storageKey = 'cue-editor-jobs',
+  onJobComplete,
+  onJobFailed
+} = {}) => {
+  const [jobs, setJobs] = useState([]);
+  const sourcesRef = useRef(new Map());
+  const callbacksRef = useRef({ onJobComplete, onJobFailed });
+  const resumeIdsRef = useRef(null);
+
+  // Read previously tracked job ids once, before the first persist overwrites them
+  if (resumeIdsRef.current === null) {
+    try {
+      resumeIdsRef.current = JSON.parse(localStorage.getItem(storageKey) || '[]');
+    } catch {
+      resumeIdsRef.current = [];
+    }
+  }
+
+  // Keep latest callbacks without re-subscribing event sources
+  useEffect(() => {
+    callbacksRef.current = { onJobComplete, onJobFailed };
+  }, [onJobComplete, onJobFailed]);
+
+  // Insert or replace a job snapshot
+  const upsertJob = useCallback((job) => {
+    setJobs(prev => {
+      const index = prev.findIndex(j => j.id === job.id);
+      if (index === -1) return [...prev, job];
+      const next = [...prev];
+      next[index] = job;
+      return next;
+    });
+  }, []);
+
+  // Close and forget the event source for a job
+  const closeSource = useCallback((jobId) => {
+    const source = sourcesRef.current.get(jobId);
+    if (source) {
+      source.close();
+      sourcesRef.current.delete(jobId);
+    }
+  }, []);
+
+  // Subscribe to the SSE stream for a job
+  const subscribe = useCallback((jobId) => {
+    if (sourcesRef.current.has(jobId)) return;
+
+    const source = new EventSource(`/api/jobs/${jobId}/events`);
+    sourcesRef.current.set(jobId, source);
+
+    const handleSnapshot = (event) => {
+      try {
+        upsertJob(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Invalid job event:', error);
+      }
+    };
+
+    source.addEventListener('progress', handleSnapshot);
+
+    source.addEventListener('completed', (event) => {
+      handleSnapshot(event);
+      closeSource(jobId);
+      const job = JSON.parse(event.data);
+      if (callbacksRef.current.onJobComplete) callbacksRef.current.onJobComplete(job);
+    });
+
+    source.addEventListener('failed', (event) => {
+      handleSnapshot(event);
+      closeSource(jobId);
+      const job = JSON.parse(event.data);
+      if (callbacksRef.current.onJobFailed) callbacksRef.current.onJobFailed(job);
+    });
+
+    // EventSource reconnects on its own unless the server refused the stream (e.g. unknown job)
+    source.onerror = () => {
+      if (source.readyState !== EventSource.CLOSED) return;
+      closeSource(jobId);
+      setJobs(prev => prev.map(job => (
+        job.id === jobId && job.status !== 'completed' && job.status !== 'failed'
+          ? { ...job, status: 'failed', message: 'Lost connection to job (server may have restarted)' }
+          : job
+      )));
+    };
+  }, [upsertJob, closeSource]);
+
+  // Start following a job returned by the API
+  const trackJob = useCallback((job) => {
+    upsertJob(job);
+    subscribe(job.id);
+  }, [upsertJob, subscribe]);
+
+  // Stop following a job and remove it from the list
+  const dismissJob = useCallback((jobId) => {
+    closeSource(jobId);
+    setJobs(prev => prev.filter(job => job.id !== jobId));
+  }, [closeSource]);
+
+  // Resume jobs that were running before the page was reloaded
+  useEffect(() => {
+    resumeIdsRef.current.forEach(async (jobId) => {
+      try {
+        const response = await fetch(`/api/jobs/${jobId}`);
+        if (!response.ok) return; // Job no longer known to the server
+        const data = await response.json();
+        if (data.status === 'success') {
+          trackJob(data.job);
+        }
+      } catch (error) {
+        console.error('Failed to resume job:', error);
+      } finally {
+        resumeIdsRef.current = resumeIdsRef.current.filter(id => id !== jobId);
+      }
+    });
+
+    const sources = sourcesRef.current;
+    return () => {
+      sources.forEach(source => source.close());
+      sources.clear();
+    };
+  }, [trackJob]);
+
+  // Persist unfinished job ids (including ones still being resumed) so they survive a reload
+  useEffect(() => {
+    const activeIds = jobs
+      .filter(job => job.status !== 'completed' && job.status !== 'failed')
+      .map(job => job.id);
+    const ids = Array.from(new Set([...resumeIdsRef.current, ...activeIds]));
+
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(ids));
+    } catch (error) {
+      console.warn('Could not persist job ids:', error);
+    }
+  }, [jobs, storageKey]);
+
+  return {
+    jobs,
+    activeJobs: jobs.filter(job => job.status !== 'completed' && job.status !== 'failed'),
+    trackJob,
+    dismissJob
+  };
+};
+
+export default useJobProgress;
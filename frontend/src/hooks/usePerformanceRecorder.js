@@ -0,0 +1,206 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { createTakePlayer } from '../utils/performanceTakes';
+import { getCueRegion } from '../utils/playbackTimeline';
+
+/**
+ * usePerformanceRecorder - React hook that records pad performances as takes and replays them
+ *
+ * Every event is timed on the AudioContext clock, the same clock the player starts its sources on,
+ * so a replay schedules each trigger on the sample it was played on. Takes are stored per media
+ * item on the server.
+ *
+ * @param {Object} params - Hook parameters
+ * @param {string} params.mediaName - Media name (file pair prefix); null when nothing is loaded
+ * @param {AudioContext} params.audioContext - Audio context of the waveform player
+ * @param {Object} params.player - Waveform player reference (jumpToCue(time, when, region), stop(when))
+ * @param {Function} params.onReplayEvent - Called with each replayed event when it plays (to update the UI)
+ * @returns {Object} - Takes, recording/replay state and control functions
+ */
+const usePerformanceRecorder = ({
+  mediaName,
+  audioContext,
+  player,
+  onReplayEvent
+}) => {
+  const [takes, setTakes] = useState([]);
+  const [isRecording, setIsRecording] = useState(false);
+  const [replayingTakeId, setReplayingTakeId] = useState(null);
+  const recordingRef = useRef(null);
+  const replayRef = useRef(null);
+  const uiTimersRef = useRef([]);
+
+  // Cancel a running replay (the audio keeps its current state unless stopped by the caller)
+  const cancelReplay = useCallback(() => {
+    if (replayRef.current) {
+      replayRef.current.stop();
+      replayRef.current = null;
+    }
+    uiTimersRef.current.forEach(clearTimeout);
+    uiTimersRef.current = [];
+    setReplayingTakeId(null);
+  }, []);
+
+  // Load the takes whenever the media item changes
+  useEffect(() => {
+    setTakes([]);
+    recordingRef.current = null;
+    setIsRecording(false);
+    cancelReplay();
+    if (!mediaName) return;
+
+    let cancelled = false;
+
+    const loadTakes = async () => {
+      try {
+        const response = await fetch(`/api/media/${encodeURIComponent(mediaName)}/performances`);
+        const data = await response.json();
+        if (!cancelled && data.status === 'success') setTakes(data.takes);
+      } catch (error) {
+        console.error('Failed to load performances:', error);
+      }
+    };
+
+    loadTakes();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [mediaName, cancelReplay]);
+
+  // Stop replay timers on unmount
+  useEffect(() => cancelReplay, [cancelReplay]);
+
+  // Start a take from the current transport state ({ isPlaying, position })
+  const startRecording = useCallback(async (transport) => {
+    if (!audioContext || !mediaName) return;
+    cancelReplay();
+
+    if (audioContext.state === 'suspended') {
+      await audioContext.resume();
+    }
+
+    recordingRef.current = {
+      startTime: audioContext.currentTime,
+      start: { isPlaying: transport.isPlaying, position: transport.position },
+      events: []
+    };
+    setIsRecording(true);
+  }, [audioContext, mediaName, cancelReplay]);
+
+  // Log a trigger ({ type: 'cue' | 'play' | 'stop', position, slot, key, label, end, loop }) at an AudioContext time
+  const recordEvent = useCallback((event, contextTime) => {
+    const recording = recordingRef.current;
+    if (!recording || !audioContext) return;
+
+    const time = typeof contextTime === 'number' ? contextTime : audioContext.currentTime;
+    recording.events.push({ ...event, at: Math.max(0, time - recording.startTime) });
+  }, [audioContext]);
+
+  // Finish the take and store it; takes without any trigger are dropped
+  const stopRecording = useCallback(async () => {
+    const recording = recordingRef.current;
+    recordingRef.current = null;
+    setIsRecording(false);
+    if (!recording || !audioContext || recording.events.length === 0) return null;
+
+    try {
+      const response = await fetch(`/api/media/${encodeURIComponent(mediaName)}/performances`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          take: {
+            start: recording.start,
+            duration: audioContext.currentTime - recording.startTime,
+            events: recording.events
+          }
+        }),
+      });
+
+      const data = await response.json();
+      if (data.status !== 'success') throw new Error(data.message);
+
+      setTakes(prev => [...prev, data.take]);
+      return data.take;
+    } catch (error) {
+      console.error('Failed to save performance:', error);
+      window.alert(`Failed to save take: ${error.message}`);
+      return null;
+    }
+  }, [audioContext, mediaName]);
+
+  // Replay a take by re-firing its triggers on their original AudioContext offsets
+  const replayTake = useCallback(async (take) => {
+    if (!audioContext || !player || recordingRef.current) return;
+    cancelReplay();
+
+    if (audioContext.state === 'suspended') {
+      await audioContext.resume();
+    }
+
+    const replay = createTakePlayer(take, {
+      context: audioContext,
+      onEvent: (event, when) => {
+        if (event.type === 'stop') {
+          player.stop(when);
+        } else {
+          // Region cues replay their end and loop as recorded
+          player.jumpToCue(event.position, when, getCueRegion({ ...event, time: event.position }));
+        }
+
+        if (onReplayEvent) {
+          const delayMs = Math.max(0, (when - audioContext.currentTime) * 1000);
+          uiTimersRef.current.push(setTimeout(() => onReplayEvent(event), delayMs));
+        }
+      },
+      onEnd: () => {
+        replayRef.current = null;
+        uiTimersRef.current = [];
+        setReplayingTakeId(null);
+      }
+    });
+
+    replayRef.current = replay;
+    setReplayingTakeId(take.id);
+    replay.start();
+  }, [audioContext, player, onReplayEvent, cancelReplay]);
+
+  // Stop a replay and its audio
+  const stopReplay = useCallback(() => {
+    cancelReplay();
+    if (player) player.stop();
+  }, [player, cancelReplay]);
+
+  // Delete a stored take
+  const deleteTake = useCallback(async (takeId) => {
+    if (replayRef.current && replayingTakeId === takeId) stopReplay();
+
+    try {
+      const response = await fetch(`/api/media/${encodeURIComponent(mediaName)}/performances/${encodeURIComponent(takeId)}`, {
+        method: 'DELETE'
+      });
+      const data = await response.json();
+      if (data.status !== 'success') throw new Error(data.message);
+
+      setTakes(prev => prev.filter(take => take.id !== takeId));
+    } catch (error) {
+      console.error('Failed to delete performance:', error);
+    }
+  }, [mediaName, replayingTakeId, stopReplay]);
+
+  return {
+    takes,
+    isRecording,
+    replayingTakeId,
+    startRecording,
+    stopRecording,
+    recordEvent,
+    replayTake,
+    stopReplay,
+    cancelReplay,
+    deleteTake
+  };
+};
+
+export default usePerformanceRecorder;
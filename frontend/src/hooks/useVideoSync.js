@@ -1,12 +1,16 @@
 import { useRef, useEffect, useCallback } from 'react';
+import { getTimelinePosition, getNextLoopWrap } from '../utils/playbackTimeline';
 
 /**
  * React hook for synchronizing HTML5 video with Web Audio API playback
  * 
  * @param {Object} params - Sync parameters
  * @param {HTMLVideoElement} params.videoElement - The video element to sync
- * @param {number} params.audioStartTime - Timestamp when audio started (context.currentTime)
+ * @param {number} params.audioStartTime - Timestamp when audio started (context.currentTime); a future time
+ *   is a scheduled jump, which the video follows at that instant
  * @param {number} params.cueOffset - Offset into audio buffer where playback began (seconds)
+ * @param {Object} params.loop - Loop the audio repeats ({ start, end }), null when it plays on; the video
+ *   wraps back with it
  * @param {AudioContext} params.context - Web Audio API context
  * @param {boolean} params.isPlaying - Whether audio is currently playing
  * @param {number} params.driftThreshold - Maximum allowed drift in seconds (default: 0.05)
@@ -16,6 +20,7 @@ const useVideoSync = ({
   videoElement,
   audioStartTime,
   cueOffset = 0,
+  loop = null,
   context,
   isPlaying = false,
   driftThreshold = 0.05
@@ -24,6 +29,7 @@ const useVideoSync = ({
   const videoElementRef = useRef(videoElement);
   const audioStartTimeRef = useRef(audioStartTime);
   const cueOffsetRef = useRef(cueOffset);
+  const loopRef = useRef(loop);
   const contextRef = useRef(context);
   const isPlayingRef = useRef(isPlaying);
 
@@ -36,17 +42,27 @@ const useVideoSync = ({
   });
   const isActiveRef = useRef(false);
   const periodicTimeoutRef = useRef(null); // 🔧 FIX: Track timeout for cleanup
+  const scheduledSeekRef = useRef(null); // Timeout of the seek for a scheduled jump
+  const heardTimelineRef = useRef(null); // Timeline the audio last started ({ audioStartTime, cueOffset, loop })
 
   // Update refs when props change
   useEffect(() => { videoElementRef.current = videoElement; }, [videoElement]);
   useEffect(() => { audioStartTimeRef.current = audioStartTime; }, [audioStartTime]);
   useEffect(() => { cueOffsetRef.current = cueOffset; }, [cueOffset]);
+  useEffect(() => { loopRef.current = loop; }, [loop]);
   useEffect(() => { contextRef.current = context; }, [context]);
   useEffect(() => { isPlayingRef.current = isPlaying; }, [isPlaying]);
 
   // Minimum time between corrections (in milliseconds) to prevent excessive seeking
   const CORRECTION_THROTTLE_MS = 100; // Max 10 corrections per second
 
+  // A scheduled jump has not started yet: the video keeps following the audio still heard
+  const isStartPending = useCallback(() => {
+    const ctx = contextRef.current;
+    const startTime = audioStartTimeRef.current;
+    return !!ctx && startTime !== null && startTime > ctx.currentTime;
+  }, []);
+
   // 🔧 FIX: Stable calculate functions that don't change dependencies
   const calculateExpectedVideoTime = useCallback(() => {
     const ctx = contextRef.current;
@@ -55,8 +71,8 @@ const useVideoSync = ({
     
     if (!ctx || startTime === null) return 0;
     
-    const audioElapsed = ctx.currentTime - startTime;
-    const expectedTime = offset + audioElapsed;
+    // Inside a loop the expected time wraps back with the audio
+    const expectedTime = getTimelinePosition({ audioStartTime: startTime, cueOffset: offset, loop: loopRef.current }, ctx.currentTime);
     
     return Math.max(0, expectedTime);
   }, []); // 🔧 FIX: No dependencies - uses refs
@@ -96,6 +112,8 @@ const useVideoSync = ({
       return false;
     }
 
+    if (isStartPending()) return false;
+
     const now = performance.now();
     const timeSinceLastCorrection = now - lastCorrectionTimeRef.current;
     
@@ -146,7 +164,7 @@ const useVideoSync = ({
     }
     
     return false;
-  }, [driftThreshold, calculateDrift, calculateExpectedVideoTime]); // 🔧 FIX: Stable dependencies
+  }, [driftThreshold, calculateDrift, calculateExpectedVideoTime, isStartPending]); // 🔧 FIX: Stable dependencies
 
   // 🔧 FIX: Stable periodic drift check with proper cleanup
   const periodicDriftCheck = useCallback(() => {
@@ -158,7 +176,7 @@ const useVideoSync = ({
 
     if (!isActiveRef.current || !isPlayingRef.current) return;
     
-    const drift = calculateDrift();
+    const drift = isStartPending() ? 0 : calculateDrift();
     const absDrift = Math.abs(drift);
     
     // Only log and potentially correct large drift
@@ -171,7 +189,7 @@ const useVideoSync = ({
     if (isActiveRef.current && isPlayingRef.current) {
       periodicTimeoutRef.current = setTimeout(periodicDriftCheck, 2000);
     }
-  }, [driftThreshold, calculateDrift, correctVideoTime]); // 🔧 FIX: Stable dependencies
+  }, [driftThreshold, calculateDrift, correctVideoTime, isStartPending]); // 🔧 FIX: Stable dependencies
 
   // 🔧 FIX: Stable start sync function
   const startSync = useCallback(() => {
@@ -265,12 +283,74 @@ const useVideoSync = ({
 
   // 🔧 FIX: Simplified effect for parameter changes (cue point jumps)
   useEffect(() => {
-    if (isPlaying && videoElement && context) {
+    if (!isPlaying || !videoElement || !context) return;
+
+    if (audioStartTime === null || audioStartTime <= context.currentTime) {
       // Force immediate sync when parameters change (cue points)
       console.log('Cue point changed - forcing sync');
       forceSync();
+      return;
     }
-  }, [cueOffset, audioStartTime, forceSync, isPlaying, videoElement, context]);
+
+    // Scheduled (quantized) jump: seek when the audio starts, bypassing the correction throttle
+    const delayMs = (audioStartTime - context.currentTime) * 1000;
+    console.log(`Cue point scheduled - seeking video in ${delayMs.toFixed(0)}ms`);
+    scheduledSeekRef.current = setTimeout(() => {
+      scheduledSeekRef.current = null;
+      const video = videoElementRef.current;
+      if (!video || !isPlayingRef.current) return;
+
+      const targetTime = Math.max(cueOffset, calculateExpectedVideoTime());
+      video.currentTime = Math.min(targetTime, video.duration || targetTime);
+      lastCorrectionTimeRef.current = performance.now();
+      statsRef.current.corrections++;
+    }, delayMs);
+
+    return () => {
+      if (scheduledSeekRef.current) {
+        clearTimeout(scheduledSeekRef.current);
+        scheduledSeekRef.current = null;
+      }
+    };
+  }, [cueOffset, audioStartTime, forceSync, calculateExpectedVideoTime, isPlaying, videoElement, context]);
+
+  // Loops: seek the video back to the loop start each time the audio wraps, instead of letting it
+  // run on and hard-correcting it. Until a scheduled jump starts, the loop heard before it keeps wrapping.
+  useEffect(() => {
+    if (!isPlaying || !videoElement || !context || audioStartTime === null) {
+      heardTimelineRef.current = null;
+      return;
+    }
+
+    const timeline = { audioStartTime, cueOffset, loop };
+    const previous = heardTimelineRef.current;
+    heardTimelineRef.current = timeline;
+
+    const timers = [];
+    const scheduleWrap = (looping, until, from) => {
+      const wrapTime = getNextLoopWrap(looping, from);
+      if (wrapTime === null || wrapTime >= until) return;
+
+      timers.push(setTimeout(() => {
+        const video = videoElementRef.current;
+        if (!video || !isPlayingRef.current) return;
+
+        const targetTime = looping.loop.start + Math.max(0, context.currentTime - wrapTime);
+        video.currentTime = Math.min(targetTime, video.duration || targetTime);
+        lastCorrectionTimeRef.current = performance.now();
+        statsRef.current.corrections++;
+        // Search past this wrap, as the timer may fire a little before the audio clock reaches it
+        scheduleWrap(looping, until, wrapTime + 0.001);
+      }, Math.max(0, wrapTime - context.currentTime) * 1000));
+    };
+
+    if (previous && previous.audioStartTime <= context.currentTime && audioStartTime > context.currentTime) {
+      scheduleWrap(previous, audioStartTime, context.currentTime);
+    }
+    scheduleWrap(timeline, Infinity, context.currentTime);
+
+    return () => timers.forEach(clearTimeout);
+  }, [isPlaying, videoElement, context, audioStartTime, cueOffset, loop]);
 
   // 🔧 FIX: Cleanup on unmount
   useEffect(() => {
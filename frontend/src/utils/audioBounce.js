@@ -0,0 +1,146 @@
+import { getTakeEvents } from './performanceTakes';
+import { getCueRegion } from './playbackTimeline';
+
+// Bounces are written at the rate of the extracted -audio.wav files
+export const BOUNCE_SAMPLE_RATE = 48000;
+
+/**
+ * Encodes audio as a 16-bit PCM WAV file
+ * @param {Float32Array[]} channels - Samples per channel (-1..1), all the same length
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {ArrayBuffer} - WAV file bytes
+ */
+export const encodeWav = (channels, sampleRate) => {
+  const frames = channels.length > 0 ? channels[0].length : 0;
+  const blockAlign = channels.length * 2;
+  const dataSize = frames * blockAlign;
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+
+  const writeId = (offset, id) => {
+    for (let index = 0; index < 4; index++) view.setUint8(offset + index, id.charCodeAt(index));
+  };
+
+  writeId(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeId(8, 'WAVE');
+  writeId(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels.length, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, 16, true);
+  writeId(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  let offset = 44;
+  for (let frame = 0; frame < frames; frame++) {
+    for (let channel = 0; channel < channels.length; channel++) {
+      const sample = Math.max(-1, Math.min(1, channels[channel][frame]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += 2;
+    }
+  }
+
+  return buffer;
+};
+
+/**
+ * Joins recorded blocks into one array per channel
+ * @param {Array<Float32Array[]>} blocks - Blocks of per-channel samples, in order
+ * @returns {Float32Array[]} - Samples per channel
+ */
+export const joinBlocks = (blocks) => {
+  const channelCount = blocks.length > 0 ? blocks[0].length : 2;
+  const frames = blocks.reduce((total, block) => total + block[0].length, 0);
+  const channels = Array.from({ length: channelCount }, () => new Float32Array(frames));
+
+  let offset = 0;
+  blocks.forEach(block => {
+    block.forEach((samples, channel) => channels[channel].set(samples, offset));
+    offset += block[0].length;
+  });
+
+  return channels;
+};
+
+/**
+ * Converts samples to BOUNCE_SAMPLE_RATE with an OfflineAudioContext (returned as is when already there)
+ * @param {Float32Array[]} channels - Samples per channel
+ * @param {number} sampleRate - Their sample rate
+ * @returns {Promise<Float32Array[]>}
+ */
+export const resampleChannels = async (channels, sampleRate) => {
+  if (sampleRate === BOUNCE_SAMPLE_RATE || channels[0].length === 0) return channels;
+
+  const length = Math.ceil((channels[0].length * BOUNCE_SAMPLE_RATE) / sampleRate);
+  const context = new OfflineAudioContext(channels.length, length, BOUNCE_SAMPLE_RATE);
+  const buffer = context.createBuffer(channels.length, channels[0].length, sampleRate);
+  channels.forEach((samples, channel) => buffer.copyToChannel(samples, channel));
+
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.connect(context.destination);
+  source.start(0);
+
+  const rendered = await context.startRendering();
+  return Array.from({ length: rendered.numberOfChannels }, (_, channel) => rendered.getChannelData(channel));
+};
+
+/**
+ * Re-renders a recorded take offline: the same triggers as a live replay, each source started and
+ * stopped on the exact sample, rendered faster than real time with an OfflineAudioContext
+ * @param {AudioBuffer} audioBuffer - Decoded media audio
+ * @param {Object} take - Recorded take ({ start, duration, events })
+ * @returns {Promise<Float32Array[]>} - Samples per channel at BOUNCE_SAMPLE_RATE
+ */
+export const renderTakeOffline = async (audioBuffer, take) => {
+  const events = getTakeEvents(take);
+  const duration = Math.max(take.duration || 0, events[events.length - 1].at);
+  const length = Math.max(1, Math.round(duration * BOUNCE_SAMPLE_RATE));
+  const context = new OfflineAudioContext(Math.min(2, audioBuffer.numberOfChannels), length, BOUNCE_SAMPLE_RATE);
+
+  let current = null;
+  events.forEach(event => {
+    if (current) current.stop(event.at);
+    current = null;
+    if (event.type === 'stop') return;
+
+    current = context.createBufferSource();
+    current.buffer = audioBuffer;
+    current.connect(context.destination);
+
+    // Region cues stop at their end or loop on the source node, as in the player
+    const offset = Math.min(event.position, audioBuffer.duration);
+    const region = getCueRegion({ ...event, time: event.position });
+    if (region && region.loop) {
+      current.loop = true;
+      current.loopStart = region.start;
+      current.loopEnd = region.end;
+      current.start(event.at, offset);
+    } else if (region) {
+      current.start(event.at, offset, region.end - offset);
+    } else {
+      current.start(event.at, offset);
+    }
+  });
+
+  const rendered = await context.startRendering();
+  return Array.from({ length: rendered.numberOfChannels }, (_, channel) => rendered.getChannelData(channel));
+};
+
+/**
+ * Offers WAV bytes as a file download
+ * @param {ArrayBuffer} wav - WAV file bytes
+ * @param {string} fileName - Download name
+ */
+export const downloadWav = (wav, fileName) => {
+  const url = URL.createObjectURL(new Blob([wav], { type: 'audio/wav' }));
+  const linkElement = document.createElement('a');
+  linkElement.setAttribute('href', url);
+  linkElement.setAttribute('download', fileName);
+  linkElement.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,28 @@
+import { getKeyForSlot } from './cueSlots';
+
+// Sample rate of the extracted -audio.wav files
+const SAMPLE_RATE = 48000;
+
+/**
+ * Maps chapters (yt-dlp shape, as stored in the media manifest) to cue points,
+ * one per chapter start, keyed in pad slot order (1-4, Q-R, A-F, Z-V)
+ * @param {Array<{start_time: number, title: string}>} chapters - Chapters in media time
+ * @param {number} maxCueSlots - Number of pad slots; later chapters are dropped (default: 16)
+ * @returns {Array} - Cue points sorted by time
+ */
+export const chaptersToCues = (chapters = [], maxCueSlots = 16) => (
+  [...chapters]
+    .filter(chapter => typeof chapter.start_time === 'number' && chapter.start_time >= 0)
+    .sort((a, b) => a.start_time - b.start_time)
+    .slice(0, maxCueSlots)
+    .map((chapter, slotIndex) => {
+      const samplePosition = Math.round(chapter.start_time * SAMPLE_RATE);
+      return {
+        time: samplePosition / SAMPLE_RATE,
+        label: chapter.title || `Chapter ${slotIndex + 1}`,
+        key: getKeyForSlot(slotIndex),
+        sample_rate: SAMPLE_RATE,
+        sample_position: samplePosition
+      };
+    })
+);
@@ -0,0 +1,196 @@
+import { getKeyForSlot } from './cueSlots';
+
+// Sample rate of the extracted -audio.wav files
+const SAMPLE_RATE = 48000;
+
+// CUE sheet INDEX times count frames of 1/75 second (CD sectors)
+const CUE_FRAMES_PER_SECOND = 75;
+
+// Audacity writes label times with six decimals
+const LABEL_TIME_DECIMALS = 6;
+
+/**
+ * Gets the exact position of a cue as an integer sample count and its rate
+ * @param {Object} cue - Cue point
+ * @param {number} sampleRate - Rate to assume when the cue has none
+ * @returns {{samplePosition: number, sampleRate: number}}
+ */
+const getCueSamples = (cue, sampleRate = SAMPLE_RATE) => {
+  const rate = cue.sample_rate || sampleRate;
+  const samplePosition = Number.isInteger(cue.sample_position) ? cue.sample_position : Math.round(cue.time * rate);
+  return { samplePosition, sampleRate: rate };
+};
+
+/**
+ * Builds a cue point from a sample position, keyed in pad slot order
+ * @param {number} samplePosition - Position in samples
+ * @param {number} sampleRate - Sample rate of the position
+ * @param {string} label - Cue label
+ * @param {string} key - Keyboard key, or empty to use the slot key
+ * @param {number} slotIndex - Index of the cue in time order
+ * @param {number} maxCueSlots - Number of pad slots; later cues get no key
+ * @returns {Object} - Cue point
+ */
+const createCue = (samplePosition, sampleRate, label, key, slotIndex, maxCueSlots) => ({
+  time: samplePosition / sampleRate,
+  label: label || `Cue ${slotIndex + 1}`,
+  key: key || (slotIndex < maxCueSlots ? getKeyForSlot(slotIndex) : ''),
+  sample_rate: sampleRate,
+  sample_position: samplePosition
+});
+
+// CUE sheets have no escaping inside quoted strings
+const quoteCueString = (value) => `"${String(value).replace(/"/g, "'")}"`;
+
+/**
+ * Formats a sample position as a CUE sheet INDEX time (mm:ss:ff, 75 frames per second)
+ * @param {number} samplePosition - Position in samples
+ * @param {number} sampleRate - Sample rate of the position
+ * @returns {string} - INDEX time, rounded down to the frame
+ */
+export const formatCueSheetTime = (samplePosition, sampleRate) => {
+  const totalFrames = Math.floor((samplePosition * CUE_FRAMES_PER_SECOND) / sampleRate);
+  const minutes = Math.floor(totalFrames / (60 * CUE_FRAMES_PER_SECOND));
+  const seconds = Math.floor(totalFrames / CUE_FRAMES_PER_SECOND) % 60;
+  const frames = totalFrames % CUE_FRAMES_PER_SECOND;
+  return [minutes, seconds, frames].map(part => String(part).padStart(2, '0')).join(':');
+};
+
+/**
+ * Writes cue points as a CUE sheet with one TRACK per cue. INDEX times only resolve
+ * 1/75 second, so each track also carries its exact position in REM lines.
+ * @param {Array} cuePoints - Cue points
+ * @param {Object} options
+ * @param {string} options.audioFile - File name for the FILE line (default: audio.wav)
+ * @param {string} options.title - Sheet title
+ * @returns {string} - CUE sheet text
+ */
+export const toCueSheet = (cuePoints, { audioFile = 'audio.wav', title } = {}) => {
+  const lines = ['REM GENERATOR "YouTube Cue Point Editor"'];
+  if (title) lines.push(`TITLE ${quoteCueString(title)}`);
+  lines.push(`FILE ${quoteCueString(audioFile)} WAVE`);
+
+  [...cuePoints]
+    .sort((a, b) => a.time - b.time)
+    .slice(0, 99) // TRACK numbers are two digits
+    .forEach((cue, index) => {
+      const { samplePosition, sampleRate } = getCueSamples(cue);
+      lines.push(`  TRACK ${String(index + 1).padStart(2, '0')} AUDIO`);
+      lines.push(`    TITLE ${quoteCueString(cue.label || `Cue ${index + 1}`)}`);
+      if (cue.key) lines.push(`    REM KEY ${quoteCueString(cue.key)}`);
+      lines.push(`    REM SAMPLE_RATE ${sampleRate}`);
+      lines.push(`    REM SAMPLE_POSITION ${samplePosition}`);
+      lines.push(`    INDEX 01 ${formatCueSheetTime(samplePosition, sampleRate)}`);
+    });
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Reads cue points from a CUE sheet, one per TRACK. Exact REM positions written by
+ * toCueSheet win over INDEX times; other sheets use INDEX 01 (or INDEX 00).
+ * @param {string} text - CUE sheet text
+ * @param {Object} options
+ * @param {number} options.sampleRate - Rate for cues without a REM SAMPLE_RATE (default: 48000)
+ * @param {number} options.maxCueSlots - Number of pad slots that get keys (default: 16)
+ * @returns {Array} - Cue points sorted by time
+ */
+export const parseCueSheet = (text, { sampleRate = SAMPLE_RATE, maxCueSlots = 16 } = {}) => {
+  const tracks = [];
+  let track = null;
+
+  text.split(/\r?\n/).forEach((rawLine, lineIndex) => {
+    const line = rawLine.trim();
+    const match = line.match(/^(\S+)\s*(.*)$/);
+    if (!match) return;
+
+    const command = match[1].toUpperCase();
+    const args = match[2];
+    const unquote = (value) => value.trim().replace(/^"(.*)"$/, '$1');
+
+    if (command === 'TRACK') {
+      track = { index: {} };
+      tracks.push(track);
+    } else if (!track) {
+      // Sheet-level lines (TITLE, FILE, ...) describe the whole file
+    } else if (command === 'TITLE') {
+      track.label = unquote(args);
+    } else if (command === 'INDEX') {
+      const indexMatch = args.match(/^(\d+)\s+(\d+):(\d{1,2}):(\d{1,2})$/);
+      if (!indexMatch) throw new Error(`Invalid INDEX on line ${lineIndex + 1}`);
+      const [, number, minutes, seconds, frames] = indexMatch.map(Number);
+      track.index[number] = (minutes * 60 + seconds) * CUE_FRAMES_PER_SECOND + frames;
+    } else if (command === 'REM') {
+      const remMatch = args.match(/^(\S+)\s+(.*)$/);
+      if (!remMatch) return;
+      const field = remMatch[1].toUpperCase();
+      if (field === 'KEY') track.key = unquote(remMatch[2]);
+      if (field === 'SAMPLE_RATE') track.sampleRate = parseInt(remMatch[2], 10);
+      if (field === 'SAMPLE_POSITION') track.samplePosition = parseInt(remMatch[2], 10);
+    }
+  });
+
+  return tracks
+    .map(entry => {
+      const rate = entry.sampleRate > 0 ? entry.sampleRate : sampleRate;
+      const frames = entry.index[1] ?? entry.index[0];
+      const samplePosition = Number.isInteger(entry.samplePosition) && entry.samplePosition >= 0
+        ? entry.samplePosition
+        : frames !== undefined ? Math.round((frames * rate) / CUE_FRAMES_PER_SECOND) : null;
+      return { ...entry, sampleRate: rate, samplePosition };
+    })
+    .filter(entry => entry.samplePosition !== null)
+    .sort((a, b) => a.samplePosition / a.sampleRate - b.samplePosition / b.sampleRate)
+    .map((entry, slotIndex) => createCue(entry.samplePosition, entry.sampleRate, entry.label, entry.key, slotIndex, maxCueSlots));
+};
+
+/**
+ * Writes cue points as an Audacity label track (start, end and label separated by tabs).
+ * Each label is a region that ends at the cue's end, or else where the next cue starts; the last
+ * ends at `duration`.
+ * @param {Array} cuePoints - Cue points
+ * @param {Object} options
+ * @param {number} options.duration - Audio duration in seconds, for the end of the last region
+ * @returns {string} - Label track text
+ */
+export const toAudacityLabels = (cuePoints, { duration = 0 } = {}) => {
+  const cues = [...cuePoints].sort((a, b) => a.time - b.time);
+  const formatSeconds = (seconds) => seconds.toFixed(LABEL_TIME_DECIMALS);
+
+  return cues.map((cue, index) => {
+    const { samplePosition, sampleRate } = getCueSamples(cue);
+    const start = samplePosition / sampleRate;
+    const next = cues[index + 1];
+    const nextStart = next
+      ? getCueSamples(next).samplePosition / getCueSamples(next).sampleRate
+      : Math.max(start, duration);
+    const end = typeof cue.end === 'number' ? cue.end : nextStart;
+    const label = (cue.label || '').replace(/[\t\r\n]+/g, ' ');
+    return `${formatSeconds(start)}\t${formatSeconds(end)}\t${label}\n`;
+  }).join('');
+};
+
+/**
+ * Reads cue points from an Audacity label track, one per label start. Six decimals
+ * resolve well under one sample, so positions written by toAudacityLabels come back exactly.
+ * @param {string} text - Label track text
+ * @param {Object} options
+ * @param {number} options.sampleRate - Rate of the resulting sample positions (default: 48000)
+ * @param {number} options.maxCueSlots - Number of pad slots that get keys (default: 16)
+ * @returns {Array} - Cue points sorted by time
+ */
+export const parseAudacityLabels = (text, { sampleRate = SAMPLE_RATE, maxCueSlots = 16 } = {}) => (
+  text.split(/\r?\n/)
+    .map((line, lineIndex) => ({ fields: line.split('\t'), lineIndex }))
+    // Spectral selections add a "\" line with frequencies after their label
+    .filter(({ fields }) => fields[0].trim() !== '' && fields[0].trim() !== '\\')
+    .map(({ fields, lineIndex }) => {
+      const start = parseFloat(fields[0]);
+      if (!isFinite(start) || start < 0) {
+        throw new Error(`Invalid label start on line ${lineIndex + 1}`);
+      }
+      return { samplePosition: Math.round(start * sampleRate), label: (fields[2] || '').trim() };
+    })
+    .sort((a, b) => a.samplePosition - b.samplePosition)
+    .map((entry, slotIndex) => createCue(entry.samplePosition, sampleRate, entry.label, '', slotIndex, maxCueSlots))
+);
@@ -0,0 +1,30 @@
+// Keys of the 4x4 pad grid, row by row
+const SLOT_KEY_ROWS = [
+  ['1', '2', '3', '4'],
+  ['Q', 'W', 'E', 'R'],
+  ['A', 'S', 'D', 'F'],
+  ['Z', 'X', 'C', 'V']
+];
+
+/**
+ * Gets the keyboard key for a pad slot based on the 4x4 grid layout
+ * @param {number} slotIndex - Slot position (0-15 map to 1-4, Q-R, A-F, Z-V)
+ * @returns {string} - Key label (slots past the grid fall back to their number)
+ */
+export const getKeyForSlot = (slotIndex) => {
+  const row = SLOT_KEY_ROWS[Math.floor(slotIndex / 4)];
+  return (row && row[slotIndex % 4]) || (slotIndex + 1).toString();
+};
+
+/**
+ * Lists the slot keys not yet used by any cue, in slot order
+ * @param {Array} cuePoints - Existing cue points
+ * @param {number} maxCueSlots - Number of pad slots (default: 16)
+ * @returns {string[]} - Free keys
+ */
+export const getFreeSlotKeys = (cuePoints, maxCueSlots = 16) => {
+  const usedKeys = new Set(cuePoints.map(cue => (cue.key || '').toUpperCase()));
+  return Array.from({ length: maxCueSlots }, (_, slotIndex) => getKeyForSlot(slotIndex))
+    .filter(key => !usedKeys.has(key))
+    .slice(0, Math.max(0, maxCueSlots - cuePoints.length));
+};
@@ -0,0 +1,17 @@
+/**
+ * Resolves what picking a library item loads into the editor. Picking the item that is already
+ * open (its history row, or a deduplicated download of it) loads nothing, so its cue set is not
+ * cleared and then autosaved as empty before the saved set has been read back.
+ * @param {Object} file - Library item ({ filename, audioFile, videoFile })
+ * @param {string|null} currentMedia - Media name of the open item, or null
+ * @returns {{mediaName: string, audioUrl: string, videoUrl: string}|null} - Media to load, or null to keep the open one
+ */
+export const getFilePairSelection = (file, currentMedia) => {
+  if (!file || file.filename === currentMedia) return null;
+
+  return {
+    mediaName: file.filename,
+    audioUrl: `/downloads/${file.audioFile}`,
+    videoUrl: `/downloads/${file.videoFile}`
+  };
+};
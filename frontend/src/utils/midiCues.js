@@ -0,0 +1,265 @@
+import { getKeyForSlot } from './cueSlots';
+
+// Sample rate of the extracted -audio.wav files
+const SAMPLE_RATE = 48000;
+
+// Pad slot 0 plays this note on the trigger track (C1, the usual first drum pad)
+export const MIDI_BASE_NOTE = 36;
+
+// Trigger notes go on channel 10, the General MIDI drum channel
+const TRIGGER_CHANNEL = 9;
+const TRIGGER_VELOCITY = 100;
+
+// Microseconds per quarter note when a file has no tempo event
+const DEFAULT_MICROSECONDS_PER_QUARTER = 500000;
+
+/**
+ * Encodes a number as a MIDI variable-length quantity
+ * @param {number} value - Non-negative integer
+ * @returns {number[]} - Bytes, 7 bits each, most significant first
+ */
+const encodeVarLength = (value) => {
+  const bytes = [value & 0x7f];
+  let rest = value >> 7;
+  while (rest > 0) {
+    bytes.unshift((rest & 0x7f) | 0x80);
+    rest >>= 7;
+  }
+  return bytes;
+};
+
+const encodeText = (text) => Array.from(new TextEncoder().encode(text));
+
+const metaEvent = (type, data) => [0xff, type, ...encodeVarLength(data.length), ...data];
+
+/**
+ * Builds an MTrk chunk from events at absolute ticks
+ * @param {Array<{tick: number, data: number[]}>} events - Events in the order they should play
+ * @returns {number[]} - Chunk bytes including the end-of-track event
+ */
+const buildTrack = (events) => {
+  const bytes = [];
+  let lastTick = 0;
+
+  [...events, { tick: events.length ? events[events.length - 1].tick : 0, data: metaEvent(0x2f, []) }]
+    .forEach(event => {
+      bytes.push(...encodeVarLength(event.tick - lastTick), ...event.data);
+      lastTick = event.tick;
+    });
+
+  const length = bytes.length;
+  return [0x4d, 0x54, 0x72, 0x6b, (length >>> 24) & 0xff, (length >>> 16) & 0xff, (length >>> 8) & 0xff, length & 0xff, ...bytes];
+};
+
+/**
+ * Writes cue points as a Standard MIDI File (format 1): a conductor track with the tempo and one
+ * marker per cue, plus an optional trigger track where pad slot `n` plays note `MIDI_BASE_NOTE + n`
+ * @param {Array} cuePoints - Cue points in pad slot order
+ * @param {Object} options
+ * @param {number} options.ppq - Ticks per quarter note (default: 480)
+ * @param {number} options.bpm - Tempo of the file (default: 120)
+ * @param {boolean} options.includeNotes - Add the trigger track (default: true)
+ * @returns {Uint8Array} - .mid file bytes
+ */
+export const cuesToMidi = (cuePoints, { ppq = 480, bpm = 120, includeNotes = true } = {}) => {
+  const microsecondsPerQuarter = Math.round(60000000 / bpm);
+  const toTicks = (cue) => {
+    const seconds = Number.isInteger(cue.sample_position) && cue.sample_rate
+      ? cue.sample_position / cue.sample_rate
+      : cue.time;
+    return Math.round((seconds * 1000000 * ppq) / microsecondsPerQuarter);
+  };
+
+  const slots = cuePoints.map((cue, slotIndex) => ({ cue, slotIndex, tick: toTicks(cue) }));
+  const byTime = [...slots].sort((a, b) => a.tick - b.tick || a.slotIndex - b.slotIndex);
+
+  const conductor = buildTrack([
+    { tick: 0, data: metaEvent(0x03, encodeText('Cue Points')) },
+    { tick: 0, data: metaEvent(0x51, [(microsecondsPerQuarter >> 16) & 0xff, (microsecondsPerQuarter >> 8) & 0xff, microsecondsPerQuarter & 0xff]) },
+    { tick: 0, data: metaEvent(0x58, [4, 2, 24, 8]) }, // 4/4
+    ...byTime.map(({ cue, tick }) => ({ tick, data: metaEvent(0x06, encodeText(cue.label || '')) }))
+  ]);
+
+  const tracks = [conductor];
+
+  if (includeNotes) {
+    // A sixteenth note per trigger; note-offs sort before note-ons on the same tick
+    const noteLength = Math.max(1, Math.round(ppq / 4));
+    const noteEvents = byTime
+      .filter(({ slotIndex }) => MIDI_BASE_NOTE + slotIndex <= 127)
+      .flatMap(({ slotIndex, tick }) => [
+        { tick, order: 1, data: [0x90 | TRIGGER_CHANNEL, MIDI_BASE_NOTE + slotIndex, TRIGGER_VELOCITY] },
+        { tick: tick + noteLength, order: 0, data: [0x80 | TRIGGER_CHANNEL, MIDI_BASE_NOTE + slotIndex, 0] }
+      ])
+      .sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+    tracks.push(buildTrack([{ tick: 0, data: metaEvent(0x03, encodeText('Pads')) }, ...noteEvents]));
+  }
+
+  const header = [
+    0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6,
+    0, 1, // Format 1
+    0, tracks.length,
+    (ppq >> 8) & 0x7f, ppq & 0xff
+  ];
+
+  return new Uint8Array([...header, ...tracks.flat()]);
+};
+
+/**
+ * Parses the events of a Standard MIDI File
+ * @param {ArrayBuffer} buffer - .mid file contents
+ * @returns {Object} - { division, events: [{ tick, type, ... }] } across all tracks
+ */
+const parseMidi = (buffer) => {
+  const view = new DataView(buffer);
+  const readId = (offset) => String.fromCharCode(...new Uint8Array(buffer, offset, 4));
+
+  if (view.byteLength < 14 || readId(0) !== 'MThd') {
+    throw new Error('Not a Standard MIDI File');
+  }
+
+  const division = view.getUint16(12);
+  const events = [];
+  let offset = 8 + view.getUint32(4);
+
+  while (offset + 8 <= view.byteLength) {
+    const id = readId(offset);
+    const length = view.getUint32(offset + 4);
+    const end = Math.min(offset + 8 + length, view.byteLength);
+    let position = offset + 8;
+
+    if (id === 'MTrk') {
+      let tick = 0;
+      let runningStatus = null;
+
+      const readVarLength = () => {
+        let value = 0;
+        let byte;
+        do {
+          byte = view.getUint8(position++);
+          value = (value << 7) | (byte & 0x7f);
+        } while (byte & 0x80 && position < end);
+        return value;
+      };
+
+      while (position < end) {
+        tick += readVarLength();
+        let status = view.getUint8(position);
+
+        if (status === 0xff) {
+          const type = view.getUint8(position + 1);
+          position += 2;
+          const dataLength = readVarLength();
+          const data = new Uint8Array(buffer, position, Math.min(dataLength, end - position));
+          position += dataLength;
+          if (type === 0x2f) break;
+          events.push({ tick, type: 'meta', metaType: type, data });
+        } else if (status === 0xf0 || status === 0xf7) {
+          position += 1;
+          position += readVarLength(); // SysEx is skipped
+        } else {
+          if (status & 0x80) {
+            runningStatus = status;
+            position += 1;
+          } else {
+            status = runningStatus; // Running status: data bytes follow directly
+          }
+          const command = status & 0xf0;
+          const data1 = view.getUint8(position);
+          const data2 = command === 0xc0 || command === 0xd0 ? null : view.getUint8(position + 1);
+          position += data2 === null ? 1 : 2;
+          if (command === 0x90 && data2 > 0) {
+            events.push({ tick, type: 'noteOn', channel: status & 0x0f, note: data1 });
+          }
+        }
+      }
+    }
+
+    offset = 8 + offset + length;
+  }
+
+  return { division, events: events.sort((a, b) => a.tick - b.tick) };
+};
+
+/**
+ * Reads cue points from a Standard MIDI File: one cue per marker, labelled with its text.
+ * A trigger note on the same tick (as written by cuesToMidi) restores the marker's pad slot;
+ * files without markers get one cue per distinct trigger note at its first hit.
+ * @param {ArrayBuffer} buffer - .mid file contents
+ * @param {Object} options
+ * @param {number} options.sampleRate - Rate of the resulting sample positions (default: 48000)
+ * @param {number} options.maxCueSlots - Number of pad slots that get keys (default: 16)
+ * @returns {Array} - Cue points in pad slot order
+ */
+export const midiToCues = (buffer, { sampleRate = SAMPLE_RATE, maxCueSlots = 16 } = {}) => {
+  const { division, events } = parseMidi(buffer);
+  const decoder = new TextDecoder();
+
+  // Convert ticks to seconds through the tempo map (or SMPTE frames)
+  const tempoChanges = events.filter(event => event.type === 'meta' && event.metaType === 0x51 && event.data.length === 3);
+  const tickToSeconds = (tick) => {
+    if (division & 0x8000) {
+      const framesPerSecond = 256 - (division >> 8);
+      return tick / (framesPerSecond * (division & 0xff));
+    }
+
+    let seconds = 0;
+    let lastTick = 0;
+    let microsecondsPerQuarter = DEFAULT_MICROSECONDS_PER_QUARTER;
+    for (const change of tempoChanges) {
+      if (change.tick >= tick) break;
+      seconds += ((change.tick - lastTick) * microsecondsPerQuarter) / (division * 1000000);
+      lastTick = change.tick;
+      microsecondsPerQuarter = (change.data[0] << 16) | (change.data[1] << 8) | change.data[2];
+    }
+    return seconds + ((tick - lastTick) * microsecondsPerQuarter) / (division * 1000000);
+  };
+
+  const slotNotes = events
+    .filter(event => event.type === 'noteOn')
+    .map(event => ({ tick: event.tick, slot: event.note - MIDI_BASE_NOTE }))
+    .filter(note => note.slot >= 0 && note.slot < maxCueSlots);
+
+  let entries = events
+    .filter(event => event.type === 'meta' && event.metaType === 0x06)
+    .map((marker, index) => ({
+      tick: marker.tick,
+      label: decoder.decode(marker.data).trim() || `Marker ${index + 1}`,
+      slot: null
+    }));
+
+  if (entries.length > 0) {
+    // Match each marker to an unused trigger note on the same tick
+    const usedSlots = new Set();
+    entries.forEach(entry => {
+      const note = slotNotes.find(candidate => candidate.tick === entry.tick && !usedSlots.has(candidate.slot));
+      if (note) {
+        entry.slot = note.slot;
+        usedSlots.add(note.slot);
+      }
+    });
+  } else {
+    const firstHits = new Map();
+    slotNotes.forEach(note => {
+      if (!firstHits.has(note.slot)) firstHits.set(note.slot, note.tick);
+    });
+    entries = Array.from(firstHits, ([slot, tick]) => ({ tick, label: `Pad ${slot + 1}`, slot }));
+  }
+
+  // Keep pad slots when every cue has one, otherwise key the cues in time order
+  const hasSlots = entries.length > 0 && entries.every(entry => entry.slot !== null);
+  if (hasSlots) entries.sort((a, b) => a.slot - b.slot);
+
+  return entries.map((entry, index) => {
+    const samplePosition = Math.round(tickToSeconds(entry.tick) * sampleRate);
+    const slotIndex = hasSlots ? entry.slot : index;
+    return {
+      time: samplePosition / sampleRate,
+      label: entry.label,
+      key: slotIndex < maxCueSlots ? getKeyForSlot(slotIndex) : '',
+      sample_rate: sampleRate,
+      sample_position: samplePosition
+    };
+  });
+};
@@ -0,0 +1,73 @@
+// How far ahead of the AudioContext clock replay events are handed to the player (seconds)
+const DEFAULT_LOOKAHEAD = 0.15;
+
+// How often the replay timer looks for events entering the look-ahead window
+const DEFAULT_INTERVAL_MS = 25;
+
+/**
+ * Lists the events of a take with the transport state at the start of the recording as a first
+ * event at 0, so a replay begins from the same position whether or not audio was playing
+ * @param {Object} take - Recorded take ({ start: { isPlaying, position }, events })
+ * @returns {Array} - Events ({ at, type: 'cue' | 'play' | 'stop', position, ... }) in time order
+ */
+export const getTakeEvents = (take) => [
+  { at: 0, type: take.start?.isPlaying ? 'play' : 'stop', position: take.start?.position || 0 },
+  ...[...take.events].sort((a, b) => a.at - b.at)
+];
+
+/**
+ * Creates a replay of a take on an AudioContext clock. Event times are exact: each event is
+ * passed to `onEvent` with the AudioContext time it should happen at, a little ahead of that
+ * time, so the player can start its source with `start(when)` instead of relying on timers.
+ * @param {Object} take - Recorded take
+ * @param {Object} options
+ * @param {AudioContext} options.context - Clock of the replay
+ * @param {Function} options.onEvent - Called with (event, when) for every event
+ * @param {Function} options.onEnd - Called once the take's duration has passed
+ * @param {number} options.lookahead - Seconds of events handed out ahead of the clock (default: 0.15)
+ * @param {number} options.intervalMs - Timer period in milliseconds (default: 25)
+ * @returns {Object} - { startAt, start, stop, tick }
+ */
+export const createTakePlayer = (take, {
+  context,
+  onEvent,
+  onEnd,
+  lookahead = DEFAULT_LOOKAHEAD,
+  intervalMs = DEFAULT_INTERVAL_MS
+}) => {
+  const events = getTakeEvents(take);
+  const lastAt = events[events.length - 1].at;
+  const endAt = Math.max(take.duration || 0, lastAt);
+
+  // The first event is one look-ahead away so it is scheduled like all others
+  const startAt = context.currentTime + lookahead;
+  let nextIndex = 0;
+  let timer = null;
+
+  const stop = () => {
+    if (timer !== null) clearInterval(timer);
+    timer = null;
+  };
+
+  const tick = () => {
+    const horizon = context.currentTime + lookahead;
+    while (nextIndex < events.length && startAt + events[nextIndex].at <= horizon) {
+      const event = events[nextIndex++];
+      onEvent(event, startAt + event.at);
+    }
+
+    if (nextIndex >= events.length && context.currentTime >= startAt + endAt) {
+      const wasRunning = timer !== null;
+      stop();
+      if (wasRunning && onEnd) onEnd();
+    }
+  };
+
+  const start = () => {
+    stop();
+    timer = setInterval(tick, intervalMs);
+    tick();
+  };
+
+  return { startAt, start, stop, tick };
+};
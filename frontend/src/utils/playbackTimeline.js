@@ -0,0 +1,40 @@
+/**
+ * Returns the region a cue plays: from its time to its end, looping when it has the loop flag
+ * @param {Object} cue - Cue point ({ time, end, loop })
+ * @returns {{start: number, end: number, loop: boolean}|null} - Region, or null for a cue that plays on
+ */
+export const getCueRegion = (cue) => {
+  if (!cue || typeof cue.end !== 'number' || cue.end <= cue.time) return null;
+  return { start: cue.time, end: cue.end, loop: cue.loop === true };
+};
+
+/**
+ * Returns the media position heard at an AudioContext time. Inside a loop the position wraps
+ * back to the loop start each time it reaches the loop end, like the source node does.
+ * @param {Object} timeline - Playing audio ({ audioStartTime, cueOffset, loop }); loop is { start, end } or null
+ * @param {number} contextTime - AudioContext time
+ * @returns {number} - Media position in seconds
+ */
+export const getTimelinePosition = (timeline, contextTime) => {
+  const position = timeline.cueOffset + (contextTime - timeline.audioStartTime);
+  const loop = timeline.loop;
+  if (!loop || position < loop.end) return position;
+
+  return loop.start + ((position - loop.start) % (loop.end - loop.start));
+};
+
+/**
+ * Returns the AudioContext time at which a looping timeline next wraps back to its loop start
+ * @param {Object} timeline - Playing audio ({ audioStartTime, cueOffset, loop })
+ * @param {number} contextTime - AudioContext time to search from
+ * @returns {number|null} - Context time of the next wrap, or null when the timeline does not loop
+ */
+export const getNextLoopWrap = (timeline, contextTime) => {
+  const loop = timeline.loop;
+  if (!loop) return null;
+
+  const length = loop.end - loop.start;
+  const firstWrap = timeline.audioStartTime + (loop.end - timeline.cueOffset);
+  const passes = Math.max(0, Math.ceil((contextTime - firstWrap) / length));
+  return firstWrap + passes * length;
+};
@@ -0,0 +1,139 @@
+import { getTimelinePosition, getNextLoopWrap } from './playbackTimeline';
+
+// Quantize grids for pad triggers, smallest first
+export const QUANTIZE_OPTIONS = [
+  { value: 'off', label: 'Off' },
+  { value: '1/16', label: '1/16' },
+  { value: '1/8', label: '1/8' },
+  { value: 'beat', label: 'Beat' },
+  { value: 'bar', label: 'Bar' }
+];
+
+// Time signatures offered in the tempo controls
+export const TIME_SIGNATURES = [
+  { beatsPerBar: 2, beatUnit: 4 },
+  { beatsPerBar: 3, beatUnit: 4 },
+  { beatsPerBar: 4, beatUnit: 4 },
+  { beatsPerBar: 5, beatUnit: 4 },
+  { beatsPerBar: 6, beatUnit: 8 },
+  { beatsPerBar: 7, beatUnit: 8 },
+  { beatsPerBar: 12, beatUnit: 8 }
+];
+
+export const DEFAULT_TEMPO = {
+  bpm: 120,
+  offset: 0,
+  beatsPerBar: 4,
+  beatUnit: 4,
+  quantize: 'off'
+};
+
+// Triggers this close after a grid line (in seconds) count as on it
+const GRID_TOLERANCE = 0.001;
+
+/**
+ * Returns the grid step of a quantize setting in seconds of media time
+ * @param {Object} tempo - Project tempo ({ bpm, beatsPerBar, beatUnit })
+ * @param {string} quantize - Quantize value ('off', '1/16', '1/8', 'beat', 'bar')
+ * @returns {number|null} - Step in seconds, or null when quantize is off
+ */
+export const getGridStep = (tempo, quantize) => {
+  const beat = 60 / tempo.bpm;
+
+  switch (quantize) {
+    case '1/16':
+      return (beat * tempo.beatUnit) / 16;
+    case '1/8':
+      return (beat * tempo.beatUnit) / 8;
+    case 'beat':
+      return beat;
+    case 'bar':
+      return beat * tempo.beatsPerBar;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Returns the first grid line at or after a media position; the grid runs through the
+ * first-beat offset in both directions
+ * @param {number} position - Media position in seconds
+ * @param {Object} tempo - Project tempo
+ * @param {string} quantize - Quantize value
+ * @returns {number} - Grid line in seconds (the position itself when quantize is off)
+ */
+export const getNextGridTime = (position, tempo, quantize) => {
+  const step = getGridStep(tempo, quantize);
+  if (!step) return position;
+
+  const lines = Math.ceil((position - tempo.offset - GRID_TOLERANCE) / step);
+  return Math.max(position, tempo.offset + lines * step);
+};
+
+/**
+ * Returns the AudioContext time at which a pad trigger should land: the next grid line of the
+ * audio that is playing, so jumps stay on the beat. Inside a loop, a grid line past the loop end
+ * is never heard, so the trigger lands where the loop wraps instead.
+ * @param {Object} params - Trigger parameters
+ * @param {Object} params.tempo - Project tempo with its quantize setting (may be null)
+ * @param {Object} params.timeline - Playing audio ({ audioStartTime, cueOffset, loop }), null when stopped
+ * @param {number} params.contextTime - Current AudioContext time
+ * @returns {number|null} - Scheduled context time, or null to trigger immediately
+ */
+export const getQuantizedTriggerTime = ({ tempo, timeline, contextTime }) => {
+  if (!tempo || !timeline || !getGridStep(tempo, tempo.quantize)) return null;
+
+  const position = getTimelinePosition(timeline, contextTime);
+  const gridTime = getNextGridTime(position, tempo, tempo.quantize);
+  if (timeline.loop && gridTime > timeline.loop.end - GRID_TOLERANCE) {
+    return getNextLoopWrap(timeline, contextTime);
+  }
+  if (gridTime - position < GRID_TOLERANCE) return null;
+
+  return contextTime + (gridTime - position);
+};
+
+/**
+ * Returns the bar and beat (both from 1) at a media position; bar 1 starts at the first downbeat
+ * @param {number} position - Media position in seconds
+ * @param {Object} tempo - Project tempo
+ * @returns {{bar: number, beat: number}}
+ */
+export const getBarsBeats = (position, tempo) => {
+  const beats = Math.floor((position - tempo.offset) / (60 / tempo.bpm) + GRID_TOLERANCE);
+  const beatInBar = ((beats % tempo.beatsPerBar) + tempo.beatsPerBar) % tempo.beatsPerBar;
+  return {
+    bar: Math.floor(beats / tempo.beatsPerBar) + 1,
+    beat: beatInBar + 1
+  };
+};
+
+/**
+ * Formats a media position as bars:beats
+ * @param {number} position - Media position in seconds
+ * @param {Object} tempo - Project tempo
+ * @returns {string} - e.g. "12:3"
+ */
+export const formatBarsBeats = (position, tempo) => {
+  const { bar, beat } = getBarsBeats(position, tempo);
+  return `${bar}:${beat}`;
+};
+
+/**
+ * Lists the beat lines between two media positions
+ * @param {Object} tempo - Project tempo
+ * @param {number} start - First position in seconds
+ * @param {number} end - Last position in seconds
+ * @param {number} beatStep - Draw every beatStep-th beat (counted from the first downbeat)
+ * @returns {Array<{time: number, isBar: boolean}>}
+ */
+export const getGridLines = (tempo, start, end, beatStep = 1) => {
+  const beat = 60 / tempo.bpm;
+  const lines = [];
+  let index = Math.ceil((start - tempo.offset) / (beat * beatStep)) * beatStep;
+
+  for (let time = tempo.offset + index * beat; time <= end; index += beatStep, time = tempo.offset + index * beat) {
+    lines.push({ time, isBar: index % tempo.beatsPerBar === 0 });
+  }
+  return lines;
+};
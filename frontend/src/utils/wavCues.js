@@ -0,0 +1,99 @@
+import { getKeyForSlot } from './cueSlots';
+
+// Sample rate of the extracted -audio.wav files
+const SAMPLE_RATE = 48000;
+
+/**
+ * Reads a byte range of a file
+ * @param {Blob} file - WAV file
+ * @param {number} start - First byte
+ * @param {number} length - Number of bytes
+ * @returns {Promise<DataView>}
+ */
+const readRange = async (file, start, length) => (
+  new DataView(await file.slice(start, start + length).arrayBuffer())
+);
+
+const readId = (view, offset) => String.fromCharCode(
+  view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+);
+
+/**
+ * Reads the markers of a WAV file (`cue ` chunk with `LIST/adtl` labels) as cue points; markers
+ * with an `ltxt` region length become cues with an end.
+ * Only the chunk headers and marker chunks are read, so large files load quickly.
+ * @param {Blob} file - WAV file (e.g. from a file input)
+ * @param {Object} options
+ * @param {number} options.sampleRate - Rate of the resulting sample positions (default: 48000)
+ * @param {number} options.maxCueSlots - Number of pad slots that get keys (default: 16)
+ * @returns {Promise<Array>} - Cue points in cue id order (the pad slot order of exported files)
+ */
+export const readWavCues = async (file, { sampleRate = SAMPLE_RATE, maxCueSlots = 16 } = {}) => {
+  const header = await readRange(file, 0, 12);
+  if (header.byteLength < 12 || readId(header, 0) !== 'RIFF' || readId(header, 8) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let fileRate = null;
+  let cuePoints = [];
+  const labels = new Map();
+  const regionLengths = new Map();
+  const decoder = new TextDecoder();
+  let offset = 12;
+
+  while (offset + 8 <= file.size) {
+    const chunkHeader = await readRange(file, offset, 8);
+    const id = readId(chunkHeader, 0);
+    const size = Math.min(chunkHeader.getUint32(4, true), file.size - offset - 8);
+    const bodyStart = offset + 8;
+
+    if (id === 'fmt ') {
+      fileRate = (await readRange(file, bodyStart, 8)).getUint32(4, true);
+    } else if (id === 'cue ') {
+      const body = await readRange(file, bodyStart, size);
+      const count = Math.min(body.getUint32(0, true), Math.floor((size - 4) / 24));
+      cuePoints = Array.from({ length: count }, (_, index) => ({
+        id: body.getUint32(4 + index * 24, true),
+        sampleOffset: body.getUint32(4 + index * 24 + 20, true)
+      }));
+    } else if (id === 'LIST' && size >= 4 && readId(await readRange(file, bodyStart, 4), 0) === 'adtl') {
+      const body = await readRange(file, bodyStart, size);
+      let subOffset = 4;
+
+      while (subOffset + 12 <= size) {
+        const subId = readId(body, subOffset);
+        const subSize = body.getUint32(subOffset + 4, true);
+        const cueId = body.getUint32(subOffset + 8, true);
+        const textBytes = new Uint8Array(body.buffer, body.byteOffset + subOffset + 12, Math.max(0, Math.min(subSize - 4, size - subOffset - 12)));
+        const text = decoder.decode(textBytes).replace(/\0+$/, '').trim();
+
+        // Prefer labels over notes when a marker has both
+        if ((subId === 'labl' || (subId === 'note' && !labels.has(cueId))) && text) {
+          labels.set(cueId, text);
+        } else if (subId === 'ltxt' && subSize >= 8) {
+          regionLengths.set(cueId, body.getUint32(subOffset + 12, true));
+        }
+        subOffset += 8 + subSize + (subSize % 2);
+      }
+    }
+
+    offset = bodyStart + size + (size % 2);
+  }
+
+  if (!fileRate) throw new Error('WAV file has no fmt chunk');
+
+  return cuePoints
+    .sort((a, b) => a.id - b.id)
+    .map((point, slotIndex) => {
+      const samplePosition = Math.round((point.sampleOffset * sampleRate) / fileRate);
+      const regionLength = regionLengths.get(point.id);
+      return {
+        time: samplePosition / sampleRate,
+        label: labels.get(point.id) || `Marker ${slotIndex + 1}`,
+        key: slotIndex < maxCueSlots ? getKeyForSlot(slotIndex) : '',
+        sample_rate: sampleRate,
+        sample_position: samplePosition,
+        ...(regionLength > 0 ? { end: (point.sampleOffset + regionLength) / fileRate } : {})
+      };
+    });
+};
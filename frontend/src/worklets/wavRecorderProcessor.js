@@ -0,0 +1,54 @@
+// Frames collected before a block is posted to the main thread (about 85 ms at 48 kHz)
+const BLOCK_FRAMES = 4096;
+
+/**
+ * AudioWorklet processor that copies its stereo input to the main thread in blocks of
+ * BLOCK_FRAMES frames. Render quanta without input (nothing connected or playing) are recorded
+ * as silence, so the recording keeps the timing of what was heard. Posting `'flush'` to the port
+ * sends the partial block and stops the processor.
+ */
+class WavRecorderProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.recording = true;
+    this.block = [new Float32Array(BLOCK_FRAMES), new Float32Array(BLOCK_FRAMES)];
+    this.offset = 0;
+
+    this.port.onmessage = (event) => {
+      if (event.data === 'flush') {
+        this.post(this.offset);
+        this.recording = false;
+      }
+    };
+  }
+
+  // Send the first `frames` frames of the current block and start a new one
+  post(frames) {
+    if (frames > 0) {
+      const channels = this.block.map(channel => channel.slice(0, frames));
+      this.port.postMessage(channels, channels.map(channel => channel.buffer));
+    }
+    this.block = [new Float32Array(BLOCK_FRAMES), new Float32Array(BLOCK_FRAMES)];
+    this.offset = 0;
+  }
+
+  process(inputs) {
+    if (!this.recording) return false;
+
+    const input = inputs[0];
+    const frames = input.length > 0 ? input[0].length : 128;
+
+    for (let channel = 0; channel < 2; channel++) {
+      // Mono input is copied to both channels
+      const source = input[Math.min(channel, input.length - 1)];
+      if (source) this.block[channel].set(source, this.offset);
+    }
+
+    this.offset += frames;
+    if (this.offset + 128 > BLOCK_FRAMES) this.post(this.offset);
+
+    return true;
+  }
+}
+
+registerProcessor('wav-recorder', WavRecorderProcessor);
@@ -0,0 +1,357 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+// In-memory job registry (jobs do not survive a server restart)
+const jobs = new Map();
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Finished jobs are kept around for an hour so reloaded clients can pick up the result
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+
+// Interval for SSE keep-alive comments so proxies don't close idle streams
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * Removes finished jobs older than the retention window
+ */
+function pruneJobs() {
+  const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+  jobs.forEach((job, id) => {
+    if (isFinished(job) && job.updatedAt < cutoff) {
+      jobs.delete(id);
+    }
+  });
+}
+
+/**
+ * Checks whether a job has reached a terminal state
+ * @param {Object} job - Job record
+ * @returns {boolean} - True if the job completed or failed
+ */
+function isFinished(job) {
+  return job.status === 'completed' || job.status === 'failed';
+}
+
+/**
+ * Returns a copy of a job that is safe to serialize to clients
+ * @param {Object} job - Job record
+ * @returns {Object} - Public job snapshot
+ */
+function toPublicJob(job) {
+  return { ...job, stages: job.stages.map(stage => ({ ...stage })) };
+}
+
+/**
+ * Creates a new job and registers it
+ * @param {string} type - Job type (e.g. 'download')
+ * @param {Object} options - Job options
+ * @param {Array<{id: string, label: string, weight?: number}>} options.stages - Ordered pipeline stages
+ * @param {Object} options.params - Request parameters recorded on the job
+ * @param {string} options.title - Display title, if already known
+ * @param {string} options.filename - Media name the job produces, if already known
+ * @returns {Object} - The created job
+ */
+function createJob(type, { stages = [], params = {}, title = null, filename = null } = {}) {
+  pruneJobs();
+
+  const now = Date.now();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'queued',
+    params,
+    title,
+    filename,
+    stage: null,
+    stages: stages.map(stage => ({
+      id: stage.id,
+      label: stage.label,
+      weight: stage.weight || 1,
+      status: 'pending',
+      progress: 0
+    })),
+    progress: 0,
+    message: 'Queued',
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  jobs.set(job.id, job);
+  return job;
+}
+
+/**
+ * Recomputes overall job progress (0-100) from weighted stage progress
+ * @param {Object} job - Job record
+ * @returns {number} - Overall percentage
+ */
+function computeOverallProgress(job) {
+  const totalWeight = job.stages.reduce((sum, stage) => sum + stage.weight, 0);
+  if (totalWeight === 0) return job.progress;
+
+  const done = job.stages.reduce((sum, stage) => {
+    if (stage.status === 'completed' || stage.status === 'skipped') return sum + stage.weight;
+    return sum + stage.weight * (stage.progress / 100);
+  }, 0);
+
+  return Math.min(100, Math.round((done / totalWeight) * 1000) / 10);
+}
+
+/**
+ * Applies changes to a job and notifies subscribers
+ * @param {string} id - Job id
+ * @param {Object} changes - Fields to merge into the job
+ * @returns {Object|null} - Updated job or null if not found
+ */
+function updateJob(id, changes) {
+  const job = jobs.get(id);
+  if (!job) return null;
+
+  Object.assign(job, changes, { updatedAt: Date.now() });
+  jobEvents.emit(id, toPublicJob(job));
+  return job;
+}
+
+/**
+ * Marks a stage as running, completing any previously running stage
+ * @param {string} id - Job id
+ * @param {string} stageId - Stage to start
+ * @param {string} message - Human readable status message
+ */
+function startStage(id, stageId, message) {
+  const job = jobs.get(id);
+  if (!job) return;
+
+  job.stages.forEach(stage => {
+    if (stage.status === 'running') {
+      stage.status = 'completed';
+      stage.progress = 100;
+    }
+    if (stage.id === stageId) {
+      stage.status = 'running';
+      stage.progress = 0;
+    }
+  });
+
+  updateJob(id, {
+    status: 'running',
+    stage: stageId,
+    message: message || job.message,
+    progress: computeOverallProgress(job)
+  });
+}
+
+/**
+ * Reports progress within the currently running stage
+ * @param {string} id - Job id
+ * @param {number} percent - Stage progress (0-100)
+ */
+function reportProgress(id, percent) {
+  const job = jobs.get(id);
+  if (!job || !job.stage) return;
+
+  const stage = job.stages.find(s => s.id === job.stage);
+  if (!stage) return;
+
+  const clamped = Math.max(0, Math.min(100, percent));
+
+  // Ignore tiny changes to avoid flooding SSE clients
+  if (Math.abs(clamped - stage.progress) < 0.5 && clamped !== 100) return;
+
+  stage.progress = Math.round(clamped * 10) / 10;
+  updateJob(id, { progress: computeOverallProgress(job) });
+}
+
+/**
+ * Marks a stage as skipped (e.g. work that was not needed for this input)
+ * @param {string} id - Job id
+ * @param {string} stageId - Stage to skip
+ */
+function skipStage(id, stageId) {
+  const job = jobs.get(id);
+  if (!job) return;
+
+  const stage = job.stages.find(s => s.id === stageId);
+  if (stage) stage.status = 'skipped';
+
+  updateJob(id, { progress: computeOverallProgress(job) });
+}
+
+/**
+ * Marks a job as completed with a result payload
+ * @param {string} id - Job id
+ * @param {Object} result - Result payload returned to clients
+ */
+function completeJob(id, result) {
+  const job = jobs.get(id);
+  if (!job) return;
+
+  job.stages.forEach(stage => {
+    if (stage.status === 'running' || stage.status === 'pending') {
+      stage.status = 'completed';
+      stage.progress = 100;
+    }
+  });
+
+  updateJob(id, {
+    status: 'completed',
+    stage: null,
+    progress: 100,
+    message: 'Completed',
+    result
+  });
+}
+
+/**
+ * Marks a job as failed
+ * @param {string} id - Job id
+ * @param {Object} error - Error details ({ message, error, suggestions })
+ */
+function failJob(id, error) {
+  const job = jobs.get(id);
+  if (!job) return;
+
+  job.stages.forEach(stage => {
+    if (stage.status === 'running') stage.status = 'failed';
+  });
+
+  updateJob(id, {
+    status: 'failed',
+    message: error.message,
+    error
+  });
+}
+
+/**
+ * Looks up a job by id
+ * @param {string} id - Job id
+ * @returns {Object|null} - Public job snapshot or null
+ */
+function findJob(id) {
+  const job = jobs.get(id);
+  return job ? toPublicJob(job) : null;
+}
+
+/**
+ * Lists jobs that have not finished yet
+ * @returns {Object[]} - Public job snapshots
+ */
+function findActiveJobs() {
+  return Array.from(jobs.values())
+    .filter(job => !isFinished(job))
+    .map(toPublicJob);
+}
+
+/**
+ * Returns the job status as JSON
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function getJobStatus(req, res) {
+  const job = findJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Job not found'
+    });
+  }
+
+  res.json({
+    status: 'success',
+    job
+  });
+}
+
+/**
+ * Lists known jobs, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function listJobs(req, res) {
+  pruneJobs();
+
+  const { type, active } = req.query;
+  const list = Array.from(jobs.values())
+    .filter(job => !type || job.type === type)
+    .filter(job => active !== 'true' || !isFinished(job))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(toPublicJob);
+
+  res.json({
+    status: 'success',
+    jobs: list
+  });
+}
+
+/**
+ * Streams job updates to the client as Server-Sent Events
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function streamJobEvents(req, res) {
+  const job = findJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Job not found'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (snapshot) => {
+    res.write(`event: ${isFinished(snapshot) ? snapshot.status : 'progress'}\n`);
+    res.write(`data: ${JSON.stringify(snapshot)}\n\n`);
+  };
+
+  // Always send the current state first so late subscribers are caught up
+  send(job);
+  if (isFinished(job)) {
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => {
+    res.write(': keep-alive\n\n');
+  }, SSE_HEARTBEAT_MS);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobEvents.removeListener(job.id, onUpdate);
+  };
+
+  function onUpdate(snapshot) {
+    send(snapshot);
+    if (isFinished(snapshot)) {
+      cleanup();
+      res.end();
+    }
+  }
+
+  jobEvents.on(job.id, onUpdate);
+  req.on('close', cleanup);
+}
+
+module.exports = {
+  createJob,
+  updateJob,
+  startStage,
+  reportProgress,
+  skipStage,
+  completeJob,
+  failJob,
+  findJob,
+  findActiveJobs,
+  getJobStatus,
+  listJobs,
+  streamJobEvents
+};
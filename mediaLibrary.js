@@ -0,0 +1,472 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { DOWNLOADS_DIR, probeMediaStreams } = require('./mediaProcessor');
+const { findActiveJobs } = require('./jobController');
+
+// Storage retention policy (0 disables a limit)
+const RETENTION_MAX_BYTES = parseInt(process.env.RETENTION_MAX_BYTES, 10) || 0;
+const RETENTION_MAX_AGE_DAYS = parseFloat(process.env.RETENTION_MAX_AGE_DAYS) || 0;
+
+// Access times are recorded at most this often, so loading media rarely rewrites its manifest
+const ACCESS_RECORD_INTERVAL_MS = 60 * 60 * 1000;
+
+// Media names are the shared prefix of a -video.mp4/-audio.wav pair (slug + timestamp)
+const MEDIA_NAME_REGEX = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * Validates a media name taken from a request, preventing path traversal
+ * @param {string} name - Media name (e.g. "my-song-1712345678901")
+ * @returns {boolean} - True if the name is safe to use in a path
+ */
+function isValidMediaName(name) {
+  return typeof name === 'string' && name.length <= 200 && MEDIA_NAME_REGEX.test(name);
+}
+
+/**
+ * Builds the paths of all files that belong to a media item
+ * @param {string} name - Media name
+ * @returns {Object} - Absolute paths keyed by file role
+ */
+function getMediaPaths(name) {
+  return {
+    video: path.join(DOWNLOADS_DIR, `${name}-video.mp4`),
+    audio: path.join(DOWNLOADS_DIR, `${name}-audio.wav`),
+    cues: path.join(DOWNLOADS_DIR, `${name}-cues.json`),
+    performances: path.join(DOWNLOADS_DIR, `${name}-performances.json`),
+    peaks: path.join(DOWNLOADS_DIR, `${name}-peaks.json`),
+    thumbnails: path.join(DOWNLOADS_DIR, `${name}-thumbnails`),
+    filmstrip: path.join(DOWNLOADS_DIR, `${name}-filmstrip`),
+    exports: path.join(DOWNLOADS_DIR, `${name}-exports`),
+    manifest: path.join(DOWNLOADS_DIR, `${name}-manifest.json`)
+  };
+}
+
+/**
+ * Lists the names of all complete video/audio pairs in the downloads directory
+ * @returns {Promise<string[]>} - Media names
+ */
+async function listMediaNames() {
+  let files;
+  try {
+    files = await fs.readdir(DOWNLOADS_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const videos = new Set();
+  const audios = new Set();
+  files.forEach(file => {
+    if (file.endsWith('-video.mp4')) videos.add(file.replace('-video.mp4', ''));
+    else if (file.endsWith('-audio.wav')) audios.add(file.replace('-audio.wav', ''));
+  });
+
+  return Array.from(videos).filter(name => audios.has(name));
+}
+
+/**
+ * Checks that both the video and audio file of a media item exist
+ * @param {string} name - Media name
+ * @returns {Promise<boolean>} - True if the pair is complete
+ */
+async function mediaExists(name) {
+  const paths = getMediaPaths(name);
+  try {
+    await fs.access(paths.video);
+    await fs.access(paths.audio);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Reads a JSON sidecar file
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Promise<Object|null>} - Parsed content or null if the file does not exist
+ */
+async function readJsonFile(filePath) {
+  try {
+    const content = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Writes a JSON sidecar file atomically (write to temp file, then rename). Each call has its own
+ * temp file, so concurrent writes to one sidecar never share it; the last rename wins.
+ * @param {string} filePath - Path to the JSON file
+ * @param {Object} data - Data to serialize
+ * @param {Object} options - Write options
+ * @param {boolean} options.compact - Write without indentation, for large number arrays (default: false)
+ * @returns {Promise<void>}
+ */
+async function writeJsonFile(filePath, data, { compact = false } = {}) {
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+  try {
+    await fs.writeFile(tempPath, compact ? JSON.stringify(data) : JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Converts an ffprobe frame rate fraction ("30000/1001") to a number
+ * @param {string} rate - Frame rate fraction
+ * @returns {number|null} - Frames per second rounded to 3 decimals
+ */
+function parseFrameRate(rate) {
+  if (!rate) return null;
+  const [numerator, denominator] = rate.split('/').map(Number);
+  if (!numerator || !denominator) return null;
+  return Math.round((numerator / denominator) * 1000) / 1000;
+}
+
+/**
+ * Gets the size of a file in bytes
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<number|null>} - Size or null if the file is missing
+ */
+async function getFileSize(filePath) {
+  try {
+    const stats = await fs.stat(filePath);
+    return stats.size;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Probes a processed file pair and writes its manifest sidecar
+ * @param {string} name - Media name
+ * @param {Object} details - Details known at processing time
+ * @param {string} details.title - Display title
+ * @param {Object} details.source - Where the media came from ({ type: 'youtube', url, videoId } or { type: 'upload', originalName })
+ * @param {number} details.duration - Duration in seconds
+ * @param {Array} details.chapters - Chapters from the source ({ start_time, end_time, title } in media time)
+ * @returns {Promise<Object>} - The written manifest
+ */
+async function writeManifest(name, { title, source, duration, chapters = [] }) {
+  const paths = getMediaPaths(name);
+  const [videoProbe, audioProbe] = await Promise.all([
+    probeMediaStreams(paths.video),
+    probeMediaStreams(paths.audio)
+  ]);
+
+  const videoStream = videoProbe?.streams?.find(stream => stream.codec_type === 'video') || {};
+  const audioStream = audioProbe?.streams?.find(stream => stream.codec_type === 'audio') || {};
+
+  const manifest = {
+    version: 1,
+    filename: name,
+    title,
+    source,
+    duration: duration || parseFloat(videoProbe?.format?.duration) || 0,
+    chapters,
+    video: {
+      file: path.basename(paths.video),
+      codec: videoStream.codec_name || null,
+      width: videoStream.width || null,
+      height: videoStream.height || null,
+      fps: parseFrameRate(videoStream.avg_frame_rate || videoStream.r_frame_rate),
+      size: await getFileSize(paths.video)
+    },
+    audio: {
+      file: path.basename(paths.audio),
+      codec: audioStream.codec_name || null,
+      sampleRate: parseInt(audioStream.sample_rate, 10) || null,
+      channels: audioStream.channels || null,
+      size: await getFileSize(paths.audio)
+    },
+    createdAt: new Date().toISOString()
+  };
+
+  await writeJsonFile(paths.manifest, manifest);
+  return manifest;
+}
+
+/**
+ * Reads the manifest of a media item, falling back to file stats for items
+ * processed before manifests were written
+ * @param {string} name - Media name
+ * @returns {Promise<Object>} - Manifest (with `legacy: true` when synthesized)
+ */
+async function readManifest(name) {
+  const paths = getMediaPaths(name);
+  const saved = await readJsonFile(paths.manifest);
+  if (saved) return saved;
+
+  let createdAt = null;
+  try {
+    const stats = await fs.stat(paths.video);
+    createdAt = stats.mtime.toISOString();
+  } catch {
+    // Leave createdAt unknown
+  }
+
+  return {
+    version: 1,
+    legacy: true,
+    filename: name,
+    title: name.replace(/-\d{13}$/, '').replace(/-/g, ' '), // Best guess from the slug
+    source: null,
+    duration: null,
+    video: { file: path.basename(paths.video), size: await getFileSize(paths.video) },
+    audio: { file: path.basename(paths.audio), size: await getFileSize(paths.audio) },
+    createdAt
+  };
+}
+
+/**
+ * Compares two download time ranges (null means the whole video)
+ * @param {Object|null} a - { start, end } in seconds
+ * @param {Object|null} b - { start, end } in seconds
+ * @returns {boolean} - True if both cover the same window
+ */
+function isSameRange(a, b) {
+  if (!a || !b) return !a && !b;
+  return a.start === b.start && (a.end ?? null) === (b.end ?? null);
+}
+
+/**
+ * Finds the most recently created media item downloaded from a YouTube video
+ * @param {string} videoId - 11-character YouTube video id
+ * @param {Object|null} range - Time range the item must cover ({ start, end }), or null for the whole video
+ * @returns {Promise<Object|null>} - Manifest of the matching item or null
+ */
+async function findMediaByVideoId(videoId, range = null) {
+  if (!videoId) return null;
+
+  const names = await listMediaNames();
+  const manifests = await Promise.all(names.map(name => readManifest(name)));
+
+  const matches = manifests
+    .filter(manifest => manifest.source?.type === 'youtube' && manifest.source.videoId === videoId)
+    .filter(manifest => isSameRange(manifest.source.range, range))
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+
+  return matches[0] || null;
+}
+
+/**
+ * Records that a media item was used, for least-recently-used eviction. The manifest is only
+ * rewritten when the recorded access is older than ACCESS_RECORD_INTERVAL_MS, and legacy items
+ * without a manifest are left alone (their file time stands in for the access time).
+ * @param {string} name - Media name
+ * @returns {Promise<void>}
+ */
+async function touchMedia(name) {
+  try {
+    const manifest = await readJsonFile(getMediaPaths(name).manifest);
+    if (!manifest) return;
+
+    const lastUsed = Date.parse(manifest.lastAccessedAt || manifest.createdAt) || 0;
+    if (Date.now() - lastUsed < ACCESS_RECORD_INTERVAL_MS) return;
+
+    manifest.lastAccessedAt = new Date().toISOString();
+    await writeJsonFile(getMediaPaths(name).manifest, manifest);
+  } catch (error) {
+    console.warn(`Could not record access for ${name}:`, error.message);
+  }
+}
+
+/**
+ * Sums the size of every file that belongs to a media item
+ * @param {string} name - Media name
+ * @returns {Promise<number>} - Size in bytes
+ */
+async function getMediaSize(name) {
+  const sizes = await Promise.all(Object.values(getMediaPaths(name)).map(getPathSize));
+  return sizes.reduce((total, size) => total + size, 0);
+}
+
+/**
+ * Gets the size of a file or (recursively) a directory
+ * @param {string} targetPath - File or directory path
+ * @returns {Promise<number>} - Size in bytes (0 if missing)
+ */
+async function getPathSize(targetPath) {
+  try {
+    const stats = await fs.stat(targetPath);
+    if (!stats.isDirectory()) return stats.size;
+
+    const entries = await fs.readdir(targetPath);
+    const sizes = await Promise.all(entries.map(entry => getPathSize(path.join(targetPath, entry))));
+    return sizes.reduce((total, size) => total + size, 0);
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Deletes the video, audio and every sidecar of a media item
+ * @param {string} name - Media name
+ * @returns {Promise<void>}
+ */
+async function deleteMedia(name) {
+  await Promise.all(Object.values(getMediaPaths(name)).map(targetPath => (
+    fs.rm(targetPath, { recursive: true, force: true })
+  )));
+  console.log(`Deleted media: ${name}`);
+}
+
+/**
+ * Moves every file of a media item to a new media name
+ * @param {string} name - Current media name
+ * @param {string} newName - New media name
+ * @returns {Promise<void>}
+ */
+async function renameMedia(name, newName) {
+  const from = getMediaPaths(name);
+  const to = getMediaPaths(newName);
+
+  for (const role of Object.keys(from)) {
+    try {
+      await fs.rename(from[role], to[role]);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  // Sidecars record their own media name and file names
+  const manifest = await readJsonFile(to.manifest);
+  if (manifest) {
+    manifest.filename = newName;
+    if (manifest.video) manifest.video.file = path.basename(to.video);
+    if (manifest.audio) manifest.audio.file = path.basename(to.audio);
+    await writeJsonFile(to.manifest, manifest);
+  }
+
+  for (const role of ['cues', 'performances']) {
+    const sidecar = await readJsonFile(to[role]);
+    if (sidecar) {
+      sidecar.filename = newName;
+      await writeJsonFile(to[role], sidecar);
+    }
+  }
+}
+
+/**
+ * Reports total library size and the configured retention policy
+ * @returns {Promise<Object>} - { totalBytes, maxBytes, maxAgeDays }
+ */
+async function getStorageUsage() {
+  const names = await listMediaNames();
+  const sizes = await Promise.all(names.map(getMediaSize));
+
+  return {
+    totalBytes: sizes.reduce((total, size) => total + size, 0),
+    maxBytes: RETENTION_MAX_BYTES || null,
+    maxAgeDays: RETENTION_MAX_AGE_DAYS || null
+  };
+}
+
+/**
+ * Evicts media items that exceed the retention policy: first anything unused for
+ * longer than the max age, then least-recently-used items until under the byte limit
+ * @param {Object} options - Eviction options
+ * @param {string[]} options.keep - Media names that must not be evicted (e.g. just created)
+ * @returns {Promise<string[]>} - Names of evicted media items
+ */
+async function enforceRetention({ keep = [] } = {}) {
+  if (!RETENTION_MAX_BYTES && !RETENTION_MAX_AGE_DAYS) return [];
+
+  // Never evict media that a running job is still writing
+  const protectedNames = new Set([
+    ...keep,
+    ...findActiveJobs().map(job => job.filename).filter(Boolean)
+  ]);
+
+  const names = await listMediaNames();
+  const items = await Promise.all(names.map(async name => {
+    const manifest = await readManifest(name);
+    return {
+      name,
+      size: await getMediaSize(name),
+      lastUsed: Date.parse(manifest.lastAccessedAt || manifest.createdAt) || 0
+    };
+  }));
+
+  // Least recently used first
+  items.sort((a, b) => a.lastUsed - b.lastUsed);
+
+  const evicted = [];
+  let totalBytes = items.reduce((total, item) => total + item.size, 0);
+  const maxAgeCutoff = RETENTION_MAX_AGE_DAYS
+    ? Date.now() - RETENTION_MAX_AGE_DAYS * 24 * 60 * 60 * 1000
+    : null;
+
+  for (const item of items) {
+    if (protectedNames.has(item.name)) continue;
+
+    const tooOld = maxAgeCutoff !== null && item.lastUsed < maxAgeCutoff;
+    const overLimit = RETENTION_MAX_BYTES > 0 && totalBytes > RETENTION_MAX_BYTES;
+    if (!tooOld && !overLimit) continue;
+
+    try {
+      await deleteMedia(item.name);
+      totalBytes -= item.size;
+      evicted.push(item.name);
+    } catch (error) {
+      console.error(`Retention: failed to evict ${item.name}:`, error.message);
+    }
+  }
+
+  if (evicted.length > 0) {
+    console.log(`Retention: evicted ${evicted.length} item(s): ${evicted.join(', ')}`);
+  }
+
+  return evicted;
+}
+
+/**
+ * Express middleware that validates `req.params.filename` and 404s for unknown media
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+async function requireMedia(req, res, next) {
+  const { filename } = req.params;
+
+  if (!isValidMediaName(filename)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid media filename'
+    });
+  }
+
+  if (!(await mediaExists(filename))) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Media not found',
+      filename
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  isValidMediaName,
+  getMediaPaths,
+  listMediaNames,
+  mediaExists,
+  readJsonFile,
+  writeJsonFile,
+  writeManifest,
+  readManifest,
+  isSameRange,
+  findMediaByVideoId,
+  touchMedia,
+  deleteMedia,
+  renameMedia,
+  getStorageUsage,
+  enforceRetention,
+  requireMedia
+};
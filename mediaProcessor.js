@@ -0,0 +1,364 @@
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const slugify = require('slugify');
+const { updateJob, startStage, reportProgress } = require('./jobController');
+
+// Ensure downloads directory exists
+const DOWNLOADS_DIR = path.join(__dirname, 'downloads');
+
+// Stages shared by every pipeline that turns a source file into the video/audio pair
+const PROCESSING_STAGES = [
+  { id: 'video', label: 'Extracting video', weight: 4 },
+  { id: 'audio', label: 'Extracting audio', weight: 2 },
+  { id: 'probe', label: 'Probing duration', weight: 1 },
+  { id: 'peaks', label: 'Generating waveform', weight: 1 }
+];
+
+/**
+ * Executes a shell command using spawn and returns a promise
+ * @param {string} command - The command to execute
+ * @param {string[]} args - Command arguments
+ * @param {Object} options - Spawn options
+ * @param {Function} options.onLine - Optional callback invoked with (line, streamName) for each output line
+ * @returns {Promise} - Promise that resolves with stdout or rejects with stderr
+ */
+function executeCommand(command, args, options = {}) {
+  const { onLine, ...spawnOptions } = options;
+
+  return new Promise((resolve, reject) => {
+    const process = spawn(command, args, { ...spawnOptions, stdio: ['pipe', 'pipe', 'pipe'] });
+    
+    let stdout = '';
+    let stderr = '';
+    const partialLines = { stdout: '', stderr: '' };
+
+    // Split chunked output into lines for progress parsing (ffmpeg uses \r between stats)
+    const emitLines = (streamName, chunk) => {
+      if (!onLine) return;
+      const lines = (partialLines[streamName] + chunk).split(/\r\n|\r|\n/);
+      partialLines[streamName] = lines.pop();
+      lines.forEach(line => {
+        if (line.trim()) onLine(line, streamName);
+      });
+    };
+    
+    process.stdout.on('data', (data) => {
+      stdout += data.toString();
+      emitLines('stdout', data.toString());
+    });
+    
+    process.stderr.on('data', (data) => {
+      stderr += data.toString();
+      emitLines('stderr', data.toString());
+    });
+    
+    process.on('close', (code) => {
+      if (code === 0) {
+        resolve(stdout);
+      } else {
+        reject(new Error(`Command failed with code ${code}: ${stderr}`));
+      }
+    });
+    
+    process.on('error', (error) => {
+      reject(new Error(`Failed to start command: ${error.message}`));
+    });
+  });
+}
+
+/**
+ * Decodes a media file to mono 16-bit PCM with ffmpeg and streams the samples
+ * @param {string} inputPath - Path to the media file
+ * @param {Object} options - Decoding options
+ * @param {number} options.sampleRate - Output sample rate (default: 48000)
+ * @param {Function} options.onSamples - Called with an Int16Array of samples for each decoded chunk
+ * @returns {Promise<number>} - Total number of samples decoded
+ */
+function streamPcm(inputPath, { sampleRate = 48000, onSamples }) {
+  return new Promise((resolve, reject) => {
+    const process = spawn('ffmpeg', [
+      '-v', 'error',
+      '-i', inputPath,
+      '-ac', '1', // Downmix to mono
+      '-ar', String(sampleRate),
+      '-f', 's16le', // Raw little-endian 16-bit PCM
+      '-acodec', 'pcm_s16le',
+      'pipe:1'
+    ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    let sampleCount = 0;
+    let leftover = null;
+    let stderr = '';
+
+    process.stdout.on('data', (chunk) => {
+      // A chunk may end halfway through a 16-bit sample
+      const buffer = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+      const usableBytes = buffer.length - (buffer.length % 2);
+      leftover = usableBytes < buffer.length ? buffer.subarray(usableBytes) : null;
+
+      const samples = new Int16Array(usableBytes / 2);
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = buffer.readInt16LE(i * 2);
+      }
+
+      sampleCount += samples.length;
+      onSamples(samples);
+    });
+
+    process.stderr.on('data', (chunk) => {
+      stderr += chunk.toString();
+    });
+
+    process.on('close', (code) => {
+      if (code === 0) {
+        resolve(sampleCount);
+      } else {
+        reject(new Error(`Command failed with code ${code}: ${stderr}`));
+      }
+    });
+
+    process.on('error', (error) => {
+      reject(new Error(`Failed to start command: ${error.message}`));
+    });
+  });
+}
+
+/**
+ * Parses an ffmpeg `-progress` line into a percentage of the input duration
+ * @param {string} line - Output line, e.g. "out_time_us=12345678"
+ * @param {number} durationSeconds - Total input duration in seconds
+ * @returns {number|null} - Percentage or null if the line carries no usable time
+ */
+function parseFfmpegProgress(line, durationSeconds) {
+  if (!durationSeconds || durationSeconds <= 0) return null;
+
+  // out_time_ms is (despite its name) in microseconds, same as out_time_us
+  const match = line.match(/^out_time_(?:us|ms)=(\d+)/);
+  if (!match) return null;
+
+  const seconds = parseInt(match[1], 10) / 1000000;
+  return (seconds / durationSeconds) * 100;
+}
+
+/**
+ * Generates a unique filename based on title and timestamp
+ * @param {string} title - The video title
+ * @returns {string} - Unique filename
+ */
+function generateUniqueFilename(title) {
+  const slug = slugify(title, {
+    lower: true,
+    strict: true,
+    remove: /[*+~.()'"!:@]/g
+  });
+  
+  // Limit length and add timestamp for uniqueness
+  const truncatedSlug = slug.substring(0, 50);
+  const timestamp = Date.now();
+  
+  return `${truncatedSlug}-${timestamp}`;
+}
+
+/**
+ * Gets video duration using ffprobe
+ * @param {string} filePath - Path to video file
+ * @returns {Promise<number>} - Duration in seconds
+ */
+async function getVideoDuration(filePath) {
+  try {
+    const output = await executeCommand('ffprobe', [
+      '-v', 'quiet',
+      '-show_entries', 'format=duration',
+      '-of', 'csv=p=0',
+      filePath
+    ]);
+    
+    return parseFloat(output.trim());
+  } catch (error) {
+    console.warn('Could not get video duration:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Reads stream and container information using ffprobe
+ * @param {string} filePath - Path to media file
+ * @returns {Promise<Object|null>} - ffprobe JSON ({ streams, format }) or null if probing failed
+ */
+async function probeMediaStreams(filePath) {
+  try {
+    const output = await executeCommand('ffprobe', [
+      '-v', 'quiet',
+      '-print_format', 'json',
+      '-show_format',
+      '-show_streams',
+      filePath
+    ]);
+    
+    return JSON.parse(output);
+  } catch (error) {
+    console.warn('Could not probe media streams:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Ensures the downloads directory exists
+ * @returns {Promise<void>}
+ */
+async function ensureDownloadsDir() {
+  try {
+    await fs.access(DOWNLOADS_DIR);
+  } catch {
+    await fs.mkdir(DOWNLOADS_DIR, { recursive: true });
+  }
+}
+
+/**
+ * Splits a source media file into an H.264 video-only file and a 48kHz PCM WAV,
+ * reporting progress on the given job. Produces `{filename}-video.mp4` and `{filename}-audio.wav`.
+ * @param {string} jobId - Job id to report progress on
+ * @param {string} sourcePath - Path to the source media file
+ * @param {string} filename - Base filename for the output pair
+ * @param {Object} options - Processing options
+ * @param {boolean} options.removeSource - Delete the source file when done (default: true)
+ * @returns {Promise<Object>} - { videoFile, audioFile, duration, filename }
+ */
+async function processMediaFile(jobId, sourcePath, filename, { removeSource = true } = {}) {
+  const finalVideoPath = path.join(DOWNLOADS_DIR, `${filename}-video.mp4`);
+  const audioPath = path.join(DOWNLOADS_DIR, `${filename}-audio.wav`);
+
+  // Step 1: Extract video-only file (no audio) and ensure H.264 encoding
+  console.log('Extracting video stream...');
+  startStage(jobId, 'video', 'Extracting video stream...');
+  
+  // Source duration is needed to turn ffmpeg's out_time into a percentage
+  const sourceDuration = await getVideoDuration(sourcePath);
+  const ffmpegProgress = {
+    onLine: (line) => {
+      const percent = parseFfmpegProgress(line, sourceDuration);
+      if (percent !== null) reportProgress(jobId, percent);
+    }
+  };
+  
+  // Check if the video is already H.264 (V:0 skips cover art attached to audio files)
+  let codecName = 'unknown';
+  try {
+    const probeResult = await executeCommand('ffprobe', [
+      '-v', 'quiet',
+      '-select_streams', 'V:0',
+      '-show_entries', 'stream=codec_name',
+      '-of', 'csv=p=0',
+      sourcePath
+    ]);
+    codecName = probeResult.trim();
+  } catch (error) {
+    console.warn('Could not probe video codec, assuming needs re-encoding');
+  }
+  
+  console.log(`Source video codec: ${codecName}`);
+  
+  if (!codecName) {
+    // Audio-only source (mp3/wav): render a black video track for the length of the audio
+    console.log('No video stream found, generating placeholder video...');
+    updateJob(jobId, { message: 'No video stream, generating placeholder video...' });
+    await executeCommand('ffmpeg', [
+      '-progress', 'pipe:1', // Machine-readable progress on stdout
+      '-nostats',
+      '-f', 'lavfi',
+      '-i', 'color=c=black:s=1280x720:r=25',
+      '-t', String(sourceDuration), // Match the audio length
+      '-c:v', 'libx264', // Encode to H.264
+      '-preset', 'veryfast',
+      '-tune', 'stillimage',
+      '-pix_fmt', 'yuv420p', // Browser-compatible pixel format
+      '-y', // Overwrite output file
+      finalVideoPath
+    ], ffmpegProgress);
+  } else if (codecName === 'h264') {
+    // Video is already H.264, just copy without re-encoding
+    await executeCommand('ffmpeg', [
+      '-progress', 'pipe:1', // Machine-readable progress on stdout
+      '-nostats',
+      '-i', sourcePath,
+      '-an', // Remove audio
+      '-c:v', 'copy', // Copy video codec without re-encoding
+      '-y', // Overwrite output file
+      finalVideoPath
+    ], ffmpegProgress);
+  } else {
+    // Re-encode to H.264 for browser compatibility
+    console.log(`Converting ${codecName} to H.264 for browser compatibility...`);
+    updateJob(jobId, { message: `Converting ${codecName} to H.264...` });
+    await executeCommand('ffmpeg', [
+      '-progress', 'pipe:1', // Machine-readable progress on stdout
+      '-nostats',
+      '-i', sourcePath,
+      '-an', // Remove audio
+      '-c:v', 'libx264', // Encode to H.264
+      '-preset', 'medium', // Encoding speed vs quality trade-off
+      '-crf', '23', // Quality setting (lower = better quality)
+      '-maxrate', '2M', // Limit bitrate for web
+      '-bufsize', '4M', // Buffer size
+      '-y', // Overwrite output file
+      finalVideoPath
+    ], ffmpegProgress);
+  }
+  
+  // Step 2: Extract audio to WAV format
+  console.log('Extracting audio stream...');
+  startStage(jobId, 'audio', 'Extracting audio stream...');
+  await executeCommand('ffmpeg', [
+    '-progress', 'pipe:1', // Machine-readable progress on stdout
+    '-nostats',
+    '-i', sourcePath,
+    '-vn', // Remove video
+    '-acodec', 'pcm_s16le', // 16-bit PCM audio for consistency
+    '-ar', '48000', // 48kHz sample rate for professional audio
+    '-ac', '2', // Stereo
+    '-y', // Overwrite output file
+    audioPath
+  ], ffmpegProgress);
+  
+  // Get video duration
+  startStage(jobId, 'probe', 'Probing duration...');
+  const duration = await getVideoDuration(finalVideoPath);
+  
+  // Clean up source file
+  if (removeSource) {
+    try {
+      await fs.unlink(sourcePath);
+    } catch (error) {
+      console.warn('Could not delete temporary file:', error.message);
+    }
+  }
+  
+  // Verify files were created successfully
+  try {
+    await fs.access(finalVideoPath);
+    await fs.access(audioPath);
+  } catch (error) {
+    throw new Error(`Failed to create output files: ${error.message}`);
+  }
+  
+  return {
+    videoFile: `${filename}-video.mp4`,
+    audioFile: `${filename}-audio.wav`,
+    duration: duration,
+    filename: filename
+  };
+}
+
+module.exports = {
+  DOWNLOADS_DIR,
+  PROCESSING_STAGES,
+  executeCommand,
+  streamPcm,
+  parseFfmpegProgress,
+  generateUniqueFilename,
+  getVideoDuration,
+  probeMediaStreams,
+  ensureDownloadsDir,
+  processMediaFile
+};
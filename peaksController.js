@@ -0,0 +1,183 @@
+const { streamPcm } = require('./mediaProcessor');
+const { startStage, reportProgress } = require('./jobController');
+const { getMediaPaths, readJsonFile, writeJsonFile, readManifest } = require('./mediaLibrary');
+
+// Sample rate of the extracted -audio.wav files
+const PEAKS_SAMPLE_RATE = 48000;
+
+// Resolutions stored per media item, finest first (each level is 4x coarser than the previous)
+const PEAK_LEVELS = [512, 2048, 8192, 32768];
+
+// Peak values are stored as signed 8-bit integers, like audiowaveform's JSON output
+const PEAK_BITS = 8;
+const PEAK_SCALE = 127 / 32768;
+
+// Peak generation currently running per media name, so concurrent requests share one ffmpeg
+const pendingGenerations = new Map();
+
+/**
+ * Derives a coarser level by merging groups of min/max pairs from a finer level
+ * @param {number[]} data - Interleaved [min, max, ...] values of the finer level
+ * @param {number} factor - Number of finer pairs merged into one coarse pair
+ * @returns {number[]} - Interleaved [min, max, ...] values of the coarser level
+ */
+function downsamplePeaks(data, factor) {
+  const result = [];
+  for (let i = 0; i < data.length; i += factor * 2) {
+    let min = data[i];
+    let max = data[i + 1];
+    for (let j = i + 2; j < Math.min(i + factor * 2, data.length); j += 2) {
+      if (data[j] < min) min = data[j];
+      if (data[j + 1] > max) max = data[j + 1];
+    }
+    result.push(min, max);
+  }
+  return result;
+}
+
+/**
+ * Decodes the audio of a media item to mono PCM and computes min/max buckets
+ * at every resolution in PEAK_LEVELS
+ * @param {string} audioPath - Path to the -audio.wav file
+ * @param {Object} options - Generation options
+ * @param {number} options.duration - Audio duration in seconds (for progress reporting)
+ * @param {Function} options.onProgress - Optional callback invoked with a percentage
+ * @returns {Promise<Object>} - Peaks document ({ version, sampleRate, channels, bits, duration, levels })
+ */
+async function computePeaks(audioPath, { duration = 0, onProgress } = {}) {
+  const samplesPerPeak = PEAK_LEVELS[0];
+  const totalSamples = duration * PEAKS_SAMPLE_RATE;
+  const data = [];
+  let bucketMin = 0;
+  let bucketMax = 0;
+  let bucketCount = 0;
+  let processed = 0;
+
+  const sampleCount = await streamPcm(audioPath, {
+    sampleRate: PEAKS_SAMPLE_RATE,
+    onSamples: (samples) => {
+      for (let i = 0; i < samples.length; i++) {
+        const sample = samples[i];
+        if (bucketCount === 0 || sample < bucketMin) bucketMin = sample;
+        if (bucketCount === 0 || sample > bucketMax) bucketMax = sample;
+        bucketCount++;
+
+        if (bucketCount === samplesPerPeak) {
+          data.push(Math.round(bucketMin * PEAK_SCALE), Math.round(bucketMax * PEAK_SCALE));
+          bucketCount = 0;
+        }
+      }
+
+      processed += samples.length;
+      if (onProgress && totalSamples > 0) {
+        onProgress((processed / totalSamples) * 100);
+      }
+    }
+  });
+
+  // Flush the last partial bucket
+  if (bucketCount > 0) {
+    data.push(Math.round(bucketMin * PEAK_SCALE), Math.round(bucketMax * PEAK_SCALE));
+  }
+
+  const levels = [{ samplesPerPeak, length: data.length / 2, data }];
+  for (let i = 1; i < PEAK_LEVELS.length; i++) {
+    const finer = levels[i - 1];
+    const coarse = downsamplePeaks(finer.data, PEAK_LEVELS[i] / finer.samplesPerPeak);
+    levels.push({ samplesPerPeak: PEAK_LEVELS[i], length: coarse.length / 2, data: coarse });
+  }
+
+  return {
+    version: 1,
+    sampleRate: PEAKS_SAMPLE_RATE,
+    channels: 1,
+    bits: PEAK_BITS,
+    duration: sampleCount / PEAKS_SAMPLE_RATE,
+    levels
+  };
+}
+
+/**
+ * Generates and stores the `{name}-peaks.json` sidecar of a media item
+ * @param {string} name - Media name
+ * @param {Object} options - Generation options
+ * @param {string} options.jobId - Job to report progress on (runs the 'peaks' stage)
+ * @param {number} options.duration - Audio duration in seconds, if already known
+ * @returns {Promise<Object>} - The stored peaks document
+ */
+function generatePeaks(name, { jobId = null, duration = null } = {}) {
+  if (pendingGenerations.has(name)) return pendingGenerations.get(name);
+
+  const generation = (async () => {
+    if (jobId) startStage(jobId, 'peaks', 'Generating waveform...');
+
+    const knownDuration = duration || (await readManifest(name)).duration || 0;
+    const peaks = await computePeaks(getMediaPaths(name).audio, {
+      duration: knownDuration,
+      onProgress: jobId ? (percent) => reportProgress(jobId, percent) : null
+    });
+
+    // One number per line would make the finest level several megabytes for a long video
+    await writeJsonFile(getMediaPaths(name).peaks, peaks, { compact: true });
+    console.log(`Generated waveform peaks for ${name}`);
+    return peaks;
+  })();
+
+  pendingGenerations.set(name, generation);
+  return generation.finally(() => pendingGenerations.delete(name));
+}
+
+/**
+ * Returns waveform peaks for a media item at one resolution. Picks the coarsest level
+ * with at least `width` peaks, or the exact `samplesPerPeak` level when given.
+ * Peaks are generated on first request for media processed before they existed.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getPeaks(req, res) {
+  const { filename } = req.params;
+  const width = parseInt(req.query.width, 10) || 0;
+  const samplesPerPeak = parseInt(req.query.samplesPerPeak, 10) || 0;
+
+  if (samplesPerPeak && !PEAK_LEVELS.includes(samplesPerPeak)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `samplesPerPeak must be one of ${PEAK_LEVELS.join(', ')}`
+    });
+  }
+
+  try {
+    const peaks = await readJsonFile(getMediaPaths(filename).peaks) || await generatePeaks(filename);
+
+    // Levels are ordered finest first
+    const level = samplesPerPeak
+      ? peaks.levels.find(candidate => candidate.samplesPerPeak === samplesPerPeak)
+      : [...peaks.levels].reverse().find(candidate => candidate.length >= width) || peaks.levels[0];
+
+    res.json({
+      status: 'success',
+      filename,
+      sampleRate: peaks.sampleRate,
+      channels: peaks.channels,
+      bits: peaks.bits,
+      duration: peaks.duration,
+      levels: peaks.levels.map(candidate => candidate.samplesPerPeak),
+      samplesPerPeak: level.samplesPerPeak,
+      length: level.length,
+      data: level.data
+    });
+  } catch (error) {
+    console.error('Get peaks error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to generate waveform peaks',
+      error: error.message
+    });
+  }
+}
+
+module.exports = {
+  PEAK_LEVELS,
+  generatePeaks,
+  getPeaks
+};
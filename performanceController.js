@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const { getMediaPaths, readJsonFile, writeJsonFile } = require('./mediaLibrary');
+
+// Upper bounds on stored takes per media item and events per take
+const MAX_TAKES = 100;
+const MAX_EVENTS = 20000;
+
+// Event types of a take: pad triggers and transport actions
+const EVENT_TYPES = ['cue', 'play', 'stop'];
+
+/**
+ * Validates and normalizes a single performance event
+ * @param {Object} event - Event from the client
+ * @param {number} index - Position in the submitted array (for error messages)
+ * @returns {Object} - Normalized event
+ */
+function normalizeEvent(event, index) {
+  if (!event || !EVENT_TYPES.includes(event.type)) {
+    throw new Error(`Invalid event at index ${index}: type must be one of ${EVENT_TYPES.join(', ')}`);
+  }
+  if (typeof event.at !== 'number' || !isFinite(event.at) || event.at < 0) {
+    throw new Error(`Invalid event at index ${index}: at must be a non-negative number of seconds`);
+  }
+  if (typeof event.position !== 'number' || !isFinite(event.position) || event.position < 0) {
+    throw new Error(`Invalid event at index ${index}: position must be a non-negative number of seconds`);
+  }
+
+  const normalized = { at: event.at, type: event.type, position: event.position };
+
+  if (event.type === 'cue') {
+    if (!Number.isInteger(event.slot) || event.slot < 0) {
+      throw new Error(`Invalid event at index ${index}: slot must be a pad slot index`);
+    }
+    normalized.slot = event.slot;
+    normalized.key = typeof event.key === 'string' ? event.key : '';
+    normalized.label = typeof event.label === 'string' ? event.label : '';
+
+    // Region cues play to their end, or loop back to the position
+    if (event.end !== undefined && event.end !== null) {
+      if (typeof event.end !== 'number' || !isFinite(event.end) || event.end <= event.position) {
+        throw new Error(`Invalid event at index ${index}: end must be a number after position`);
+      }
+      normalized.end = event.end;
+      if (event.loop === true) normalized.loop = true;
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Validates and normalizes a recorded take
+ * @param {Object} take - Take from the client
+ * @returns {Object} - Take with a new id and creation date
+ */
+function normalizeTake(take) {
+  if (!take || !Array.isArray(take.events)) {
+    throw new Error('Request body must contain a "take" with an "events" array');
+  }
+  if (take.events.length > MAX_EVENTS) {
+    throw new Error(`Too many events (max ${MAX_EVENTS})`);
+  }
+
+  const events = take.events
+    .map(normalizeEvent)
+    .sort((a, b) => a.at - b.at);
+  const lastAt = events.length ? events[events.length - 1].at : 0;
+
+  const start = take.start || {};
+  if (typeof start.position !== 'number' || !isFinite(start.position) || start.position < 0) {
+    throw new Error('take.start.position must be a non-negative number of seconds');
+  }
+
+  return {
+    id: crypto.randomUUID(),
+    name: typeof take.name === 'string' && take.name.trim() ? take.name.trim().slice(0, 100) : null,
+    createdAt: new Date().toISOString(),
+    duration: typeof take.duration === 'number' && isFinite(take.duration) ? Math.max(take.duration, lastAt) : lastAt,
+    start: { isPlaying: start.isPlaying === true, position: start.position },
+    events
+  };
+}
+
+/**
+ * Reads the stored takes of a media item
+ * @param {string} filename - Media name
+ * @returns {Promise<Array>} - Takes, oldest first
+ */
+async function readTakes(filename) {
+  const saved = await readJsonFile(getMediaPaths(filename).performances);
+  return saved ? saved.takes : [];
+}
+
+/**
+ * Replaces the stored takes of a media item
+ * @param {string} filename - Media name
+ * @param {Array} takes - Takes, oldest first
+ * @returns {Promise<void>}
+ */
+async function writeTakes(filename, takes) {
+  await writeJsonFile(getMediaPaths(filename).performances, {
+    version: 1,
+    filename,
+    updatedAt: new Date().toISOString(),
+    takes
+  });
+}
+
+/**
+ * Lists the recorded performance takes of a media item
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getPerformances(req, res) {
+  try {
+    const { filename } = req.params;
+    res.json({
+      status: 'success',
+      filename,
+      takes: await readTakes(filename)
+    });
+  } catch (error) {
+    console.error('Get performances error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to read performances',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Stores a recorded performance take; takes are numbered in recording order when unnamed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function savePerformance(req, res) {
+  const { filename } = req.params;
+
+  let take;
+  try {
+    take = normalizeTake((req.body || {}).take);
+  } catch (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+
+  try {
+    const takes = await readTakes(filename);
+    if (takes.length >= MAX_TAKES) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Too many takes (max ${MAX_TAKES}); delete some first`
+      });
+    }
+
+    if (!take.name) {
+      const lastNumber = takes.reduce((max, existing) => {
+        const match = /^Take (\d+)$/.exec(existing.name || '');
+        return match ? Math.max(max, parseInt(match[1], 10)) : max;
+      }, 0);
+      take.name = `Take ${lastNumber + 1}`;
+    }
+
+    await writeTakes(filename, [...takes, take]);
+
+    res.status(201).json({
+      status: 'success',
+      filename,
+      take
+    });
+  } catch (error) {
+    console.error('Save performance error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to save performance',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Deletes a recorded performance take
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deletePerformance(req, res) {
+  const { filename, takeId } = req.params;
+
+  try {
+    const takes = await readTakes(filename);
+    const remaining = takes.filter(take => take.id !== takeId);
+
+    if (remaining.length === takes.length) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Take not found: ${takeId}`
+      });
+    }
+
+    await writeTakes(filename, remaining);
+
+    res.json({
+      status: 'success',
+      filename,
+      takeId
+    });
+  } catch (error) {
+    console.error('Delete performance error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete performance',
+      error: error.message
+    });
+  }
+}
+
+module.exports = {
+  getPerformances,
+  savePerformance,
+  deletePerformance,
+  readTakes
+};
@@ -0,0 +1,789 @@
+const fs = require('fs').promises;
+const path = require('path');
+const slugify = require('slugify');
+const {
+  createJob,
+  startStage,
+  reportProgress,
+  completeJob,
+  failJob,
+  findJob
+} = require('./jobController');
+const { executeCommand } = require('./mediaProcessor');
+const { getMediaPaths, readJsonFile, readManifest } = require('./mediaLibrary');
+const { writeZip } = require('./zipWriter');
+const { readTakes } = require('./performanceController');
+
+// Sample rate of the extracted -audio.wav files (cue sample positions refer to it)
+const CUE_SAMPLE_RATE = 48000;
+
+// Pad slot 0 plays this note in the SFZ (C1, as in the editor's MIDI export)
+const KIT_BASE_NOTE = 36;
+
+// Normalized slices peak at this level (dBFS)
+const KIT_PEAK_DB = -1;
+
+const KIT_STAGES = [
+  { id: 'slice', label: 'Slicing audio', weight: 3 },
+  { id: 'package', label: 'Packaging kit', weight: 1 }
+];
+
+const CLIP_STAGES = [
+  { id: 'clips', label: 'Rendering clips', weight: 4 },
+  { id: 'package', label: 'Packaging clips', weight: 1 }
+];
+
+const PERFORMANCE_STAGES = [
+  { id: 'segments', label: 'Rendering segments', weight: 5 },
+  { id: 'package', label: 'Joining segments', weight: 1 }
+];
+
+// Defaults and bounds for the kit options accepted in the request body
+const KIT_OPTIONS = {
+  normalize: { type: 'boolean', default: false },
+  fadeMs: { default: 5, min: 0, max: 500 } // fade in and out of each slice
+};
+
+const CLIP_OPTIONS = {
+  resolution: { values: ['source', '1080', '720', '480'], default: 'source' }, // output height (never upscaled)
+  fadeMs: { default: 0, min: 0, max: 5000 } // video and audio fade in and out of each clip
+};
+
+const PERFORMANCE_OPTIONS = {
+  resolution: CLIP_OPTIONS.resolution
+};
+
+// Upper bound on clips per request
+const MAX_CLIPS = 64;
+
+// Performance renders: frame rate when the manifest has none, segments per ffmpeg run, and
+// an upper bound on segments per take
+const DEFAULT_FPS = 30;
+const SEGMENTS_PER_PART = 12;
+const MAX_PERFORMANCE_SEGMENTS = 2000;
+
+// Held frames stay this far before the end of the media, where the video may already have ended
+const END_FRAME_MARGIN = 0.1;
+
+/**
+ * Validates render options from a request body, applying defaults
+ * @param {Object} body - Request body
+ * @param {Object} specs - Option specs ({ name: { default, min, max } }, `type: 'boolean'` or `values: [...]` for other kinds)
+ * @returns {Object} - Options keyed like the specs
+ * @throws {Error} - If an option does not match its spec
+ */
+function parseRenderOptions(body, specs) {
+  const options = {};
+  Object.entries(specs).forEach(([name, spec]) => {
+    const value = body[name] === undefined ? spec.default : body[name];
+
+    if (spec.type === 'boolean') {
+      if (typeof value !== 'boolean') throw new Error(`${name} must be true or false`);
+    } else if (spec.values) {
+      if (!spec.values.includes(value)) throw new Error(`${name} must be one of ${spec.values.join(', ')}`);
+    } else if (typeof value !== 'number' || !isFinite(value) || value < spec.min || value > spec.max) {
+      throw new Error(`${name} must be a number between ${spec.min} and ${spec.max}`);
+    }
+
+    options[name] = value;
+  });
+  return options;
+}
+
+/**
+ * Validates the clip list of a clip render request
+ * @param {Array} clips - Clips from the request body ({ cue: pad slot index, end?: seconds })
+ * @returns {Array<{cue: number, end: number|null}>} - Validated clips
+ * @throws {Error} - If the list or a clip is invalid
+ */
+function parseClipRequests(clips) {
+  if (!Array.isArray(clips) || clips.length === 0 || clips.length > MAX_CLIPS) {
+    throw new Error(`clips must be an array of 1 to ${MAX_CLIPS} clips`);
+  }
+
+  return clips.map((clip, index) => {
+    if (!clip || !Number.isInteger(clip.cue) || clip.cue < 0) {
+      throw new Error(`Invalid clip at index ${index}: cue must be a pad slot index`);
+    }
+    if (clip.end !== undefined && clip.end !== null && (typeof clip.end !== 'number' || !isFinite(clip.end) || clip.end <= 0)) {
+      throw new Error(`Invalid clip at index ${index}: end must be a positive number of seconds`);
+    }
+    return { cue: clip.cue, end: typeof clip.end === 'number' ? clip.end : null };
+  });
+}
+
+/**
+ * Builds the public URL of a file in a media item's export directory
+ * @param {string} name - Media name
+ * @param {string} file - File name inside the directory
+ * @returns {string} - URL under /downloads
+ */
+function getExportUrl(name, file) {
+  return `/downloads/${path.basename(getMediaPaths(name).exports)}/${file}`;
+}
+
+/**
+ * Turns the saved cues of a media item into regions in time order, each running to its own end
+ * when the cue has one, otherwise to the next cue (the last one to the end of the audio). Every pad
+ * keeps its region, also when several cues share a start.
+ * @param {string} name - Media name
+ * @param {number} duration - Audio duration in seconds (0 if unknown)
+ * @returns {Promise<Array>} - Regions ({ cue, slotIndex, startSample, endSample }); endSample is null when the end is unknown
+ */
+async function readCueRegions(name, duration) {
+  const saved = await readJsonFile(getMediaPaths(name).cues);
+  const totalSamples = duration ? Math.round(duration * CUE_SAMPLE_RATE) : null;
+
+  const starts = (saved ? saved.cues : [])
+    .map((cue, slotIndex) => ({
+      cue,
+      slotIndex,
+      startSample: Math.round((cue.sample_position * CUE_SAMPLE_RATE) / cue.sample_rate)
+    }))
+    .filter(region => totalSamples === null || region.startSample < totalSamples)
+    .sort((a, b) => a.startSample - b.startSample || a.slotIndex - b.slotIndex);
+
+  return starts
+    .map((region, index) => {
+      if (typeof region.cue.end === 'number') {
+        const endSample = Math.round(region.cue.end * CUE_SAMPLE_RATE);
+        return { ...region, endSample: totalSamples !== null ? Math.min(endSample, totalSamples) : endSample };
+      }
+      const next = starts.slice(index + 1).find(other => other.startSample > region.startSample);
+      return { ...region, endSample: next ? next.startSample : totalSamples };
+    });
+}
+
+/**
+ * Measures the peak level of a filtered stretch of audio with ffmpeg `volumedetect`
+ * @param {string} audioPath - Path to the -audio.wav file
+ * @param {string[]} filters - Audio filters selecting the stretch
+ * @returns {Promise<number|null>} - Peak in dBFS, or null for silence
+ */
+async function measurePeak(audioPath, filters) {
+  let peak = null;
+
+  await executeCommand('ffmpeg', [
+    '-nostats',
+    '-i', audioPath,
+    '-af', [...filters, 'volumedetect'].join(','),
+    '-f', 'null',
+    '-'
+  ], {
+    onLine: (line) => {
+      // e.g. "[Parsed_volumedetect_2 @ 0x55d0] max_volume: -3.2 dB"
+      const match = line.match(/max_volume:\s*(-?[\d.]+) dB/);
+      if (match) peak = parseFloat(match[1]);
+    }
+  });
+
+  return peak !== null && peak > -90 ? peak : null;
+}
+
+/**
+ * Writes the SFZ instrument of a kit: one region per slice on the note of its pad. Slices of
+ * looping cues sustain over the whole sample while the note is held.
+ * @param {string} title - Media title (for the header comment)
+ * @param {Array} slices - Slices ({ file, note, label, loop, start, end })
+ * @returns {string} - SFZ text
+ */
+function buildSfz(title, slices) {
+  const lines = [
+    `// Sampler kit sliced from "${title}" at its cue points`,
+    `// Pad n plays note ${KIT_BASE_NOTE - 1}+n (pad 1 = C1)`,
+    '',
+    '<control>',
+    'default_path=samples/',
+    '',
+    '<global>',
+    'loop_mode=one_shot',
+    ''
+  ];
+
+  slices
+    .filter(slice => slice.note <= 127)
+    .forEach(slice => {
+      const loop = slice.loop
+        ? ` loop_mode=loop_sustain loop_start=0 loop_end=${Math.round((slice.end - slice.start) * CUE_SAMPLE_RATE) - 1}`
+        : '';
+      lines.push(`<region> sample=${slice.file} key=${slice.note}${loop} // ${slice.label.replace(/[\r\n]+/g, ' ')}`);
+    });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Slices the -audio.wav of a media item at its cues and zips the slices with an SFZ instrument
+ * @param {string} jobId - Job to report progress on
+ * @param {string} name - Media name
+ * @param {Object} options - Kit options (normalize, fadeMs)
+ * @returns {Promise<Object>} - { url, file, slices }
+ */
+async function runKitRender(jobId, name, options) {
+  const paths = getMediaPaths(name);
+  const manifest = await readManifest(name);
+  // Cues on the same sample would give identical slices; the first pad keeps it
+  const regions = (await readCueRegions(name, manifest.duration || 0))
+    .filter((region, index, all) => index === 0 || region.startSample !== all[index - 1].startSample);
+
+  if (regions.length === 0) {
+    throw new Error('The media item has no cue points to slice at');
+  }
+
+  const tempDir = path.join(paths.exports, `kit.${jobId}.tmp`);
+  await fs.mkdir(path.join(tempDir, 'samples'), { recursive: true });
+
+  try {
+    startStage(jobId, 'slice', `Slicing ${regions.length} region(s)...`);
+    const slices = [];
+
+    for (const [index, region] of regions.entries()) {
+      const label = region.cue.label || `Cue ${region.slotIndex + 1}`;
+      const slug = slugify(label, { lower: true, strict: true }) || 'slice';
+      const file = `${String(region.slotIndex + 1).padStart(2, '0')}-${slug}.wav`;
+      const loop = region.cue.loop === true && region.endSample !== null;
+
+      const filters = [
+        `atrim=start_sample=${region.startSample}${region.endSample !== null ? `:end_sample=${region.endSample}` : ''}`,
+        'asetpts=PTS-STARTPTS'
+      ];
+
+      if (options.normalize) {
+        const peak = await measurePeak(paths.audio, filters);
+        if (peak !== null) filters.push(`volume=${(KIT_PEAK_DB - peak).toFixed(2)}dB`);
+      }
+
+      // Short fades avoid clicks where the waveform is cut mid-cycle; loops are left whole so
+      // they repeat without a dip at the seam
+      const fadeSeconds = options.fadeMs / 1000;
+      if (fadeSeconds > 0 && !loop) {
+        const length = region.endSample !== null ? (region.endSample - region.startSample) / CUE_SAMPLE_RATE : null;
+        const fade = length !== null ? Math.min(fadeSeconds, length / 2) : fadeSeconds;
+        filters.push(`afade=t=in:d=${fade}`);
+        if (length !== null) filters.push(`afade=t=out:st=${length - fade}:d=${fade}`);
+      }
+
+      await executeCommand('ffmpeg', [
+        '-v', 'error',
+        '-i', paths.audio,
+        '-af', filters.join(','),
+        '-c:a', 'pcm_s16le',
+        '-y',
+        path.join(tempDir, 'samples', file)
+      ]);
+
+      slices.push({
+        slot: region.slotIndex + 1,
+        note: KIT_BASE_NOTE + region.slotIndex,
+        label,
+        file,
+        start: region.startSample / CUE_SAMPLE_RATE,
+        end: region.endSample !== null ? region.endSample / CUE_SAMPLE_RATE : null,
+        loop
+      });
+      reportProgress(jobId, ((index + 1) / regions.length) * 100);
+    }
+
+    // Each job gets its own archive, written in the temp directory and moved into place when complete,
+    // so other renders of the item never overwrite it and a failed write leaves nothing behind
+    startStage(jobId, 'package', 'Packaging kit...');
+    const zipFile = `kit-${jobId}.zip`;
+    await writeZip(path.join(tempDir, zipFile), [
+      { name: `${name}.sfz`, content: buildSfz(manifest.title || name, slices) },
+      ...slices.map(slice => ({ name: `samples/${slice.file}`, path: path.join(tempDir, 'samples', slice.file) }))
+    ]);
+    await fs.rename(path.join(tempDir, zipFile), path.join(paths.exports, zipFile));
+
+    return {
+      url: getExportUrl(name, zipFile),
+      file: `${name}-kit.zip`,
+      slices
+    };
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Renders cue regions of a media item as mp4 clips from the -video.mp4 with the -audio.wav muxed back in;
+ * one clip is returned as is, several are zipped
+ * @param {string} jobId - Job to report progress on
+ * @param {string} name - Media name
+ * @param {Object} options - Clip options (clips, resolution, fadeMs)
+ * @returns {Promise<Object>} - { url, file, clips }
+ */
+async function runClipRender(jobId, name, options) {
+  const paths = getMediaPaths(name);
+  const manifest = await readManifest(name);
+  const regions = await readCueRegions(name, manifest.duration || 0);
+
+  const requests = options.clips.map(clip => {
+    const region = regions.find(candidate => candidate.slotIndex === clip.cue);
+    if (!region) throw new Error(`Pad ${clip.cue + 1} has no cue inside the media`);
+
+    const endSample = clip.end !== null ? Math.round(clip.end * CUE_SAMPLE_RATE) : region.endSample;
+    if (endSample !== null && endSample <= region.startSample) {
+      throw new Error(`Clip end of pad ${clip.cue + 1} must be after its cue`);
+    }
+    return { ...region, endSample };
+  });
+
+  const tempDir = path.join(paths.exports, `clips.${jobId}.tmp`);
+  await fs.mkdir(tempDir, { recursive: true });
+
+  try {
+    startStage(jobId, 'clips', `Rendering ${requests.length} clip(s)...`);
+    const clips = [];
+
+    for (const [index, request] of requests.entries()) {
+      const label = request.cue.label || `Cue ${request.slotIndex + 1}`;
+      const slug = slugify(label, { lower: true, strict: true }) || 'clip';
+      const file = `${String(request.slotIndex + 1).padStart(2, '0')}-${slug}.mp4`;
+      const start = request.startSample / CUE_SAMPLE_RATE;
+      const length = request.endSample !== null ? (request.endSample - request.startSample) / CUE_SAMPLE_RATE : null;
+
+      const videoFilters = [];
+      const audioFilters = [
+        `atrim=start_sample=${request.startSample}${request.endSample !== null ? `:end_sample=${request.endSample}` : ''}`,
+        'asetpts=PTS-STARTPTS'
+      ];
+
+      if (options.resolution !== 'source') {
+        videoFilters.push(`scale=-2:'min(${options.resolution},ih)'`);
+      }
+
+      const fade = length !== null ? Math.min(options.fadeMs / 1000, length / 2) : options.fadeMs / 1000;
+      if (fade > 0) {
+        videoFilters.push(`fade=t=in:st=0:d=${fade}`);
+        audioFilters.push(`afade=t=in:d=${fade}`);
+        if (length !== null) {
+          videoFilters.push(`fade=t=out:st=${length - fade}:d=${fade}`);
+          audioFilters.push(`afade=t=out:st=${length - fade}:d=${fade}`);
+        }
+      }
+
+      await executeCommand('ffmpeg', [
+        '-v', 'error',
+        '-ss', String(start), // Seeks the video input; re-encoding keeps the cut frame-accurate
+        '-i', paths.video,
+        '-i', paths.audio,
+        '-map', '0:v:0',
+        '-map', '1:a:0',
+        ...(videoFilters.length ? ['-vf', videoFilters.join(',')] : []),
+        '-af', audioFilters.join(','),
+        ...(length !== null ? ['-t', String(length)] : []),
+        '-c:v', 'libx264',
+        '-preset', 'medium',
+        '-crf', '20',
+        '-pix_fmt', 'yuv420p', // Plays everywhere, including phones
+        '-c:a', 'aac',
+        '-b:a', '192k',
+        '-movflags', '+faststart',
+        '-y',
+        path.join(tempDir, file)
+      ]);
+
+      clips.push({
+        slot: request.slotIndex + 1,
+        label,
+        file,
+        start,
+        end: request.endSample !== null ? request.endSample / CUE_SAMPLE_RATE : null
+      });
+      reportProgress(jobId, ((index + 1) / requests.length) * 100);
+    }
+
+    // Outputs are named per job and moved into place only once complete (as for kits)
+    startStage(jobId, 'package', 'Packaging clips...');
+    let outputFile;
+    let downloadName;
+
+    if (clips.length === 1) {
+      outputFile = `clip-${jobId}-${clips[0].file}`;
+      downloadName = `${name}-${clips[0].file}`;
+      await fs.rename(path.join(tempDir, clips[0].file), path.join(paths.exports, outputFile));
+    } else {
+      outputFile = `clips-${jobId}.zip`;
+      downloadName = `${name}-clips.zip`;
+      await writeZip(path.join(tempDir, outputFile), clips.map(clip => ({
+        name: clip.file,
+        path: path.join(tempDir, clip.file)
+      })));
+      await fs.rename(path.join(tempDir, outputFile), path.join(paths.exports, outputFile));
+    }
+
+    return {
+      url: getExportUrl(name, outputFile),
+      file: downloadName,
+      clips
+    };
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Turns a recorded take into the segments of media it played, in order: `play` segments run from
+ * a media position, `hold` segments repeat the frame at a position in silence (while stopped, or
+ * after playback ran off the end of the media or of a region cue). A looping region cue repeats
+ * as one play segment per pass. Idle time before the first and after the last playing segment is
+ * dropped. Output boundaries are in seconds from the start of the render.
+ * @param {Object} take - Recorded take ({ start, duration, events })
+ * @param {number} duration - Media duration in seconds (0 if unknown)
+ * @returns {Array<{type: string, position: number, outStart: number, outEnd: number}>}
+ */
+function buildPerformanceSegments(take, duration) {
+  const mediaEnd = duration > 0 ? duration : Infinity;
+  const lastFrame = duration > 0 ? Math.max(0, duration - END_FRAME_MARGIN) : Infinity;
+  const events = [
+    { at: 0, type: take.start.isPlaying ? 'play' : 'stop', position: take.start.position },
+    ...[...take.events].sort((a, b) => a.at - b.at)
+  ];
+
+  // Transport state between consecutive events
+  const periods = events.map((event, index) => ({
+    playing: event.type !== 'stop',
+    position: event.position,
+    end: typeof event.end === 'number' ? Math.min(event.end, mediaEnd) : mediaEnd,
+    loop: event.loop === true,
+    length: (index + 1 < events.length ? events[index + 1].at : Math.max(take.duration, event.at)) - event.at
+  }));
+
+  const segments = [];
+  periods
+    .filter(period => period.length > 0)
+    .forEach(period => {
+      if (!period.playing) {
+        segments.push({ type: 'hold', position: Math.min(period.position, lastFrame), length: period.length });
+        return;
+      }
+
+      const passLength = period.end - period.position;
+      if (period.loop && passLength > 0) {
+        for (let played = 0; played < period.length; played += passLength) {
+          segments.push({ type: 'play', position: period.position, length: Math.min(passLength, period.length - played) });
+        }
+        return;
+      }
+
+      const playable = Math.max(0, Math.min(period.length, passLength));
+      if (playable > 0) segments.push({ type: 'play', position: period.position, length: playable });
+      if (period.length > playable) {
+        segments.push({ type: 'hold', position: Math.min(period.end, lastFrame), length: period.length - playable });
+      }
+    });
+
+  const first = segments.findIndex(segment => segment.type === 'play');
+  if (first === -1) return [];
+  const last = segments.length - 1 - [...segments].reverse().findIndex(segment => segment.type === 'play');
+
+  let outStart = 0;
+  return segments.slice(first, last + 1).map(segment => {
+    const placed = { type: segment.type, position: segment.position, outStart, outEnd: outStart + segment.length };
+    outStart = placed.outEnd;
+    return placed;
+  });
+}
+
+/**
+ * Renders a batch of performance segments in one ffmpeg run: a trim/concat graph over one seeked
+ * input per segment, written as a video-only part and a PCM part. Segment boundaries are rounded
+ * to frames and samples on the timeline of the whole render, so parts join without drift.
+ * @param {Object} paths - Media paths
+ * @param {Array} segments - Segments of the batch
+ * @param {Object} format - { fps, resolution }
+ * @param {string} videoPath - Video part to write (skipped when the batch has no whole frame)
+ * @param {string} audioPath - Audio part to write
+ * @returns {Promise<boolean>} - Whether a video part was written
+ */
+async function renderPerformancePart(paths, segments, { fps, resolution }, videoPath, audioPath) {
+  const inputs = [];
+  const filters = [];
+  const videoLabels = [];
+  const audioLabels = [];
+  const audioFormat = `aformat=sample_fmts=s16:sample_rates=${CUE_SAMPLE_RATE}:channel_layouts=stereo`;
+
+  segments.forEach((segment, index) => {
+    const frames = Math.round(segment.outEnd * fps) - Math.round(segment.outStart * fps);
+    const samples = Math.round(segment.outEnd * CUE_SAMPLE_RATE) - Math.round(segment.outStart * CUE_SAMPLE_RATE);
+    const length = segment.outEnd - segment.outStart;
+
+    if (frames > 0) {
+      const input = inputs.length / 6;
+      inputs.push('-ss', String(segment.position), '-t', String(segment.type === 'hold' ? 1 : length + 1), '-i', paths.video);
+      filters.push(`[${input}:v]${[
+        ...(segment.type === 'hold' ? ['trim=end_frame=1'] : []),
+        'setpts=PTS-STARTPTS',
+        `tpad=stop_mode=clone:stop_duration=${length + 1}`, // Covers holds and video that ends early
+        `fps=${fps}`,
+        ...(resolution !== 'source' ? [`scale=-2:'min(${resolution},ih)'`] : []),
+        `trim=end_frame=${frames}`,
+        'setpts=PTS-STARTPTS'
+      ].join(',')}[v${index}]`);
+      videoLabels.push(`[v${index}]`);
+    }
+
+    if (segment.type === 'play') {
+      const input = inputs.length / 6;
+      inputs.push('-ss', String(segment.position), '-t', String(length + 1), '-i', paths.audio);
+      filters.push(`[${input}:a]${audioFormat},atrim=end_sample=${samples},apad=whole_len=${samples},asetpts=PTS-STARTPTS[a${index}]`);
+    } else {
+      filters.push(`anullsrc=r=${CUE_SAMPLE_RATE}:cl=stereo,${audioFormat},atrim=end_sample=${samples}[a${index}]`);
+    }
+    audioLabels.push(`[a${index}]`);
+  });
+
+  filters.push(`${audioLabels.join('')}concat=n=${audioLabels.length}:v=0:a=1[a]`);
+  if (videoLabels.length > 0) {
+    filters.push(`${videoLabels.join('')}concat=n=${videoLabels.length}:v=1:a=0[v]`);
+  }
+
+  await executeCommand('ffmpeg', [
+    '-v', 'error',
+    ...inputs,
+    '-filter_complex', filters.join(';'),
+    '-map', '[a]',
+    '-c:a', 'pcm_s16le',
+    '-y',
+    audioPath,
+    ...(videoLabels.length > 0 ? [
+      '-map', '[v]',
+      '-c:v', 'libx264',
+      '-preset', 'medium',
+      '-crf', '18',
+      '-pix_fmt', 'yuv420p',
+      '-y',
+      videoPath
+    ] : [])
+  ]);
+
+  return videoLabels.length > 0;
+}
+
+/**
+ * Writes an ffmpeg concat demuxer list
+ * @param {string} listPath - List file to write
+ * @param {string[]} files - Absolute paths of the files to join, in order
+ * @returns {Promise<string>} - The list path
+ */
+async function writeConcatList(listPath, files) {
+  // Single quotes inside a quoted path are written as '\''
+  await fs.writeFile(listPath, files.map(file => `file '${file.replace(/'/g, "'\\''")}'`).join('\n'));
+  return listPath;
+}
+
+/**
+ * Renders a recorded performance take to one mp4: the media segments in the order and for the
+ * durations they played, with the `-audio.wav` cut sample-exact
+ * @param {string} jobId - Job to report progress on
+ * @param {string} name - Media name
+ * @param {Object} options - Performance options (takeId, resolution)
+ * @returns {Promise<Object>} - { url, file, take, duration, segments }
+ */
+async function runPerformanceRender(jobId, name, options) {
+  const paths = getMediaPaths(name);
+  const manifest = await readManifest(name);
+  const take = (await readTakes(name)).find(candidate => candidate.id === options.takeId);
+  if (!take) throw new Error(`Take not found: ${options.takeId}`);
+
+  const segments = buildPerformanceSegments(take, manifest.duration || 0);
+  if (segments.length === 0) throw new Error('The take never plays any media');
+  if (segments.length > MAX_PERFORMANCE_SEGMENTS) {
+    throw new Error(`The take has too many segments to render (max ${MAX_PERFORMANCE_SEGMENTS})`);
+  }
+
+  const format = { fps: manifest.video?.fps || DEFAULT_FPS, resolution: options.resolution };
+  const tempDir = path.join(paths.exports, `performance.${jobId}.tmp`);
+  await fs.mkdir(tempDir, { recursive: true });
+
+  try {
+    startStage(jobId, 'segments', `Rendering ${segments.length} segment(s)...`);
+    const videoParts = [];
+    const audioParts = [];
+
+    for (let start = 0; start < segments.length; start += SEGMENTS_PER_PART) {
+      const part = String(start / SEGMENTS_PER_PART).padStart(4, '0');
+      const videoPath = path.join(tempDir, `part-${part}.mp4`);
+      const audioPath = path.join(tempDir, `part-${part}.wav`);
+
+      const batch = segments.slice(start, start + SEGMENTS_PER_PART);
+      if (await renderPerformancePart(paths, batch, format, videoPath, audioPath)) {
+        videoParts.push(videoPath);
+      }
+      audioParts.push(audioPath);
+      reportProgress(jobId, ((start + batch.length) / segments.length) * 100);
+    }
+
+    startStage(jobId, 'package', 'Joining segments...');
+    const slug = slugify(take.name || 'take', { lower: true, strict: true }) || 'take';
+    // Named per job and moved into place when complete, like kits and clips
+    const outputFile = `performance-${jobId}-${slug}.mp4`;
+
+    await executeCommand('ffmpeg', [
+      '-v', 'error',
+      '-f', 'concat', '-safe', '0', '-i', await writeConcatList(path.join(tempDir, 'video.txt'), videoParts),
+      '-f', 'concat', '-safe', '0', '-i', await writeConcatList(path.join(tempDir, 'audio.txt'), audioParts),
+      '-map', '0:v:0',
+      '-map', '1:a:0',
+      '-c:v', 'copy', // Parts share encoder settings, so the video is encoded only once
+      '-c:a', 'aac',
+      '-b:a', '192k',
+      '-movflags', '+faststart',
+      '-y',
+      path.join(tempDir, outputFile)
+    ]);
+    await fs.rename(path.join(tempDir, outputFile), path.join(paths.exports, outputFile));
+    reportProgress(jobId, 100);
+
+    return {
+      url: getExportUrl(name, outputFile),
+      file: `${name}-${slug}.mp4`,
+      take: { id: take.id, name: take.name },
+      duration: segments[segments.length - 1].outEnd,
+      segments: segments.length
+    };
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Validates options and starts a render job for a media item
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} render - Render definition
+ * @param {string} render.type - Job type
+ * @param {Array} render.stages - Job stages
+ * @param {Function} render.parseOptions - (body) => options; throws on invalid input
+ * @param {Function} render.run - (jobId, filename, options) => Promise<result>
+ * @param {string} render.failureMessage - Message reported when the job fails
+ * @param {string} render.suggestion - Hint reported with a failure (default: cue points and ffmpeg)
+ */
+async function startRenderJob(req, res, {
+  type,
+  stages,
+  parseOptions,
+  run,
+  failureMessage,
+  suggestion = 'Check that the media item has cue points and ffmpeg is installed'
+}) {
+  const { filename } = req.params;
+
+  let options;
+  try {
+    options = parseOptions(req.body || {});
+  } catch (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+
+  let manifest;
+  try {
+    manifest = await readManifest(filename);
+  } catch (error) {
+    console.error('Render media error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to read media metadata',
+      error: error.message
+    });
+  }
+
+  const job = createJob(type, {
+    stages,
+    params: options,
+    title: manifest.title,
+    filename
+  });
+
+  run(job.id, filename, options)
+    .then(result => completeJob(job.id, result))
+    .catch(error => {
+      console.error(`${type} error:`, error);
+      failJob(job.id, {
+        message: failureMessage,
+        error: error.message,
+        suggestions: [suggestion]
+      });
+    });
+
+  res.status(202).json({
+    status: 'accepted',
+    jobId: job.id,
+    job: findJob(job.id)
+  });
+}
+
+/**
+ * Starts a background job that renders a sampler kit (WAV slices between cues plus an SFZ) as a zip
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function renderKit(req, res) {
+  return startRenderJob(req, res, {
+    type: 'kit',
+    stages: KIT_STAGES,
+    parseOptions: body => parseRenderOptions(body, KIT_OPTIONS),
+    run: runKitRender,
+    failureMessage: 'Failed to render sampler kit'
+  });
+}
+
+/**
+ * Starts a background job that renders video clips (with audio) of cue regions: each clip runs
+ * from its cue to the next cue in time, or to the clip's own `end`
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function renderClips(req, res) {
+  return startRenderJob(req, res, {
+    type: 'clips',
+    stages: CLIP_STAGES,
+    parseOptions: body => ({ ...parseRenderOptions(body, CLIP_OPTIONS), clips: parseClipRequests(body.clips) }),
+    run: runClipRender,
+    failureMessage: 'Failed to render video clips'
+  });
+}
+
+/**
+ * Starts a background job that renders a recorded performance take to one mp4
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function renderPerformance(req, res) {
+  const { filename, takeId } = req.params;
+
+  try {
+    const takes = await readTakes(filename);
+    if (!takes.some(take => take.id === takeId)) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Take not found: ${takeId}`
+      });
+    }
+  } catch (error) {
+    console.error('Render performance error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to read performances',
+      error: error.message
+    });
+  }
+
+  return startRenderJob(req, res, {
+    type: 'performance',
+    stages: PERFORMANCE_STAGES,
+    parseOptions: body => ({ ...parseRenderOptions(body, PERFORMANCE_OPTIONS), takeId }),
+    run: runPerformanceRender,
+    failureMessage: 'Failed to render performance',
+    suggestion: 'Check that the take plays some media and ffmpeg is installed'
+  });
+}
+
+module.exports = {
+  renderKit,
+  renderClips,
+  renderPerformance
+};
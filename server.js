@@ -1,11 +1,23 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const { downloadVideo, listDownloads } = require('./downloadController');
+const { downloadVideo, listDownloads, deleteDownload, renameDownload } = require('./downloadController');
+const { uploadMedia } = require('./uploadController');
+const { getCues, saveCues } = require('./cueController');
+const { getPerformances, savePerformance, deletePerformance } = require('./performanceController');
+const { getPeaks } = require('./peaksController');
+const { analyzeMedia, detectScenes, detectTempo } = require('./analysisController');
+const { getThumbnail } = require('./thumbnailController');
+const { getFilmstrip } = require('./filmstripController');
+const { exportDjCollection, exportWavWithCues } = require('./exportController');
+const { renderKit, renderClips, renderPerformance } = require('./renderController');
+const { requireMedia, enforceRetention } = require('./mediaLibrary');
+const { getJobStatus, listJobs, streamJobEvents } = require('./jobController');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 const isProduction = process.env.NODE_ENV === 'production';
+const RETENTION_INTERVAL_MS = 60 * 60 * 1000;
 
 // Middleware
 app.use(cors());
@@ -30,7 +42,29 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.post('/api/download', downloadVideo);
+app.post('/api/upload', uploadMedia);
 app.get('/api/downloads', listDownloads);
+app.delete('/api/downloads/:filename', requireMedia, deleteDownload);
+app.patch('/api/downloads/:filename', requireMedia, renameDownload);
+app.get('/api/media/:filename/cues', requireMedia, getCues);
+app.put('/api/media/:filename/cues', requireMedia, saveCues);
+app.get('/api/media/:filename/performances', requireMedia, getPerformances);
+app.post('/api/media/:filename/performances', requireMedia, savePerformance);
+app.delete('/api/media/:filename/performances/:takeId', requireMedia, deletePerformance);
+app.post('/api/media/:filename/performances/:takeId/render', requireMedia, renderPerformance);
+app.get('/api/media/:filename/peaks', requireMedia, getPeaks);
+app.post('/api/media/:filename/analyze', requireMedia, analyzeMedia);
+app.post('/api/media/:filename/scenes', requireMedia, detectScenes);
+app.post('/api/media/:filename/tempo', requireMedia, detectTempo);
+app.get('/api/media/:filename/thumbnail', requireMedia, getThumbnail);
+app.get('/api/media/:filename/filmstrip', requireMedia, getFilmstrip);
+app.get('/api/media/:filename/export/wav', requireMedia, exportWavWithCues);
+app.post('/api/media/:filename/kit', requireMedia, renderKit);
+app.post('/api/media/:filename/clips', requireMedia, renderClips);
+app.get('/api/media/:filename/export/:format', requireMedia, exportDjCollection);
+app.get('/api/jobs', listJobs);
+app.get('/api/jobs/:id', getJobStatus);
+app.get('/api/jobs/:id/events', streamJobEvents);
 
 // Serve static files from downloads directory
 app.use('/downloads', express.static(path.join(__dirname, 'downloads')));
@@ -62,7 +96,26 @@ if (isProduction) {
       endpoints: {
         health: '/health',
         download: 'POST /api/download',
+        upload: 'POST /api/upload (multipart, field "file")',
         downloads: 'GET /api/downloads',
+        deleteDownload: 'DELETE /api/downloads/:filename',
+        renameDownload: 'PATCH /api/downloads/:filename',
+        cues: 'GET/PUT /api/media/:filename/cues',
+        performances: 'GET/POST /api/media/:filename/performances, DELETE /api/media/:filename/performances/:takeId',
+        peaks: 'GET /api/media/:filename/peaks?width=',
+        analyze: 'POST /api/media/:filename/analyze',
+        scenes: 'POST /api/media/:filename/scenes',
+        tempo: 'POST /api/media/:filename/tempo',
+        thumbnail: 'GET /api/media/:filename/thumbnail?time=&width=',
+        filmstrip: 'GET /api/media/:filename/filmstrip',
+        wavExport: 'GET /api/media/:filename/export/wav',
+        kit: 'POST /api/media/:filename/kit',
+        clips: 'POST /api/media/:filename/clips',
+        performanceRender: 'POST /api/media/:filename/performances/:takeId/render',
+        djExport: 'GET /api/media/:filename/export/:format (rekordbox, traktor)',
+        jobs: 'GET /api/jobs',
+        job: 'GET /api/jobs/:id',
+        jobEvents: 'GET /api/jobs/:id/events (SSE)',
         files: 'GET /downloads/:filename'
       },
       frontend: 'Run `npm run dev:frontend` in a separate terminal'
@@ -110,6 +163,13 @@ app.listen(PORT, () => {
   console.log('   - yt-dlp (install: pip install yt-dlp)');
   console.log('   - ffmpeg (install: brew install ffmpeg on macOS)');
   console.log('   - ffprobe (usually comes with ffmpeg)');
+  
+  // Apply the storage retention policy at startup and then hourly
+  const runRetention = () => {
+    enforceRetention().catch(error => console.error('Retention error:', error));
+  };
+  runRetention();
+  setInterval(runRetention, RETENTION_INTERVAL_MS).unref();
 });
 
 module.exports = app;
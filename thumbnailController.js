@@ -0,0 +1,112 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { executeCommand } = require('./mediaProcessor');
+const { getMediaPaths, readManifest } = require('./mediaLibrary');
+
+// Allowed thumbnail widths (pixels); height follows the video aspect ratio
+const DEFAULT_THUMBNAIL_WIDTH = 240;
+const MIN_THUMBNAIL_WIDTH = 80;
+const MAX_THUMBNAIL_WIDTH = 640;
+
+// Frame extraction currently running per cache file, so concurrent requests share one ffmpeg
+const pendingExtractions = new Map();
+
+/**
+ * Builds the cache path of a thumbnail; frames are cached per millisecond and width
+ * @param {string} name - Media name
+ * @param {number} time - Frame time in seconds
+ * @param {number} width - Thumbnail width in pixels
+ * @returns {string} - Absolute path inside the media item's thumbnail directory
+ */
+function getThumbnailPath(name, time, width) {
+  return path.join(getMediaPaths(name).thumbnails, `${Math.round(time * 1000)}ms-w${width}.jpg`);
+}
+
+/**
+ * Extracts a single JPEG frame from the -video.mp4 into the thumbnail cache
+ * @param {string} name - Media name
+ * @param {number} time - Frame time in seconds
+ * @param {number} width - Thumbnail width in pixels
+ * @returns {Promise<string>} - Path of the cached JPEG
+ */
+function extractThumbnail(name, time, width) {
+  const thumbnailPath = getThumbnailPath(name, time, width);
+  if (pendingExtractions.has(thumbnailPath)) return pendingExtractions.get(thumbnailPath);
+
+  const extraction = (async () => {
+    try {
+      await fs.access(thumbnailPath);
+      return thumbnailPath;
+    } catch {
+      // Not cached yet
+    }
+
+    await fs.mkdir(path.dirname(thumbnailPath), { recursive: true });
+
+    const tempPath = `${thumbnailPath}.${process.pid}.tmp.jpg`;
+    await executeCommand('ffmpeg', [
+      '-v', 'error',
+      '-ss', String(time), // Seek before the input for speed; accurate since ffmpeg decodes from the previous keyframe
+      '-i', getMediaPaths(name).video,
+      '-frames:v', '1',
+      '-vf', `scale=${width}:-2`,
+      '-q:v', '5', // JPEG quality (2 = best, 31 = worst)
+      '-y',
+      tempPath
+    ]);
+    await fs.rename(tempPath, thumbnailPath);
+
+    return thumbnailPath;
+  })();
+
+  pendingExtractions.set(thumbnailPath, extraction);
+  return extraction.finally(() => pendingExtractions.delete(thumbnailPath));
+}
+
+/**
+ * Returns a JPEG frame of a media item's video at the given time, extracting and caching it on first request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getThumbnail(req, res) {
+  const { filename } = req.params;
+  const time = parseFloat(req.query.time);
+  const width = req.query.width === undefined ? DEFAULT_THUMBNAIL_WIDTH : parseInt(req.query.width, 10);
+
+  if (!isFinite(time) || time < 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Query parameter "time" must be a non-negative number of seconds'
+    });
+  }
+
+  if (!Number.isInteger(width) || width < MIN_THUMBNAIL_WIDTH || width > MAX_THUMBNAIL_WIDTH) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Query parameter "width" must be between ${MIN_THUMBNAIL_WIDTH} and ${MAX_THUMBNAIL_WIDTH}`
+    });
+  }
+
+  try {
+    // Frames past the end would come back empty; use the last frame instead
+    const manifest = await readManifest(filename);
+    const frameTime = manifest.duration ? Math.min(time, Math.max(0, manifest.duration - 0.05)) : time;
+
+    const thumbnailPath = await extractThumbnail(filename, frameTime, width);
+
+    // The URL identifies the frame exactly, so browsers may keep it
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.sendFile(thumbnailPath);
+  } catch (error) {
+    console.error('Thumbnail error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to extract video frame',
+      error: error.message
+    });
+  }
+}
+
+module.exports = {
+  getThumbnail
+};
@@ -0,0 +1,132 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
+const { createJob, completeJob, failJob, findJob } = require('./jobController');
+const {
+  DOWNLOADS_DIR,
+  PROCESSING_STAGES,
+  generateUniqueFilename,
+  ensureDownloadsDir,
+  processMediaFile
+} = require('./mediaProcessor');
+const { writeManifest, enforceRetention } = require('./mediaLibrary');
+const { generatePeaks } = require('./peaksController');
+
+// Accepted upload container/file types
+const ALLOWED_EXTENSIONS = ['.mp4', '.mov', '.mkv', '.mp3', '.wav'];
+
+// Maximum upload size (bytes), configurable for small Railway volumes
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES, 10) || 2 * 1024 * 1024 * 1024;
+
+// Uploads are written outside the publicly served downloads directory until they are processed
+const UPLOAD_TEMP_DIR = path.join(os.tmpdir(), 'cue-editor-uploads');
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      Promise.all([ensureDownloadsDir(), fs.mkdir(UPLOAD_TEMP_DIR, { recursive: true })])
+        .then(() => cb(null, UPLOAD_TEMP_DIR))
+        .catch(error => cb(error));
+    },
+    filename: (req, file, cb) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+      const baseName = path.basename(file.originalname, path.extname(file.originalname));
+      const filename = generateUniqueFilename(baseName || 'upload');
+      req.uploadFilename = filename;
+      cb(null, `${filename}-upload${extension}`);
+    }
+  }),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!ALLOWED_EXTENSIONS.includes(extension)) {
+      return cb(new Error(`Unsupported file type "${extension || 'unknown'}". Allowed: ${ALLOWED_EXTENSIONS.join(', ')}`));
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+/**
+ * Accepts a multipart media upload and starts a processing job that produces
+ * the same `-video.mp4`/`-audio.wav` pair as a YouTube download
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function uploadMedia(req, res) {
+  upload(req, res, (uploadError) => {
+    if (uploadError) {
+      const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        status: 'error',
+        message: tooLarge ? 'Uploaded file is too large' : uploadError.message,
+        error: uploadError.message
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A media file is required (form field "file")'
+      });
+    }
+
+    const filename = req.uploadFilename;
+    const title = path.basename(req.file.originalname, path.extname(req.file.originalname));
+
+    console.log(`Processing upload: ${req.file.originalname} (${req.file.size} bytes)`);
+
+    const job = createJob('upload', {
+      stages: PROCESSING_STAGES,
+      title,
+      filename,
+      params: { originalName: req.file.originalname, size: req.file.size }
+    });
+
+    processMediaFile(job.id, req.file.path, filename)
+      .then(async result => {
+        // Peaks are generated on first request instead if this fails; the upload is complete either way
+        try {
+          await generatePeaks(filename, { jobId: job.id, duration: result.duration });
+        } catch (error) {
+          console.error(`Waveform peaks failed for ${filename}, continuing without them:`, error);
+        }
+        const manifest = await writeManifest(filename, {
+          title,
+          source: { type: 'upload', originalName: req.file.originalname },
+          duration: result.duration
+        });
+        console.log(`Successfully processed upload: ${filename}`);
+        completeJob(job.id, { ...result, title, manifest, downloadPath: DOWNLOADS_DIR });
+        enforceRetention({ keep: [filename] }).catch(retentionError => {
+          console.error('Retention error:', retentionError);
+        });
+      })
+      .catch(async error => {
+        console.error('Upload processing error:', error);
+        try {
+          await fs.unlink(req.file.path);
+        } catch {
+          // Source may already be removed
+        }
+        failJob(job.id, {
+          message: 'Failed to process uploaded file',
+          error: error.message,
+          suggestions: [
+            'Check that the file plays in a media player',
+            `Supported formats: ${ALLOWED_EXTENSIONS.join(', ')}`
+          ]
+        });
+      });
+
+    res.status(202).json({
+      status: 'accepted',
+      jobId: job.id,
+      job: findJob(job.id)
+    });
+  });
+}
+
+module.exports = {
+  uploadMedia
+};
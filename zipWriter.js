@@ -0,0 +1,114 @@
+const fs = require('fs').promises;
+
+// CRC-32 (IEEE) lookup table used by the zip format
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let value = index;
+  for (let bit = 0; bit < 8; bit++) {
+    value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+  }
+  return value >>> 0;
+});
+
+// Zip without the zip64 extension tops out at 4 GB per archive
+const MAX_ZIP_BYTES = 0xffffffff;
+
+/**
+ * Computes the CRC-32 checksum of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {number} - Unsigned checksum
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let index = 0; index < buffer.length; index++) {
+    crc = CRC_TABLE[(crc ^ buffer[index]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Converts a date to MS-DOS time and date fields
+ * @param {Date} date - Modification date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Writes a zip archive of files without compression (audio and video barely compress).
+ * Files are read one at a time, so memory use follows the largest entry.
+ * @param {string} zipPath - Path of the archive to create
+ * @param {Array<{name: string, path?: string, content?: Buffer|string}>} entries - Archive paths with a source file or inline content
+ * @returns {Promise<number>} - Archive size in bytes
+ */
+async function writeZip(zipPath, entries) {
+  const handle = await fs.open(zipPath, 'w');
+  const centralDirectory = [];
+  const { time, date } = toDosDateTime(new Date());
+  let offset = 0;
+
+  try {
+    for (const entry of entries) {
+      const data = entry.content !== undefined ? Buffer.from(entry.content) : await fs.readFile(entry.path);
+      const name = Buffer.from(entry.name, 'utf8');
+      const checksum = crc32(data);
+
+      if (offset + 30 + name.length + data.length > MAX_ZIP_BYTES) {
+        throw new Error('Archive would exceed 4 GB');
+      }
+
+      const localHeader = Buffer.alloc(30);
+      localHeader.writeUInt32LE(0x04034b50, 0);
+      localHeader.writeUInt16LE(20, 4); // Version needed (2.0)
+      localHeader.writeUInt16LE(0x0800, 6); // UTF-8 names
+      localHeader.writeUInt16LE(0, 8); // Stored
+      localHeader.writeUInt16LE(time, 10);
+      localHeader.writeUInt16LE(date, 12);
+      localHeader.writeUInt32LE(checksum, 14);
+      localHeader.writeUInt32LE(data.length, 18);
+      localHeader.writeUInt32LE(data.length, 22);
+      localHeader.writeUInt16LE(name.length, 26);
+      localHeader.writeUInt16LE(0, 28);
+
+      await handle.write(Buffer.concat([localHeader, name]));
+      await handle.write(data);
+
+      const centralHeader = Buffer.alloc(46);
+      centralHeader.writeUInt32LE(0x02014b50, 0);
+      centralHeader.writeUInt16LE(20, 4); // Version made by
+      centralHeader.writeUInt16LE(20, 6);
+      centralHeader.writeUInt16LE(0x0800, 8);
+      centralHeader.writeUInt16LE(0, 10);
+      centralHeader.writeUInt16LE(time, 12);
+      centralHeader.writeUInt16LE(date, 14);
+      centralHeader.writeUInt32LE(checksum, 16);
+      centralHeader.writeUInt32LE(data.length, 20);
+      centralHeader.writeUInt32LE(data.length, 24);
+      centralHeader.writeUInt16LE(name.length, 28);
+      centralHeader.writeUInt32LE(offset, 42);
+      centralDirectory.push(centralHeader, name);
+
+      offset += localHeader.length + name.length + data.length;
+    }
+
+    const directory = Buffer.concat(centralDirectory);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    await handle.write(Buffer.concat([directory, end]));
+    return offset + directory.length + end.length;
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = {
+  writeZip
+};